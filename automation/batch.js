@@ -0,0 +1,541 @@
+/**
+ * Batch Mode: Step 1 mockups for many designs × colours
+ *
+ * Runs Step 1 for every row of a CSV/JSON file, or for every inspiration matching a
+ * category/designer query, once per colour. Browser providers share one browser
+ * session for the whole batch.
+ *
+ * Progress is saved to <batch folder>/batch.json after every mockup, so a crashed or
+ * interrupted batch can be resumed with --resume without redoing finished rows.
+ * A summary report (summary.md) is written when the batch ends. Mockups are uploaded
+ * to the Design Library as Step 1 does, with the batch ID as their run ID. A mockup that
+ * fails the quality check counts as failed, so --resume regenerates it.
+ *
+ * A batch with failed rows exits with FAILED (see lib/daemon.js). A logged-out or
+ * rate-limited session stops the batch at once with LOGIN_REQUIRED or RATE_LIMITED, as
+ * Step 1 would, so the job queue can move it to another session.
+ *
+ * Usage:
+ *   # From a CSV or JSON file:
+ *   node batch.js --batch ./mockups.csv --colors blue,pink
+ *
+ *   # Every inspiration in a category by a designer:
+ *   node batch.js --category Floral --designer Helen --colors blue,grey,pink,purple
+ *
+ *   # Resume an interrupted batch:
+ *   node batch.js --resume ./output/batches/batch_2024-01-01T12-00-00
+ *
+ * Batch file rows (CSV header or JSON keys):
+ *   inspirationId    Inspiration Library ID (fetches image + description)
+ *   design           Design description (required without inspirationId)
+ *   designImage      Path to a local design image (relative to the batch file)
+ *   colors           Colours for this row, separated by ";" or "|" (default: --colors)
+ *   reference        Emboss reference ID for this row, or "none" (default: --reference)
+ *
+ * Options:
+ *   --batch          CSV or JSON batch file
+ *   --category       Select inspirations in this category (instead of --batch)
+ *   --designer       Select inspirations by this designer (instead of --batch)
+ *   --colors         Comma-separated bases for rows without their own
+ *                    (default: every base of the first product in catalog/products.json)
+ *   --reference      Emboss reference for rows without their own, or "none"
+ *                    (default: each design category's reference)
+ *   --resume         Batch folder to resume (retries failed and unfinished rows)
+ *   --provider       Image provider (default: chatgpt-browser)
+ *   --retries        Regenerate a mockup that fails the quality check up to this many times (default: 0)
+ *   --keep-failed    Count mockups that fail the quality check as succeeded (and upload them)
+ *   --no-quality     Skip the quality check (see lib/quality.js)
+ *   --no-upload      Don't upload mockups to the Design Library
+ *   --output         Folder that holds the batch folders (default: ./output/batches)
+ *   --headless       Run in headless mode (default: false)
+ *   --session        Browser session (account) to use, see login.js (default: BROWSER_SESSION or default)
+ *   --daemon         Non-interactive: JSON progress events on stdout, log on stderr
+ *   --result         Result record with the output paths (default with --daemon: <output>/result.json)
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { fetchInspiration, fetchInspirations } from './lib/storage/index.js';
+import { downloadImage } from './lib/download.js';
+import { getProvider } from './lib/providers/index.js';
+import { launchBrowser } from './lib/browser.js';
+import { baseIds, validateBaseIds, getEmbossReference } from './lib/catalog.js';
+import { readOutputRecord } from './lib/output.js';
+import { runStep1Automation } from './step1-chatgpt.js';
+import { useSession } from './lib/sessions.js';
+import { runMain, failure } from './lib/daemon.js';
+import { validateOptions, FIELDS } from './lib/validate.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Failures of the session rather than the row: every later row would fail the same way
+const STOP_FAILURES = ['LOGIN_REQUIRED', 'RATE_LIMITED'];
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        batch: '',
+        category: '',
+        designer: '',
+        colors: baseIds(),
+        reference: '',
+        resume: '',
+        provider: 'chatgpt-browser',
+        upload: true,
+        quality: true,
+        retries: 0,
+        keepFailed: false,
+        output: path.join(__dirname, 'output', 'batches'),
+        headless: process.env.HEADLESS === 'true',
+        session: null,
+        daemon: false,
+        result: ''
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--batch':
+                options.batch = args[++i];
+                break;
+            case '--category':
+                options.category = args[++i];
+                break;
+            case '--designer':
+                options.designer = args[++i];
+                break;
+            case '--colors':
+                options.colors = splitList(args[++i], ',');
+                break;
+            case '--reference':
+                options.reference = args[++i];
+                break;
+            case '--resume':
+                options.resume = args[++i];
+                break;
+            case '--provider':
+                options.provider = args[++i];
+                break;
+            case '--no-upload':
+                options.upload = false;
+                break;
+            case '--retries':
+                options.retries = args[++i];
+                break;
+            case '--keep-failed':
+                options.keepFailed = true;
+                break;
+            case '--no-quality':
+                options.quality = false;
+                break;
+            case '--output':
+                options.output = args[++i];
+                break;
+            case '--session':
+                options.session = args[++i];
+                break;
+            case '--headless':
+                options.headless = args[++i] === 'true';
+                break;
+            case '--daemon':
+                options.daemon = true;
+                break;
+            case '--result':
+                options.result = args[++i];
+                break;
+        }
+    }
+
+    return options;
+}
+
+function splitList(value, separator) {
+    return String(value || '').split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+// Minimal CSV parser: header row, comma-separated, double-quoted fields with "" escapes
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...body] = rows.filter(r => r.some(cell => cell.trim()));
+    if (!header) return [];
+
+    const keys = header.map(key => key.trim());
+    return body.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] || '').trim()])));
+}
+
+// Read batch rows from a CSV or JSON file (JSON: an array of rows or { rows: [...] })
+function readBatchFile(batchFile) {
+    if (!fs.existsSync(batchFile)) {
+        throw new Error(`Error: Batch file not found: ${batchFile}`);
+    }
+
+    const text = fs.readFileSync(batchFile, 'utf8');
+    let rows;
+    if (path.extname(batchFile).toLowerCase() === '.json') {
+        const data = JSON.parse(text);
+        rows = Array.isArray(data) ? data : data.rows;
+        if (!Array.isArray(rows)) {
+            throw new Error('Error: JSON batch file must be an array of rows or { "rows": [...] }');
+        }
+    } else {
+        rows = parseCsv(text);
+    }
+
+    // Local images are relative to the batch file
+    const baseDir = path.dirname(path.resolve(batchFile));
+    return rows.map(row => ({
+        inspirationId: row.inspirationId || '',
+        design: row.design || '',
+        designImage: row.designImage ? path.resolve(baseDir, row.designImage) : '',
+        colors: Array.isArray(row.colors) ? row.colors : splitList(row.colors, /[;|]/),
+        reference: row.reference || ''
+    }));
+}
+
+// Expand rows × colours into tasks
+function buildTasks(rows, defaultColors, defaultReference) {
+    const tasks = [];
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + 1;
+        if (!row.inspirationId && !row.design) {
+            throw new Error(`Error: Row ${rowNumber} needs an inspirationId or a design description`);
+        }
+
+        const colors = row.colors.length > 0 ? row.colors : defaultColors;
+        const reference = row.reference || defaultReference;
+        try {
+            validateBaseIds(colors);
+            if (reference && reference !== 'none') getEmbossReference(reference);
+        } catch (error) {
+            // Keeps the error's failure type (unknown bases are INVALID_INPUT)
+            error.message = `Error: Row ${rowNumber}: ${error.message}`;
+            throw error;
+        }
+
+        for (const color of colors) {
+            tasks.push({
+                id: `${rowNumber}-${color}`,
+                row: rowNumber,
+                inspirationId: row.inspirationId,
+                design: row.design,
+                designImage: row.designImage,
+                color,
+                reference,
+                status: 'pending',
+                file: null,
+                designId: null,
+                error: null,
+                attempts: 0,
+                finishedAt: null
+            });
+        }
+    });
+
+    return tasks;
+}
+
+// Save batch state after every change so a crash loses at most the current mockup
+function writeState(batchDir, state) {
+    fs.writeFileSync(path.join(batchDir, 'batch.json'), JSON.stringify(state, null, 2));
+}
+
+// Write a Markdown summary of the batch
+function writeSummary(batchDir, state) {
+    const counts = countTasks(state.tasks);
+    const lines = [
+        `# Batch ${state.batchId}`,
+        '',
+        `- Source: ${state.source}`,
+        `- Provider: ${state.provider}`,
+        `- Started: ${state.startedAt}`,
+        `- Finished: ${state.finishedAt}`,
+        `- Succeeded: ${counts.succeeded} / ${state.tasks.length}`,
+        `- Failed: ${counts.failed}`,
+        `- Not run: ${counts.pending}`,
+        '',
+        '| Row | Design | Colour | Status | Quality | File / Error |',
+        '| --- | --- | --- | --- | --- | --- |',
+        ...state.tasks.map(task => {
+            const design = (task.inspirationId || task.design).replace(/\|/g, '\\|');
+            const detail = task.status === 'succeeded' ? task.file : (task.error || '');
+            const quality = task.qualityScore !== undefined && task.qualityScore !== null ? task.qualityScore : '-';
+            return `| ${task.row} | ${design} | ${task.color} | ${task.status} | ${quality} | ${String(detail).replace(/\|/g, '\\|')} |`;
+        })
+    ];
+
+    const summaryPath = path.join(batchDir, 'summary.md');
+    fs.writeFileSync(summaryPath, lines.join('\n') + '\n');
+    return summaryPath;
+}
+
+function countTasks(tasks) {
+    return {
+        succeeded: tasks.filter(t => t.status === 'succeeded').length,
+        failed: tasks.filter(t => t.status === 'failed').length,
+        pending: tasks.filter(t => t.status === 'pending').length
+    };
+}
+
+// Create a new batch folder and state from a batch file or inspiration query
+async function createBatch(options) {
+    let rows;
+    let source;
+
+    if (options.batch) {
+        rows = readBatchFile(options.batch);
+        source = `file ${path.resolve(options.batch)}`;
+    } else {
+        console.log(`📥 Fetching inspirations (category: ${options.category || 'any'}, designer: ${options.designer || 'any'})`);
+        const inspirations = await fetchInspirations({ category: options.category, designer: options.designer });
+        rows = inspirations.map(inspiration => ({
+            inspirationId: inspiration.id,
+            design: inspiration.description,
+            designImage: '',
+            colors: [],
+            reference: ''
+        }));
+        source = `inspirations (category: ${options.category || 'any'}, designer: ${options.designer || 'any'})`;
+    }
+
+    if (rows.length === 0) {
+        throw new Error('Error: The batch has no rows');
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const batchId = `batch_${timestamp}`;
+    const batchDir = path.join(options.output, batchId);
+    fs.mkdirSync(batchDir, { recursive: true });
+
+    const state = {
+        batchId,
+        status: 'running',
+        source,
+        provider: options.provider,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        tasks: buildTasks(rows, options.colors, options.reference)
+    };
+    writeState(batchDir, state);
+
+    return { batchDir, state };
+}
+
+// Load an existing batch; failed rows are retried, finished rows are kept
+function resumeBatch(batchDir) {
+    const statePath = path.join(batchDir, 'batch.json');
+    if (!fs.existsSync(statePath)) {
+        throw new Error(`Error: No batch.json in ${batchDir}`);
+    }
+
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    for (const task of state.tasks) {
+        if (task.status === 'failed') {
+            task.status = 'pending';
+        }
+    }
+    state.status = 'running';
+    state.finishedAt = null;
+    writeState(batchDir, state);
+
+    return { batchDir, state };
+}
+
+// Main batch function
+export async function runBatch(options) {
+    console.log('\n📦 Batch Mode: Step 1 Mockups');
+    console.log('━'.repeat(50));
+
+    validateOptions(options, {
+        category: FIELDS.category, designer: FIELDS.designer, colors: FIELDS.colors, reference: FIELDS.reference,
+        provider: FIELDS.provider, retries: FIELDS.retries, session: FIELDS.session
+    });
+
+    // Browser session (account) for this run
+    if (options.session) useSession(options.session);
+
+    if (!options.resume && !options.batch && !options.category && !options.designer) {
+        console.log('Usage:');
+        console.log('  node batch.js --batch ./mockups.csv --colors blue,pink');
+        console.log('  node batch.js --category Floral --designer Helen');
+        console.log('  node batch.js --resume ./output/batches/batch_...');
+        throw new Error('Error: --batch, --category/--designer or --resume is required');
+    }
+
+    const { batchDir, state } = options.resume
+        ? resumeBatch(options.resume)
+        : await createBatch(options);
+
+    // A resumed batch keeps its original provider
+    const provider = getProvider(state.provider);
+    const remaining = state.tasks.filter(t => t.status !== 'succeeded');
+
+    console.log(`🆔 Batch: ${state.batchId}`);
+    console.log(`📋 Source: ${state.source}`);
+    console.log(`🔌 Provider: ${provider.name}`);
+    console.log(`🧮 Mockups: ${state.tasks.length} (${remaining.length} to do)`);
+    console.log(`📁 Batch Folder: ${batchDir}`);
+    console.log('━'.repeat(50));
+
+    // One browser for the whole batch; relaunched if it crashes
+    let browser = null;
+    const ensureBrowser = async () => {
+        if (!provider.usesBrowser) return null;
+        if (!browser) {
+            browser = await launchBrowser({ headless: options.headless });
+            browser.on('close', () => { browser = null; });
+        }
+        return browser;
+    };
+
+    // Inspirations are fetched and downloaded once per batch, not once per colour
+    const inspirationCache = new Map();
+    const loadInspiration = async (inspirationId) => {
+        if (!inspirationCache.has(inspirationId)) {
+            const inspiration = await fetchInspiration(inspirationId);
+            const imagePath = path.join(batchDir, '.temp', `inspiration_${inspirationId}.png`);
+            fs.mkdirSync(path.dirname(imagePath), { recursive: true });
+            await downloadImage(inspiration.file_url, imagePath);
+            inspirationCache.set(inspirationId, {
+                design: inspiration.description,
+                designImage: imagePath,
+                category: inspiration.category,
+                designer: inspiration.designer
+            });
+        }
+        return inspirationCache.get(inspirationId);
+    };
+
+    try {
+        for (const [index, task] of remaining.entries()) {
+            console.log(`\n📦 [${index + 1}/${remaining.length}] Row ${task.row} · ${task.color}`);
+            task.attempts += 1;
+
+            try {
+                const source = task.inspirationId
+                    ? await loadInspiration(task.inspirationId)
+                    : { design: task.design, designImage: task.designImage };
+
+                const savedPath = await runStep1Automation({
+                    color: task.color,
+                    reference: task.reference || '',
+                    design: task.design || source.design,
+                    designImage: source.designImage,
+                    designUrl: '',
+                    inspirationId: '',
+                    provider: provider.name,
+                    category: source.category || '',
+                    designer: source.designer || '',
+                    sourceInspirationId: task.inspirationId || null,
+                    runId: state.batchId,
+                    upload: options.upload,
+                    quality: options.quality,
+                    retries: options.retries,
+                    keepFailed: options.keepFailed,
+                    output: path.join(batchDir, `row-${task.row}`),
+                    headless: options.headless,
+                    keepOpen: false,
+                    browser: await ensureBrowser()
+                });
+                if (!savedPath) {
+                    throw new Error('Step 1 did not produce an image');
+                }
+
+                const record = readOutputRecord(savedPath);
+                task.file = path.relative(batchDir, savedPath);
+                task.qualityScore = record?.quality ? record.quality.score : null;
+                task.status = 'succeeded';
+                task.designId = record?.designId || null;
+                task.error = null;
+            } catch (error) {
+                // Every candidate was auto-rejected: keep the image and its score for the summary
+                if (error.failure === 'QUALITY_FAILED' && error.candidates) {
+                    task.file = path.relative(batchDir, error.candidates[0].path);
+                    task.qualityScore = error.candidates[0].quality.score;
+                }
+                // Record the failure and carry on; --resume retries it later
+                console.error(`   ❌ ${error.message}`);
+                task.status = 'failed';
+                task.error = error.message;
+
+                if (STOP_FAILURES.includes(error.failure)) {
+                    task.finishedAt = new Date().toISOString();
+                    writeState(batchDir, state);
+                    console.error(`   ⏹️  Stopping the batch; resume it with: node batch.js --resume "${batchDir}"`);
+                    throw error;
+                }
+            }
+
+            task.finishedAt = new Date().toISOString();
+            writeState(batchDir, state);
+        }
+    } finally {
+        if (browser) {
+            await browser.close();
+        }
+
+        const counts = countTasks(state.tasks);
+        state.status = counts.pending > 0 ? 'interrupted' : counts.failed > 0 ? 'completed_with_errors' : 'completed';
+        state.finishedAt = new Date().toISOString();
+        writeState(batchDir, state);
+    }
+
+    const summaryPath = writeSummary(batchDir, state);
+    const counts = countTasks(state.tasks);
+
+    console.log('\n' + '━'.repeat(50));
+    console.log(`🎉 Batch finished: ${counts.succeeded} succeeded, ${counts.failed} failed`);
+    console.log(`   Summary: ${summaryPath}`);
+    if (counts.failed > 0) {
+        console.log(`   Retry failed rows: node batch.js --resume "${batchDir}"`);
+    }
+    console.log('');
+
+    if (counts.failed > 0) {
+        throw failure('FAILED', `${counts.failed} of ${state.tasks.length} mockups failed (see ${summaryPath})`);
+    }
+    return state;
+}
+
+// Run the batch when invoked directly
+if (path.resolve(process.argv[1]) === __filename) {
+    const options = parseArgs();
+    runMain('batch', () => runBatch(options), options);
+}
@@ -0,0 +1,251 @@
+/**
+ * Dedupe: find duplicate images in the Design and Inspiration Libraries
+ *
+ * Groups rows whose images are the same file or the same picture (re-encoded, resized or
+ * pasted again), using the hashes stored with every upload (see lib/phash.js). A design
+ * and the designs made from it are never grouped, however alike they look. Without
+ * --merge or --delete it only reports the groups. Deleted copies go where every library
+ * delete goes: an admin can restore them from the web UI's Audit tab.
+ *
+ * Usage:
+ *   # Report duplicates in both libraries
+ *   node dedupe.js
+ *
+ *   # Hash rows uploaded before hashing existed, then report
+ *   node dedupe.js --backfill
+ *
+ *   # Merge every inspiration group into its oldest row (show what would change first)
+ *   node dedupe.js --tables inspirations --merge --dry-run
+ *
+ *   # Delete the copies in one group, keeping the newest row
+ *   node dedupe.js --tables designs --group "abc123-uuid" --delete --keep newest
+ *
+ * Options:
+ *   --tables    Comma-separated libraries to scan (default: designs,inspirations)
+ *   --backfill  Hash rows that have no hashes yet (downloads their images) before scanning
+ *   --merge     Keep one row per group: it gets the tags (and, for designs, the base
+ *               notebooks) of the others, designs made from the others point at it instead,
+ *               and the others are deleted
+ *   --delete    Keep one row per group and delete the others as they are
+ *   --keep      Row to keep: oldest or newest (default: oldest)
+ *   --group     Only the group that contains this row ID
+ *   --dry-run   Show what --backfill, --merge or --delete would change without writing anything
+ *   --daemon    Non-interactive: JSON progress events on stdout, log on stderr
+ *   --result    Result record of the run (default with --daemon: ./result.json)
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getStorage, TABLES, normalizeTags, deleteLibraryRow } from './lib/storage/index.js';
+import { currentUser, recordAudit } from './lib/audit.js';
+import { imageHashes, groupDuplicates, compareHashes } from './lib/phash.js';
+import { runMain } from './lib/daemon.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        tables: TABLES,
+        backfill: false,
+        merge: false,
+        delete: false,
+        keep: 'oldest',
+        group: '',
+        dryRun: false,
+        daemon: false,
+        result: ''
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--tables':
+                options.tables = args[++i].split(',').map(t => t.trim()).filter(Boolean);
+                break;
+            case '--backfill':
+                options.backfill = true;
+                break;
+            case '--merge':
+                options.merge = true;
+                break;
+            case '--delete':
+                options.delete = true;
+                break;
+            case '--keep':
+                options.keep = args[++i];
+                break;
+            case '--group':
+                options.group = args[++i];
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--daemon':
+                options.daemon = true;
+                break;
+            case '--result':
+                options.result = args[++i];
+                break;
+        }
+    }
+
+    return options;
+}
+
+// Hash the rows that have no hashes yet; returns how many were hashed
+async function backfillHashes(storage, table, rows, dryRun) {
+    const unhashed = rows.filter(row => !row.phash);
+    if (unhashed.length === 0) return 0;
+
+    console.log(`   #️⃣  Hashing ${unhashed.length} row${unhashed.length === 1 ? '' : 's'}${dryRun ? ' (dry run: not stored)' : ''}`);
+    let hashed = 0;
+    for (const row of unhashed) {
+        try {
+            const { phash, contentHash } = await imageHashes(await storage.readFile(row.file_url));
+            Object.assign(row, { phash, content_hash: contentHash });
+            if (!dryRun) {
+                await storage.update(table, row.id, { phash, content_hash: contentHash });
+            }
+            hashed++;
+        } catch (error) {
+            console.error(`   ❌ ${row.file_name} (${row.id}): ${error.message}`);
+        }
+    }
+    return hashed;
+}
+
+// The row to keep and the others, oldest or newest first
+function splitGroup(group, keep) {
+    const sorted = [...group].sort((a, b) => a.created_at.localeCompare(b.created_at));
+    if (keep === 'newest') sorted.reverse();
+    return { kept: sorted[0], others: sorted.slice(1) };
+}
+
+function printGroup(index, kept, others) {
+    const describe = (row) => `${row.file_name} (${row.id}) · ${row.category || '-'} · ${row.designer || '-'} · ${row.created_at.slice(0, 10)}`;
+    console.log(`\n   🔁 Group ${index + 1}`);
+    console.log(`      ★ ${describe(kept)}`);
+    for (const row of others) {
+        const { match, distance } = compareHashes(kept, row) || { match: 'near', distance: null };
+        console.log(`        ${describe(row)} — ${match === 'exact' ? 'same file' : `near${distance === null ? ' (via another copy)' : `, ${distance} bits apart`}`}`);
+    }
+}
+
+// Give the kept row the others' tags (and base notebooks) and move lineage references to it
+async function mergeInto(storage, table, kept, others, designs, dryRun) {
+    const changes = {};
+    const tags = normalizeTags([kept, ...others].flatMap(row => row.tags || []));
+    if (tags.length !== (kept.tags || []).length) changes.tags = tags;
+
+    if (table === 'designs') {
+        const notebooks = [...new Set([kept, ...others].flatMap(row => row.base_notebooks || []))];
+        if (notebooks.length !== (kept.base_notebooks || []).length) changes.base_notebooks = notebooks;
+    }
+
+    if (Object.keys(changes).length > 0) {
+        console.log(`      ✏️  ${kept.file_name}: ${Object.entries(changes).map(([column, value]) => `${column} → ${value.join(', ')}`).join('; ')}`);
+        if (!dryRun) await storage.update(table, kept.id, changes);
+    }
+
+    // Designs made from a copy now point at the kept row
+    const column = table === 'inspirations' ? 'source_inspiration_id' : 'source_design_id';
+    const otherIds = new Set(others.map(row => row.id));
+    const children = designs.filter(design => otherIds.has(design[column]));
+    if (children.length > 0) {
+        console.log(`      🔗 ${children.length} design${children.length === 1 ? '' : 's'} now made from ${kept.id}`);
+        if (!dryRun) {
+            for (const design of children) {
+                await storage.update('designs', design.id, { [column]: kept.id });
+                design[column] = kept.id;
+            }
+        }
+    }
+}
+
+// Delete the other rows of a group; returns how many were deleted
+async function deleteOthers(table, kept, others, dryRun) {
+    for (const row of others) {
+        console.log(`      🗑️  ${row.file_name} (${row.id})`);
+        if (!dryRun) {
+            await deleteLibraryRow(table, row.id, currentUser());
+            await recordAudit('delete', { table, id: row.id, details: { file_name: row.file_name, duplicateOf: kept.id } });
+        }
+    }
+    return others.length;
+}
+
+// Main dedupe function
+export async function runDedupe(options) {
+    console.log('\n🔁 Library Duplicates');
+    console.log('━'.repeat(50));
+
+    const unknown = options.tables.filter(table => !TABLES.includes(table));
+    if (unknown.length > 0) {
+        throw new Error(`Error: Unknown libraries: ${unknown.join(', ')}. Available: ${TABLES.join(', ')}`);
+    }
+    if (options.merge && options.delete) {
+        throw new Error('Error: Use either --merge or --delete');
+    }
+    if (!['oldest', 'newest'].includes(options.keep)) {
+        throw new Error(`Error: Unknown --keep ${options.keep}. Use oldest or newest`);
+    }
+
+    const storage = getStorage();
+    const action = options.merge ? 'merge' : options.delete ? 'delete' : 'report';
+    console.log(`📚 Library: ${storage.description}`);
+    console.log(`🛠️  Action: ${action}${action === 'report' ? '' : `, keeping the ${options.keep} row`}`);
+    if (options.dryRun) console.log('🧪 Dry run: nothing will be written');
+    console.log('━'.repeat(50));
+
+    // Merging re-points designs, so they are loaded even when only inspirations are scanned
+    const designs = options.merge ? await storage.list('designs') : [];
+
+    const summary = {};
+    for (const table of options.tables) {
+        console.log(`\n📚 ${table}`);
+        const rows = table === 'designs' && options.merge ? designs : await storage.list(table);
+        const hashed = options.backfill ? await backfillHashes(storage, table, rows, options.dryRun) : 0;
+        const unhashed = rows.filter(row => !row.phash).length;
+
+        let groups = groupDuplicates(rows);
+        if (options.group) {
+            groups = groups.filter(group => group.some(row => row.id === options.group));
+        }
+
+        summary[table] = { rows: rows.length, hashed, unhashed, groups: [], merged: 0, deleted: 0 };
+        console.log(`   ${groups.length} group${groups.length === 1 ? '' : 's'} of duplicates in ${rows.length} rows`);
+        if (unhashed > 0) {
+            console.log(`   ⚠️  ${unhashed} row${unhashed === 1 ? ' has' : 's have'} no hashes and ${unhashed === 1 ? 'was' : 'were'} not compared (run with --backfill)`);
+        }
+
+        for (const [index, group] of groups.entries()) {
+            const { kept, others } = splitGroup(group, options.keep);
+            printGroup(index, kept, others);
+            summary[table].groups.push({ kept: kept.id, duplicates: others.map(row => row.id) });
+
+            if (options.merge) {
+                await mergeInto(storage, table, kept, others, designs, options.dryRun);
+                summary[table].merged++;
+            }
+            if (options.merge || options.delete) {
+                summary[table].deleted += await deleteOthers(table, kept, others, options.dryRun);
+            }
+        }
+    }
+
+    console.log('\n' + '━'.repeat(50));
+    for (const [table, counts] of Object.entries(summary)) {
+        const done = action === 'report' ? '' : `, ${counts.deleted} ${options.dryRun ? 'to delete' : 'deleted'}`;
+        console.log(`📊 ${table}: ${counts.groups.length} group${counts.groups.length === 1 ? '' : 's'}${done}${counts.hashed ? `, ${counts.hashed} hashed` : ''}`);
+    }
+    console.log('');
+
+    return summary;
+}
+
+// Run when invoked directly
+if (path.resolve(process.argv[1]) === __filename) {
+    const options = parseArgs();
+    runMain('dedupe', () => runDedupe(options), options);
+}
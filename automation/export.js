@@ -0,0 +1,279 @@
+/**
+ * Listing Export: Design Library → marketplace listing packs
+ *
+ * Builds a listing pack per sales channel (catalog/channels.json) from finished designs
+ * in the Design Library. A listing is one design in all its colourways: designs made
+ * from the same inspiration are grouped together, with the Step 1 mockup (or the first
+ * colour in the catalogue) as the main image, then the other colourways and the
+ * lifestyle scenes made by Step 4, in the order each channel asks for.
+ *
+ * Every pack is a ZIP of the resized images plus listing.csv; listings.csv in the export
+ * folder has the metadata of every pack.
+ *
+ * Usage:
+ *   # Every colourway of one inspiration, for all channels:
+ *   node export.js --inspirationId "abc123-uuid"
+ *
+ *   # Selected designs, Etsy and Amazon only:
+ *   node export.js --designId "id1,id2,id3" --channels etsy,amazon --sku NB-CAT-001
+ *
+ *   # One listing per inspiration for a category/designer:
+ *   node export.js --category Animal --designer Helen
+ *
+ * Options:
+ *   --designId       Comma-separated Design Library IDs (one listing)
+ *   --inspirationId  Export every design made from this inspiration (one listing)
+ *   --category       Export designs in this category (one listing per inspiration)
+ *   --designer       Export designs by this designer (one listing per inspiration)
+ *   --channels       Comma-separated channel IDs from catalog/channels.json (default: all)
+ *   --sku            SKU for the listing (default: <category>-<inspiration or design ID>)
+ *   --no-lifestyle   Leave out the Step 4 lifestyle scenes
+ *   --output         Folder that holds the export folders (default: ./output/exports)
+ *   --runId          Export folder name (default: export_<timestamp>)
+ *   --daemon         Non-interactive: JSON progress events on stdout, log on stderr
+ *   --result         Result record with the output paths (default with --daemon: <output>/result.json)
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { getStorage, fetchDesign, fetchInspiration } from './lib/storage/index.js';
+import { loadCatalog } from './lib/catalog.js';
+import { getChannels, buildListingPack, toCsv } from './lib/listing-export.js';
+import { runMain } from './lib/daemon.js';
+import { validateOptions, FIELDS } from './lib/validate.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        designIds: [],
+        inspirationId: '',
+        category: '',
+        designer: '',
+        channels: [],
+        sku: '',
+        lifestyle: true,
+        output: path.join(__dirname, 'output', 'exports'),
+        runId: '',
+        daemon: false,
+        result: ''
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--designId':
+                options.designIds = splitList(args[++i]);
+                break;
+            case '--inspirationId':
+                options.inspirationId = args[++i];
+                break;
+            case '--category':
+                options.category = args[++i];
+                break;
+            case '--designer':
+                options.designer = args[++i];
+                break;
+            case '--channels':
+                options.channels = splitList(args[++i]);
+                break;
+            case '--sku':
+                options.sku = args[++i];
+                break;
+            case '--no-lifestyle':
+                options.lifestyle = false;
+                break;
+            case '--output':
+                options.output = args[++i];
+                break;
+            case '--runId':
+                options.runId = args[++i];
+                break;
+            case '--daemon':
+                options.daemon = true;
+                break;
+            case '--result':
+                options.result = args[++i];
+                break;
+        }
+    }
+
+    return options;
+}
+
+function splitList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function slug(value) {
+    return String(value || 'design').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Designs to export, grouped into listings (one group per source inspiration)
+async function selectDesignGroups(options) {
+    let designs;
+    if (options.designIds.length > 0) {
+        designs = await Promise.all(options.designIds.map(fetchDesign));
+        return [designs];
+    }
+
+    const storage = getStorage();
+    if (options.inspirationId) {
+        designs = (await storage.list('designs'))
+            .filter(design => design.source_inspiration_id === options.inspirationId);
+        if (designs.length === 0) {
+            throw new Error(`No designs made from inspiration ${options.inspirationId}`);
+        }
+        return [designs];
+    }
+
+    designs = await storage.list('designs', { category: options.category, designer: options.designer });
+    const groups = new Map();
+    for (const design of designs) {
+        const key = design.source_inspiration_id || design.id;
+        groups.set(key, [...(groups.get(key) || []), design]);
+    }
+    return [...groups.values()];
+}
+
+// Turn a group of designs into a listing: main image, one design per colour, lifestyle scenes
+// (null when the group has no colourway to list)
+async function buildListing(group, options) {
+    const scenes = group.filter(design => design.source_step === 'step4');
+    const designs = group.filter(design => design.source_step !== 'step4');
+    if (designs.length === 0) return null;
+
+    const baseOrder = loadCatalog().bases.map(base => base.id);
+    const colourOf = (design) => (design.base_notebooks || [])[0] || null;
+    const rank = (design) => {
+        const index = baseOrder.indexOf(colourOf(design));
+        return index === -1 ? baseOrder.length : index;
+    };
+
+    // Newest design per colour, in catalogue order
+    const perColour = new Map();
+    for (const design of designs) {
+        const key = colourOf(design) || design.id;
+        if (!perColour.has(key)) perColour.set(key, design);
+    }
+    const ordered = [...perColour.values()].sort((a, b) => rank(a) - rank(b));
+    const main = ordered.find(design => design.source_step === 'step1') || ordered[0];
+
+    const inspirationId = main.source_inspiration_id || null;
+    let description = path.basename(main.file_name, path.extname(main.file_name));
+    if (inspirationId) {
+        try {
+            description = (await fetchInspiration(inspirationId)).description || description;
+        } catch (error) {
+            console.warn(`   ⚠️  Could not load inspiration ${inspirationId}: ${error.message}`);
+        }
+    }
+
+    const storage = getStorage();
+    const images = [];
+    for (const design of [main, ...ordered.filter(design => design !== main)]) {
+        images.push({
+            slot: design === main ? 'main' : 'colourway',
+            color: colourOf(design),
+            designId: design.id,
+            input: await storage.readFile(design.file_url)
+        });
+    }
+
+    // Lifestyle scenes (Step 4) show the design in use, often several colourways at once
+    if (options.lifestyle) {
+        for (const scene of scenes) {
+            images.push({
+                slot: 'lifestyle',
+                color: null,
+                designId: scene.id,
+                input: await storage.readFile(scene.file_url)
+            });
+        }
+    }
+
+    return {
+        sku: options.sku || `${slug(main.category)}-${(inspirationId || main.id).slice(0, 8)}`,
+        description,
+        category: main.category,
+        designer: main.designer,
+        inspirationId,
+        images
+    };
+}
+
+// Main export function
+export async function runExport(options) {
+    console.log('\n📦 Listing Export: Design Library → Marketplace Packs');
+    console.log('━'.repeat(50));
+
+    validateOptions(options, {
+        designIds: { ...FIELDS.designIds, label: '--designId' }, inspirationId: FIELDS.inspirationId,
+        category: FIELDS.category, designer: FIELDS.designer, channels: FIELDS.channels, sku: FIELDS.sku, runId: FIELDS.runId
+    });
+
+    if (options.designIds.length === 0 && !options.inspirationId && !options.category && !options.designer) {
+        console.log('Usage:');
+        console.log('  node export.js --inspirationId "uuid-from-library"');
+        console.log('  node export.js --designId "id1,id2" --channels etsy,amazon');
+        console.log('  node export.js --category Animal --designer Helen');
+        throw new Error('Error: --designId, --inspirationId, --category or --designer is required');
+    }
+
+    let channels;
+    try {
+        channels = getChannels(options.channels);
+    } catch (error) {
+        throw new Error(`Error: ${error.message}`);
+    }
+
+    const groups = await selectDesignGroups(options);
+    if (groups.length === 0) {
+        throw new Error('Error: No designs match the selection');
+    }
+    if (options.sku && groups.length > 1) {
+        throw new Error('Error: --sku can only be used for a single listing');
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const exportDir = path.join(options.output, options.runId || `export_${timestamp}`);
+    fs.mkdirSync(exportDir, { recursive: true });
+
+    console.log(`🛒 Channels: ${channels.map(channel => channel.name).join(', ')}`);
+    console.log(`📚 Listings: ${groups.length}`);
+    console.log(`📁 Output: ${exportDir}`);
+    console.log('━'.repeat(50));
+
+    const rows = [];
+    for (const designs of groups) {
+        const listing = await buildListing(designs, options);
+        if (!listing) {
+            console.warn(`\n⚠️  Skipping ${designs[0].file_name}: only lifestyle scenes, no colourway to list`);
+            continue;
+        }
+        console.log(`\n📓 ${listing.sku}: "${listing.description}" (${listing.images.length} images)`);
+
+        for (const channel of channels) {
+            console.log(`\n   🛒 ${channel.name} (${channel.width}×${channel.height} ${channel.format})`);
+            rows.push(await buildListingPack(listing, channel, exportDir));
+        }
+    }
+
+    const csvPath = path.join(exportDir, 'listings.csv');
+    fs.writeFileSync(csvPath, toCsv(rows));
+
+    console.log('\n🎉 Export complete!');
+    console.log(`   Packs: ${rows.map(row => row.zip).join(', ')}`);
+    console.log(`   Metadata: ${csvPath}\n`);
+
+    return rows;
+}
+
+// Run the export when invoked directly
+if (path.resolve(process.argv[1]) === __filename) {
+    const options = parseArgs();
+    runMain('export', () => runExport(options), options);
+}
@@ -0,0 +1,61 @@
+/**
+ * Audit log: who uploaded, changed, deleted, restored, approved or ran what.
+ *
+ * Entries are rows of the `audit_log` table in the library storage backend (see
+ * lib/storage/ and supabase/migrations):
+ *
+ *   { id, created_at, user_name, action, target_table, target_id, details }
+ *
+ * The server records the actions of logged-in users. Automation scripts record their
+ * uploads as LIBRARY_USER, which the job queue sets to the user who queued the job;
+ * scripts started by hand use the operating system account.
+ */
+
+import os from 'os';
+import { getStorage } from './storage/index.js';
+
+export const AUDIT_TABLE = 'audit_log';
+
+export const AUDIT_ACTIONS = [
+    'upload', 'update', 'delete', 'restore', 'purge',
+    'run', 'approve', 'reject', 'catalog', 'tracker', 'login'
+];
+
+// Who this process acts for
+export function currentUser() {
+    if (process.env.LIBRARY_USER) return process.env.LIBRARY_USER;
+    try {
+        return os.userInfo().username;
+    } catch {
+        return 'unknown';
+    }
+}
+
+/**
+ * Add an entry to the audit log. Only warns on failure: auditing must never fail an action.
+ *
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} [entry]
+ * @param {string} [entry.user] - Username (default: currentUser())
+ * @param {string} [entry.table] - Table of the affected row
+ * @param {string} [entry.id] - ID of the affected row (or job)
+ * @param {Object} [entry.details] - Anything worth keeping, e.g. the file name or command
+ */
+export async function recordAudit(action, { user = currentUser(), table = null, id = null, details = {} } = {}) {
+    try {
+        await getStorage().insert(AUDIT_TABLE, {
+            user_name: user,
+            action,
+            target_table: table,
+            target_id: id,
+            details
+        });
+    } catch (error) {
+        console.warn(`⚠️  Audit log not updated (${action}): ${error.message}`);
+    }
+}
+
+// One page of the audit log, newest first
+export async function listAudit({ limit = 100, offset = 0 } = {}) {
+    return getStorage().page(AUDIT_TABLE, {}, { sort: 'newest', limit, offset });
+}
@@ -0,0 +1,186 @@
+/**
+ * Users, roles and login sessions for the automation server.
+ *
+ * Users live in .auth/users.json (manage them with `node users.js`), with scrypt
+ * password hashes:
+ *   { <username>: { role, salt, passwordHash, createdAt } }
+ *
+ * Roles build on each other:
+ *   designer  upload to the libraries, edit rows and tracker cards, run automation
+ *   reviewer  + approve and reject review candidates
+ *   admin     + delete and restore library rows, change the catalogue, read the audit log
+ *
+ * POST /api/auth/login returns a session token that the web UI sends as
+ * `Authorization: Bearer <token>`. Only the token's SHA-256 is kept, in
+ * .auth/sessions.json, and it expires after AUTH_SESSION_HOURS (default 12).
+ */
+
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const AUTH_DIR = path.join(__dirname, '..', '.auth');
+const USERS_PATH = path.join(AUTH_DIR, 'users.json');
+const SESSIONS_PATH = path.join(AUTH_DIR, 'sessions.json');
+
+export const ROLES = ['designer', 'reviewer', 'admin'];
+
+const SESSION_HOURS = parseFloat(process.env.AUTH_SESSION_HOURS || '12');
+
+function readJson(filePath) {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+}
+
+// Only the server's own account can read the password hashes and tokens
+function writeJson(filePath, data) {
+    fs.mkdirSync(AUTH_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function hashPassword(password, salt) {
+    return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+export function validateUsername(name) {
+    if (!/^[a-z0-9][a-z0-9._-]*$/i.test(name || '')) {
+        throw new Error(`Invalid username: "${name}" (use letters, digits, ., - and _)`);
+    }
+    return name;
+}
+
+export function validateRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role: ${role}. Available: ${ROLES.join(', ')}`);
+    }
+    return role;
+}
+
+function validatePassword(password) {
+    if (String(password || '').length < 8) {
+        throw new Error('Passwords need at least 8 characters');
+    }
+    return password;
+}
+
+// Does the user have this role or a higher one?
+export function hasRole(user, role) {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Random password for new users and resets
+export function generatePassword() {
+    return crypto.randomBytes(12).toString('base64url');
+}
+
+// Every user with their role (no password hashes)
+export function listUsers() {
+    return Object.entries(readJson(USERS_PATH))
+        .map(([username, { role, createdAt }]) => ({ username, role, createdAt }))
+        .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+export function addUser(username, role, password) {
+    validateUsername(username);
+    validateRole(role);
+    validatePassword(password);
+
+    const users = readJson(USERS_PATH);
+    if (users[username]) {
+        throw new Error(`User already exists: ${username}`);
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    users[username] = { role, salt, passwordHash: hashPassword(password, salt), createdAt: new Date().toISOString() };
+    writeJson(USERS_PATH, users);
+    return { username, role };
+}
+
+// Change a user's role or password
+export function updateUser(username, { role, password }) {
+    const users = readJson(USERS_PATH);
+    const user = users[username];
+    if (!user) {
+        throw new Error(`Unknown user: ${username}`);
+    }
+
+    if (role) {
+        user.role = validateRole(role);
+    }
+    if (password) {
+        user.salt = crypto.randomBytes(16).toString('hex');
+        user.passwordHash = hashPassword(validatePassword(password), user.salt);
+    }
+    writeJson(USERS_PATH, users);
+
+    // A new password or role takes effect at the next login
+    endSessions(username);
+    return { username, role: user.role };
+}
+
+export function removeUser(username) {
+    const users = readJson(USERS_PATH);
+    if (!users[username]) {
+        throw new Error(`Unknown user: ${username}`);
+    }
+    delete users[username];
+    writeJson(USERS_PATH, users);
+    endSessions(username);
+}
+
+// Log out every session of a user
+function endSessions(username) {
+    const sessions = readJson(SESSIONS_PATH);
+    for (const [hash, session] of Object.entries(sessions)) {
+        if (session.username === username) delete sessions[hash];
+    }
+    writeJson(SESSIONS_PATH, sessions);
+}
+
+/**
+ * Check a username and password and start a session.
+ *
+ * @returns {{token: string, user: {username: string, role: string}, expiresAt: string}}
+ */
+export function login(username, password) {
+    const user = readJson(USERS_PATH)[username || ''];
+    const expected = Buffer.from(user ? user.passwordHash : '', 'hex');
+    const actual = Buffer.from(hashPassword(String(password || ''), user ? user.salt : 'no-user'), 'hex');
+
+    if (!user || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new Error('Invalid username or password');
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + SESSION_HOURS * 60 * 60 * 1000).toISOString();
+
+    // Expired sessions are dropped whenever someone logs in
+    const now = new Date().toISOString();
+    const sessions = Object.fromEntries(Object.entries(readJson(SESSIONS_PATH)).filter(([, s]) => s.expiresAt > now));
+    sessions[hashToken(token)] = { username, createdAt: now, expiresAt };
+    writeJson(SESSIONS_PATH, sessions);
+
+    return { token, user: { username, role: user.role }, expiresAt };
+}
+
+export function logout(token) {
+    const sessions = readJson(SESSIONS_PATH);
+    delete sessions[hashToken(token || '')];
+    writeJson(SESSIONS_PATH, sessions);
+}
+
+// The user behind a session token, or null if it is unknown or expired
+export function userForToken(token) {
+    if (!token) return null;
+
+    const session = readJson(SESSIONS_PATH)[hashToken(token)];
+    if (!session || session.expiresAt <= new Date().toISOString()) return null;
+
+    const user = readJson(USERS_PATH)[session.username];
+    return user ? { username: session.username, role: user.role } : null;
+}
@@ -0,0 +1,46 @@
+/**
+ * Shared Playwright browser for the browser providers.
+ *
+ * Browsers run on a persistent profile, so the ChatGPT and Google logins are kept
+ * between runs. Each named session (see lib/sessions.js) has its own profile; the
+ * default session is .browser-data.
+ */
+
+import fs from 'fs';
+import { chromium } from 'playwright';
+import { currentSessionName, sessionDir } from './sessions.js';
+
+// Launch the persistent automation browser for a session (default: the current one)
+export async function launchBrowser({ headless, session = currentSessionName() }) {
+    console.log(`\n🚀 Launching browser (session: ${session})...`);
+
+    const userDataDir = sessionDir(session);
+    fs.mkdirSync(userDataDir, { recursive: true });
+    return chromium.launchPersistentContext(userDataDir, {
+        headless,
+        viewport: { width: 1280, height: 900 },
+        args: ['--disable-blink-features=AutomationControlled']
+    });
+}
+
+// Read an image element's (or locator's) bytes, including blob: and data: URLs that page.request cannot fetch
+export async function readImageBytes(page, imageHandle) {
+    const src = await imageHandle.getAttribute('src');
+    if (!src) return null;
+
+    if (src.startsWith('blob:') || src.startsWith('data:')) {
+        const base64 = await imageHandle.evaluate(async (img) => {
+            const response = await fetch(img.src);
+            const blob = await response.blob();
+            return new Promise((resolve) => {
+                const reader = new FileReader();
+                reader.onloadend = () => resolve(reader.result.split(',')[1]);
+                reader.readAsDataURL(blob);
+            });
+        });
+        return Buffer.from(base64, 'base64');
+    }
+
+    const imageResponse = await page.request.get(src);
+    return imageResponse.body();
+}
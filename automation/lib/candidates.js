@@ -0,0 +1,200 @@
+/**
+ * Multiple candidates per generation.
+ *
+ * Image generators vary a lot from run to run, so a step can ask for several
+ * variants of the same prompt and keep them all for review. Browser providers share
+ * one browser for all variants; each variant starts a fresh conversation.
+ *
+ * With a quality check (see lib/quality.js) every candidate is scored against its
+ * template, failures are regenerated up to `retries` times, and candidates that still
+ * fail are auto-rejected instead of uploaded.
+ */
+
+import path from 'path';
+import { launchBrowser } from './browser.js';
+import { publishDesign } from './design-library.js';
+import { writeOutputRecord } from './output.js';
+import { scoreImage, describeQuality } from './quality.js';
+import { failure } from './daemon.js';
+
+// Generate one image; with a quality check, score it and regenerate failures
+async function generateChecked(provider, args, quality) {
+    const attempts = 1 + (quality ? quality.retries || 0 : 0);
+    let result = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        if (attempt > 1) {
+            console.log(`\n🔁 Quality check failed, regenerating (attempt ${attempt} of ${attempts})`);
+        }
+
+        const savedPath = await provider.generate(args);
+        if (!savedPath) return result;
+        if (!quality) return { path: savedPath };
+
+        let score;
+        try {
+            score = await scoreImage(savedPath, quality);
+        } catch (error) {
+            console.warn(`   ⚠️  Could not score ${savedPath}: ${error.message}`);
+            return { path: savedPath };
+        }
+
+        console.log(`\n🔍 Quality: ${describeQuality(score)}`);
+        score.flags.forEach(flag => console.log(`   ⚠️  ${flag.message}`));
+
+        result = { path: savedPath, quality: { ...score, attempts: attempt } };
+        if (score.passed) break;
+    }
+
+    return result;
+}
+
+/**
+ * Generate `count` candidates with the same prompt and images.
+ *
+ * With one candidate the output path is used as is; with more, each variant is saved
+ * as <name>_v<n>.png. A failed variant is logged and skipped.
+ *
+ * @param {string} [options.mask] - Edit mask for providers that take one (see lib/providers/index.js)
+ * @param {Object} [options.quality] - Score candidates: { base, coverArea, retries } (see lib/quality.js)
+ * @returns {Promise<Array<{path: string, variant: number, quality?: Object}>>} Saved candidates in variant order
+ */
+export async function generateCandidates(provider, { prompt, images, mask = null, outputPath, count = 1, headless, keepOpen, browser, quality = null }) {
+    const retries = quality ? quality.retries || 0 : 0;
+
+    // A single image without retries keeps the provider's own browser handling (and keepOpen)
+    if (count <= 1 && !(provider.usesBrowser && retries > 0)) {
+        const result = await generateChecked(provider, { prompt, images, mask, outputPath, headless, keepOpen, browser }, quality);
+        return result ? [{ ...result, variant: 1 }] : [];
+    }
+
+    const ownsBrowser = provider.usesBrowser && !browser;
+    if (ownsBrowser) {
+        browser = await launchBrowser({ headless });
+    }
+
+    const candidates = [];
+    let lastError = null;
+
+    try {
+        for (let variant = 1; variant <= count; variant++) {
+            const variantPath = count > 1
+                ? outputPath.replace(/(\.[^./\\]+)$/, `_v${variant}$1`)
+                : outputPath;
+            if (count > 1) {
+                console.log(`\n🎲 Variant ${variant} of ${count}`);
+            }
+
+            try {
+                const result = await generateChecked(provider, {
+                    prompt,
+                    images,
+                    mask,
+                    outputPath: variantPath,
+                    headless,
+                    keepOpen: false,
+                    browser
+                }, quality);
+                if (result) {
+                    candidates.push({ ...result, variant });
+                }
+            } catch (error) {
+                console.error(`   ❌ Variant ${variant} failed: ${error.message}`);
+                lastError = error;
+            }
+        }
+    } finally {
+        if (ownsBrowser && !keepOpen) {
+            await browser.close();
+        }
+    }
+
+    // Only fail the step when no variant worked at all
+    if (candidates.length === 0 && lastError) {
+        throw lastError;
+    }
+
+    return candidates;
+}
+
+/**
+ * Write the output record for every candidate.
+ *
+ * Without review each candidate goes straight to the Design Library (unless upload is
+ * off). With review nothing is uploaded yet: candidates are marked pending and only
+ * approved ones are uploaded, from the Review tab (see lib/review.js). Candidates that
+ * failed the quality check are marked rejected and never uploaded, unless autoReject is off.
+ *
+ * @param {Array<{path: string, variant: number}>} candidates - From generateCandidates()
+ * @param {Object} meta
+ * @param {string} meta.step
+ * @param {string} meta.provider - Provider name
+ * @param {{id: string, version: string}} meta.prompt
+ * @param {Object} meta.inputs - Step inputs for the record
+ * @param {Object} meta.library - { category, designer, color, inspirationId, sourceDesignId, runId, placement }
+ * @param {boolean} meta.upload - false when the user passed --no-upload
+ * @param {boolean} meta.review - Keep candidates for review instead of uploading
+ * @param {string} meta.outputPath - Output path before variant suffixes (names the group)
+ * @param {number} meta.count - Number of variants requested
+ * @param {boolean} [meta.autoReject] - Reject candidates that failed the quality check (default: true)
+ */
+export async function recordCandidates(candidates, { step, provider, prompt, inputs, library, upload, review, outputPath, count, autoReject = true }) {
+    const group = path.basename(outputPath, path.extname(outputPath));
+    let rejected = 0;
+
+    for (const candidate of candidates) {
+        const quality = candidate.quality || null;
+        const reject = autoReject && quality && !quality.passed;
+
+        let reviewState = review ? { status: 'pending', reviewedAt: null, note: null } : null;
+        if (reject) {
+            rejected++;
+            reviewState = { status: 'rejected', reviewedAt: new Date().toISOString(), note: `Auto-rejected: ${describeQuality(quality)}` };
+            console.log(`\n🚫 Auto-rejected ${path.basename(candidate.path)} (${describeQuality(quality)})`);
+        }
+
+        const design = review || reject
+            ? null
+            : await publishDesign(candidate.path, { ...library, upload, step, provider, prompt });
+
+        writeOutputRecord(candidate.path, {
+            step,
+            provider,
+            prompt,
+            designId: design ? design.id : null,
+            inputs,
+            library,
+            candidate: { group, variant: candidate.variant, count },
+            review: reviewState,
+            quality
+        });
+    }
+
+    const pending = candidates.length - rejected;
+    if (review && pending > 0) {
+        console.log(`\n🗳️  ${pending} candidate(s) waiting for review in the web UI's Review tab`);
+    }
+}
+
+/**
+ * The candidate a step hands on: the first that passed the quality check (or wasn't scored).
+ *
+ * When every candidate failed and was auto-rejected the step made nothing usable, so it
+ * fails with QUALITY_FAILED instead of passing a rejected image to the next step; the
+ * error's `candidates` holds the rejected paths and their quality.
+ *
+ * @param {Array<{path: string, quality?: Object}>} candidates - From generateCandidates()
+ * @param {Object} [options]
+ * @param {boolean} [options.autoReject] - Same as recordCandidates() (default: true)
+ * @returns {string|null} Image path, or null when there are no candidates
+ */
+export function bestCandidate(candidates, { autoReject = true } = {}) {
+    const passed = candidates.find(candidate => !candidate.quality || candidate.quality.passed);
+    if (passed) return passed.path;
+    if (candidates.length === 0) return null;
+    if (!autoReject) return candidates[0].path;
+
+    const error = failure('QUALITY_FAILED', `Every candidate failed the quality check (${describeQuality(candidates[0].quality)})`);
+    error.candidates = candidates.map(({ path: candidatePath, quality }) => ({ path: candidatePath, quality }));
+    throw error;
+}
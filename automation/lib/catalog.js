@@ -0,0 +1,313 @@
+/**
+ * Product catalogue.
+ *
+ * catalog/products.json (repo root, also loaded by index.html) lists every product and
+ * every base template the automation can generate on. A product may list `lifestyle`
+ * scene templates for the Lifestyle Scenes step (step4-lifestyle.js):
+ *
+ *   id, name                    Used for --scene; display name
+ *   image                       Scene photo, relative to the repo root
+ *   description                 Prompt text describing the scene
+ *   positions                   One entry per notebook in the scene (e.g. "the left notebook");
+ *                               each is replaced by one finished design
+ *   instructions                Scene-specific prompt text (optional)
+ *
+ * Each base has:
+ *
+ *   id                          Used for --color, base_notebooks and file names (e.g. "blue")
+ *   product                     Product ID (e.g. "notebook")
+ *   name                        Display name
+ *   swatch                      CSS colour for the UI's colour dots
+ *   image                       Template image, relative to the repo root
+ *   aspectRatio                 Template aspect ratio, e.g. "1:1"
+ *   coverArea                   Optional { left, top, width, height } of the cover, as fractions of the
+ *                               template; where the design goes (used by lib/quality.js)
+ *   mockupDescription           Step 1 prompt text for the base (Image A)
+ *   translateDescription        Step 2 prompt text for the base (Image 2)
+ *
+ * `embossReferences` is the library of embossing & lighting references Step 1 sends as
+ * Image C. Each has:
+ *
+ *   id                          Used for --reference (e.g. "blue-dog")
+ *   name                        Display name
+ *   image                       Reference photo, relative to the repo root
+ *   description                 Step 1 prompt text for the reference (Image C)
+ *   categories                  Design categories it is the default reference for
+ *   default                     true for the reference used when no category default applies
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { invalidInput } from './validate.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const REPO_ROOT = path.join(__dirname, '..', '..');
+export const CATALOG_PATH = path.join(REPO_ROOT, 'catalog', 'products.json');
+export const TEMPLATE_DIR = path.join(REPO_ROOT, 'Template Images for Product Listing');
+
+const BASE_FIELDS = ['id', 'product', 'name', 'swatch', 'image', 'aspectRatio', 'coverArea', 'mockupDescription', 'translateDescription'];
+const OPTIONAL_FIELDS = ['swatch', 'aspectRatio', 'coverArea'];
+const REQUIRED_FIELDS = BASE_FIELDS.filter(field => !OPTIONAL_FIELDS.includes(field));
+
+// Read the catalogue (re-read every time so bases added from the UI show up straight away)
+export function loadCatalog() {
+    return JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+}
+
+// IDs of the bases of one product (default: the first product in the catalogue)
+export function baseIds(productId) {
+    const catalog = loadCatalog();
+    const product = productId || catalog.products[0].id;
+    return catalog.bases.filter(base => base.product === product).map(base => base.id);
+}
+
+// Look up a product by ID, with absolute paths to its lifestyle scene templates
+export function getProduct(id) {
+    const catalog = loadCatalog();
+    const product = catalog.products.find(p => p.id === id);
+    if (!product) {
+        throw new Error(`Unknown product: ${id}. Available products: ${catalog.products.map(p => p.id).join(', ')}`);
+    }
+
+    return {
+        ...product,
+        lifestyle: (product.lifestyle || []).map(scene => ({ ...scene, imagePath: path.join(REPO_ROOT, scene.image) }))
+    };
+}
+
+// Look up a base by ID, with absolute paths to its images
+export function getBase(id) {
+    const catalog = loadCatalog();
+    const base = catalog.bases.find(b => b.id === id);
+    if (!base) {
+        throw invalidInput('color', `Unknown base: ${id}. Available bases: ${catalog.bases.map(b => b.id).join(', ')}`);
+    }
+
+    return { ...base, imagePath: path.join(REPO_ROOT, base.image) };
+}
+
+// Throw unless every ID is a known base
+export function validateBaseIds(ids) {
+    const known = loadCatalog().bases.map(base => base.id);
+    const unknown = ids.filter(id => !known.includes(id));
+    if (ids.length === 0 || unknown.length > 0) {
+        throw invalidInput('colors', `Unknown bases: ${unknown.join(', ') || '(none)'}. Available bases: ${known.join(', ')}`);
+    }
+}
+
+// Reduce image dimensions to an aspect ratio string, e.g. 1952×1952 → "1:1"
+function aspectRatio(width, height) {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const divisor = gcd(width, height);
+    return `${width / divisor}:${height / divisor}`;
+}
+
+// Save an uploaded image into the template folder as PNG; returns its repo-relative path
+async function saveTemplateImage(buffer, name) {
+    const filePath = path.join(TEMPLATE_DIR, `${name}.png`);
+    if (fs.existsSync(filePath)) {
+        throw new Error(`Template image already exists: ${path.basename(filePath)}`);
+    }
+
+    const { width, height } = await sharp(buffer).metadata();
+    await sharp(buffer).png().toFile(filePath);
+
+    return { image: path.relative(REPO_ROOT, filePath), aspectRatio: aspectRatio(width, height) };
+}
+
+/**
+ * Add a base from the UI: saves the uploaded template image, measures the aspect ratio
+ * and adds the catalogue entry.
+ *
+ * @param {Object} fields - Catalogue fields except image and aspectRatio
+ * @param {Buffer} templateImage - Template image bytes
+ * @returns {Promise<Object>} The saved entry
+ */
+export async function createBase(fields, templateImage) {
+    // Validate before writing any files
+    const draft = { ...fields, image: 'pending' };
+    const missing = REQUIRED_FIELDS.filter(field => !draft[field]);
+    if (missing.length > 0) {
+        throw new Error(`Missing fields: ${missing.join(', ')}`);
+    }
+    if (!/^[a-z0-9-]+$/.test(fields.id)) {
+        throw new Error('Base ID may only contain lowercase letters, digits and dashes');
+    }
+    if (loadCatalog().bases.some(b => b.id === fields.id)) {
+        throw new Error(`Base already exists: ${fields.id}`);
+    }
+
+    const { image, aspectRatio } = await saveTemplateImage(templateImage, fields.id);
+    return addBase({ ...fields, image, aspectRatio });
+}
+
+/**
+ * Add a base to the catalogue.
+ *
+ * @param {Object} base - Catalogue entry (see the fields above); its image files must already exist
+ * @returns {Object} The saved entry
+ */
+export function addBase(base) {
+    const missing = REQUIRED_FIELDS.filter(field => !base[field]);
+    if (missing.length > 0) {
+        throw new Error(`Missing fields: ${missing.join(', ')}`);
+    }
+    if (!/^[a-z0-9-]+$/.test(base.id)) {
+        throw new Error('Base ID may only contain lowercase letters, digits and dashes');
+    }
+
+    const catalog = loadCatalog();
+    if (catalog.bases.some(b => b.id === base.id)) {
+        throw new Error(`Base already exists: ${base.id}`);
+    }
+    if (!catalog.products.some(p => p.id === base.product)) {
+        catalog.products.push({ id: base.product, name: base.productName || base.product });
+    }
+
+    const entry = Object.fromEntries(
+        BASE_FIELDS
+            .filter(field => base[field] !== undefined)
+            .map(field => [field, base[field]])
+    );
+    catalog.bases.push(entry);
+    fs.writeFileSync(CATALOG_PATH, JSON.stringify(catalog, null, 2) + '\n');
+
+    return entry;
+}
+
+// Every emboss reference, with the absolute path of its image and whether that exists
+export function listEmbossReferences() {
+    return (loadCatalog().embossReferences || []).map(reference => {
+        const imagePath = path.join(REPO_ROOT, reference.image);
+        return { categories: [], ...reference, imagePath, imageExists: fs.existsSync(imagePath) };
+    });
+}
+
+// Look up an emboss reference by ID
+export function getEmbossReference(id) {
+    const references = listEmbossReferences();
+    const reference = references.find(r => r.id === id);
+    if (!reference) {
+        throw new Error(`Unknown emboss reference: ${id}. Available references: ${references.map(r => r.id).join(', ') || '(none)'}`);
+    }
+    return reference;
+}
+
+// The default reference for a design category (the category's own, else the overall default), or null
+export function defaultEmbossReference(category) {
+    const references = listEmbossReferences();
+    return (category && references.find(r => r.categories.includes(category)))
+        || references.find(r => r.default)
+        || null;
+}
+
+// Save the references; a category (and the overall default) belongs to one reference only
+function saveEmbossReferences(catalog, references, owner) {
+    const claimed = owner.categories || [];
+    catalog.embossReferences = references.map(reference => {
+        if (reference.id === owner.id) return reference;
+        const { default: isDefault, ...rest } = reference;
+        return {
+            ...rest,
+            categories: (reference.categories || []).filter(category => !claimed.includes(category)),
+            ...(isDefault && !owner.default && { default: true })
+        };
+    });
+    fs.writeFileSync(CATALOG_PATH, JSON.stringify(catalog, null, 2) + '\n');
+}
+
+// Check the columns of a reference before they are saved
+function validateEmbossReference(reference) {
+    const missing = ['id', 'name', 'description'].filter(field => !String(reference[field] || '').trim());
+    if (missing.length > 0) {
+        throw new Error(`Missing fields: ${missing.join(', ')}`);
+    }
+    if (!/^[a-z0-9-]+$/.test(reference.id)) {
+        throw new Error('Reference ID may only contain lowercase letters, digits and dashes');
+    }
+    if (reference.categories && !Array.isArray(reference.categories)) {
+        throw new Error('categories must be a list of design categories');
+    }
+}
+
+/**
+ * Add an emboss reference from the UI: saves the uploaded photo into the template folder
+ * and adds the catalogue entry. Categories it claims stop being another reference's default.
+ *
+ * @param {Object} fields - { id, name, description, categories, default }
+ * @param {Buffer} image - Reference photo bytes
+ * @returns {Promise<Object>} The saved entry
+ */
+export async function createEmbossReference(fields, image) {
+    const reference = {
+        id: fields.id,
+        name: fields.name,
+        image: 'pending',
+        description: fields.description,
+        categories: fields.categories || [],
+        ...(fields.default && { default: true })
+    };
+    validateEmbossReference(reference);
+
+    const catalog = loadCatalog();
+    const references = catalog.embossReferences || [];
+    if (references.some(r => r.id === reference.id)) {
+        throw new Error(`Emboss reference already exists: ${reference.id}`);
+    }
+
+    reference.image = (await saveTemplateImage(image, `${reference.id}-emboss-reference`)).image;
+    saveEmbossReferences(catalog, [...references, reference], reference);
+    return reference;
+}
+
+/**
+ * Change an emboss reference's name, description, default categories or default flag.
+ *
+ * @param {string} id
+ * @param {Object} changes - Any of { name, description, categories, default }
+ * @returns {Object} The saved entry
+ */
+export function updateEmbossReference(id, changes) {
+    const unknown = Object.keys(changes).filter(field => !['name', 'description', 'categories', 'default'].includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Cannot change ${unknown.join(', ')} (editable: name, description, categories, default)`);
+    }
+
+    const catalog = loadCatalog();
+    const references = catalog.embossReferences || [];
+    const index = references.findIndex(r => r.id === id);
+    if (index < 0) {
+        throw new Error(`Unknown emboss reference: ${id}`);
+    }
+
+    const { default: isDefault, ...rest } = { ...references[index], ...changes };
+    const reference = isDefault ? { ...rest, default: true } : rest;
+    validateEmbossReference(reference);
+
+    references[index] = reference;
+    saveEmbossReferences(catalog, references, reference);
+    return reference;
+}
+
+// Remove an emboss reference and its photo
+export function removeEmbossReference(id) {
+    const catalog = loadCatalog();
+    const reference = (catalog.embossReferences || []).find(r => r.id === id);
+    if (!reference) {
+        throw new Error(`Unknown emboss reference: ${id}`);
+    }
+
+    catalog.embossReferences = catalog.embossReferences.filter(r => r.id !== id);
+    fs.writeFileSync(CATALOG_PATH, JSON.stringify(catalog, null, 2) + '\n');
+
+    // The photo stays if another reference still uses it
+    const imagePath = path.join(REPO_ROOT, reference.image);
+    const shared = catalog.embossReferences.some(r => r.image === reference.image);
+    if (!shared && imagePath.startsWith(TEMPLATE_DIR + path.sep) && fs.existsSync(imagePath)) {
+        fs.unlinkSync(imagePath);
+    }
+}
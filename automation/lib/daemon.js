@@ -0,0 +1,125 @@
+/**
+ * Non-interactive (daemon) mode for the automation scripts.
+ *
+ * Every script's entry point runs through runMain(), which always exits (unless the
+ * browser is kept open with --keep-open) with a code per failure type, see EXIT_CODES.
+ * With --daemon, as the automation server runs them:
+ *
+ *   - stdout carries only JSON progress events, one per line; the usual log goes to stderr
+ *   - a login is never waited for: the run fails with LOGIN_REQUIRED
+ *   - the browser is never kept open
+ *   - a result record is written to --result (default <output>/result.json)
+ *
+ * Events: { event, time, ...fields }
+ *   start   { script, pid }
+ *   stage   { stage }           opening, login, uploading, prompting, generating, downloading
+ *   output  { path, step }      a generated file was saved with its output record
+ *   result  { script, status, exitCode, failure, error, outputs, value, resultPath }
+ */
+
+import path from 'path';
+import fs from 'fs';
+
+export const EXIT_CODES = {
+    OK: 0,
+    FAILED: 1,
+    LOGIN_REQUIRED: 2,
+    UPLOAD_FAILED: 3,
+    GENERATION_TIMEOUT: 4,
+    DOWNLOAD_FAILED: 5,
+    RATE_LIMITED: 6,
+    NO_OUTPUT: 7,
+    INVALID_INPUT: 8,
+    QUALITY_FAILED: 9
+};
+
+const state = { daemon: false, outputs: [] };
+
+export function isDaemon() {
+    return state.daemon;
+}
+
+// An error with a failure type from EXIT_CODES
+export function failure(type, message) {
+    const error = new Error(message);
+    error.failure = type;
+    return error;
+}
+
+// Give errors from a step a failure type, unless they already have one
+export async function failAs(type, promise) {
+    try {
+        return await promise;
+    } catch (error) {
+        if (!EXIT_CODES[error.failure]) error.failure = type;
+        throw error;
+    }
+}
+
+// Emit a progress event (written to stdout in daemon mode only)
+export function emit(event, fields = {}) {
+    if (event === 'output' && fields.path && !state.outputs.includes(fields.path)) {
+        state.outputs.push(fields.path);
+    }
+    if (!state.daemon) return;
+    process.stdout.write(JSON.stringify({ event, time: new Date().toISOString(), ...fields }) + '\n');
+}
+
+/**
+ * Run a script's main function, write the result and exit.
+ *
+ * @param {string} script - Script name for the events and result record, e.g. 'step1'
+ * @param {Function} main - async () → value (a path, a list of paths or a summary)
+ * @param {Object} options - The script's parsed options
+ * @param {boolean} [options.daemon] - Daemon mode (--daemon)
+ * @param {boolean} [options.keepOpen] - Leave the browser open after a successful run (--keep-open)
+ * @param {string} [options.result] - Result record path (--result)
+ * @param {string} [options.output] - Output folder; the result record defaults to result.json in it
+ * @param {boolean} [requireOutput] - A run that saved nothing fails with NO_OUTPUT
+ */
+export async function runMain(script, main, options, { requireOutput = false } = {}) {
+    if (options.daemon) {
+        state.daemon = true;
+        options.keepOpen = false;
+        // Keep stdout for the events
+        console.log = console.error;
+        console.info = console.error;
+    }
+
+    emit('start', { script, pid: process.pid });
+
+    let value = null;
+    let error = null;
+    try {
+        value = await main();
+        if (requireOutput && state.outputs.length === 0) {
+            throw failure('NO_OUTPUT', 'The run finished without saving an output');
+        }
+    } catch (caught) {
+        error = caught;
+        console.error(`\n❌ ${error.message}`);
+    }
+
+    const failureType = error ? (EXIT_CODES[error.failure] ? error.failure : 'FAILED') : null;
+    const result = {
+        script,
+        status: error ? 'failed' : 'succeeded',
+        exitCode: EXIT_CODES[failureType || 'OK'],
+        failure: failureType,
+        error: error ? error.message : null,
+        outputs: state.outputs,
+        value: value === undefined ? null : value,
+        resultPath: null
+    };
+
+    if (options.daemon || options.result) {
+        result.resultPath = path.resolve(options.result || path.join(options.output || '.', 'result.json'));
+        fs.mkdirSync(path.dirname(result.resultPath), { recursive: true });
+        fs.writeFileSync(result.resultPath, JSON.stringify({ ...result, finishedAt: new Date().toISOString() }, null, 2));
+    }
+    emit('result', result);
+
+    // The open browser keeps the process alive for review; Ctrl+C closes it
+    if (!error && options.keepOpen) return result;
+    process.exit(result.exitCode);
+}
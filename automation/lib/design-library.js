@@ -0,0 +1,75 @@
+/**
+ * Automatic upload of generated images to the Design Library.
+ *
+ * Step scripts call publishDesign() after a successful generation. The image goes to
+ * the same bucket and `designs` table as the web UI's upload zone, with provenance
+ * columns recording where it came from (see supabase/migrations): the source inspiration
+ * and, for translations and emboss outputs, the design they were generated from, plus the
+ * placement Steps 1 and 2 used (see lib/placement.js). The inspiration's card on the pipeline tracker advances with it (see lib/tracker.js), and
+ * the upload is attributed to the user the script runs for (see lib/audit.js).
+ */
+
+import { uploadDesign } from './storage/index.js';
+import { advanceTracker } from './tracker.js';
+import { currentUser, recordAudit } from './audit.js';
+
+/**
+ * Upload a generated image, or explain why it was skipped.
+ *
+ * @param {string} filePath - Generated image
+ * @param {Object} meta
+ * @param {boolean} meta.upload - false when the user passed --no-upload
+ * @param {string} meta.category - From the source inspiration/design (or --category)
+ * @param {string} meta.designer - From the source inspiration/design (or --designer)
+ * @param {string|string[]} meta.color - Notebook colour(s) the image shows (→ base_notebooks)
+ * @param {string} meta.step - step1, step2, ...
+ * @param {string} meta.provider - Provider name
+ * @param {{id: string, version: string}} meta.prompt - Prompt template used
+ * @param {string} [meta.inspirationId] - Source inspiration
+ * @param {string} [meta.sourceDesignId] - Design the image was generated from (its lineage parent)
+ * @param {string} [meta.runId] - Pipeline/batch/job run that produced the image
+ * @param {Object} [meta.placement] - Placement the image was generated with (see lib/placement.js)
+ * @returns {Promise<Object|null>} The designs row, or null if not uploaded
+ */
+export async function publishDesign(filePath, { upload, category, designer, color, step, provider, prompt, inspirationId, sourceDesignId, runId, placement }) {
+    if (!upload) {
+        return null;
+    }
+    if (!category || !designer) {
+        console.log('\n☁️  Not uploading to Design Library: category and designer unknown');
+        console.log('   (start from a library inspiration/design, or pass --category and --designer)');
+        return null;
+    }
+    if (!color) {
+        console.log('\n☁️  Not uploading to Design Library: notebook colour unknown (pass --color)');
+        return null;
+    }
+
+    console.log('\n☁️  Uploading to Design Library...');
+    try {
+        const design = await uploadDesign(filePath, {
+            category,
+            designer,
+            baseNotebooks: Array.isArray(color) ? color : [color],
+            createdBy: currentUser(),
+            placement,
+            provenance: {
+                inspirationId,
+                sourceDesignId,
+                step,
+                provider,
+                promptTemplate: prompt.id,
+                promptVersion: prompt.version,
+                runId
+            }
+        });
+        console.log(`   ✅ Saved as design ${design.id}`);
+        await recordAudit('upload', { table: 'designs', id: design.id, details: { file_name: design.file_name, step, runId } });
+        await advanceTracker(design);
+        return design;
+    } catch (error) {
+        // The image is already on disk; a failed upload shouldn't fail the step
+        console.log(`   ⚠️  Upload failed: ${error.message}`);
+        return null;
+    }
+}
@@ -0,0 +1,38 @@
+import path from 'path';
+import fs from 'fs';
+import { fetchDesign } from './storage/index.js';
+import { downloadImage } from './download.js';
+
+/**
+ * Resolve the design image for Step 2 / Step 3.
+ *
+ * Accepts either a Design Library ID (downloaded to a temp file) or a local file path.
+ * Returns { imagePath, design } where design is the library row (or null for local files).
+ */
+export async function resolveDesignImage({ designId, designImage, output }) {
+    if (designId) {
+        console.log(`📥 Fetching design: ${designId}`);
+        const design = await fetchDesign(designId);
+        console.log(`   ✅ Found: "${design.file_name}"`);
+
+        console.log(`📥 Downloading design image...`);
+        const tempDir = path.join(output, '.temp');
+        if (!fs.existsSync(tempDir)) {
+            fs.mkdirSync(tempDir, { recursive: true });
+        }
+        const tempFile = path.join(tempDir, `design_${Date.now()}.png`);
+        await downloadImage(design.file_url, tempFile);
+        console.log(`   ✅ Downloaded to temp file`);
+
+        return { imagePath: tempFile, design };
+    }
+
+    if (designImage) {
+        if (!fs.existsSync(designImage)) {
+            throw new Error(`Design image not found: ${designImage}`);
+        }
+        return { imagePath: designImage, design: null };
+    }
+
+    throw new Error('--designId or --designImage is required');
+}
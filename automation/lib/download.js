@@ -0,0 +1,182 @@
+/**
+ * Image downloads for the automation scripts (library images and --designUrl).
+ *
+ * downloadImage() only fetches http(s) URLs, follows at most DOWNLOAD_MAX_REDIRECTS
+ * redirects (default 5), gives up after DOWNLOAD_TIMEOUT_MS (default 30 s) and stops
+ * reading past DOWNLOAD_MAX_BYTES (default 25 MB). The response must be a 200 with an
+ * image content type (or a generic application/octet-stream).
+ *
+ * The real format is detected from the file's first bytes, whatever the content type or
+ * URL says, and the image is converted to the format of the output path's extension
+ * (.png, .jpg or .webp) when they differ, so a WebP saved as design.png is a PNG.
+ *
+ * Every failure has `failure` DOWNLOAD_FAILED (exit code 5, see lib/daemon.js) and a `code`:
+ *   DOWNLOAD_BAD_URL             not an http(s) URL, or a redirect to one
+ *   DOWNLOAD_HTTP_STATUS         any status but 200 (after redirects)
+ *   DOWNLOAD_TOO_MANY_REDIRECTS  more redirects than allowed
+ *   DOWNLOAD_TOO_LARGE           larger than allowed
+ *   DOWNLOAD_NOT_AN_IMAGE        a non-image content type, or content that isn't a known image format
+ *   DOWNLOAD_TIMEOUT             no answer in time
+ *   DOWNLOAD_NETWORK             the connection failed
+ */
+
+import fs from 'fs';
+import path from 'path';
+import https from 'https';
+import http from 'http';
+import sharp from 'sharp';
+import { localFilePath } from './storage/local.js';
+import { failure } from './daemon.js';
+import { detectImageFormat } from './mime.js';
+
+export const DOWNLOAD_LIMITS = {
+    maxBytes: parseInt(process.env.DOWNLOAD_MAX_BYTES || String(25 * 1024 * 1024), 10),
+    maxRedirects: parseInt(process.env.DOWNLOAD_MAX_REDIRECTS || '5', 10),
+    timeout: parseInt(process.env.DOWNLOAD_TIMEOUT_MS || '30000', 10)
+};
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Formats a download can be saved as, by output extension
+const OUTPUT_FORMATS = { '.png': 'png', '.jpg': 'jpeg', '.jpeg': 'jpeg', '.webp': 'webp' };
+
+// A DOWNLOAD_FAILED error with a more specific code
+function downloadError(code, message) {
+    const error = failure('DOWNLOAD_FAILED', message);
+    error.code = code;
+    return error;
+}
+
+function parseUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw downloadError('DOWNLOAD_BAD_URL', `Not a valid URL: ${url}`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw downloadError('DOWNLOAD_BAD_URL', `Only http and https URLs can be downloaded: ${url}`);
+    }
+    return parsed;
+}
+
+const formatBytes = (bytes) => bytes >= 1024 * 1024 ? `${Math.round(bytes / 1024 / 1024)} MB` : `${bytes} bytes`;
+
+const tooLarge = (url, maxBytes) =>
+    downloadError('DOWNLOAD_TOO_LARGE', `Download too large: ${url} is over ${formatBytes(maxBytes)}`);
+
+// GET one URL without following redirects → { redirect, status } or { body }
+function fetchOnce(url, { maxBytes, timeout }) {
+    return new Promise((resolve, reject) => {
+        const protocol = url.protocol === 'https:' ? https : http;
+
+        const request = protocol.get(url, (response) => {
+            const { statusCode, headers } = response;
+
+            if (REDIRECT_STATUSES.includes(statusCode)) {
+                response.resume();
+                resolve({ redirect: headers.location || null, status: statusCode });
+                return;
+            }
+            if (statusCode !== 200) {
+                response.resume();
+                reject(downloadError('DOWNLOAD_HTTP_STATUS', `Download failed: HTTP ${statusCode} for ${url.href}`));
+                return;
+            }
+
+            const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if (contentType && !contentType.startsWith('image/') && contentType !== 'application/octet-stream') {
+                response.resume();
+                reject(downloadError('DOWNLOAD_NOT_AN_IMAGE', `Not an image: ${url.href} is ${contentType}`));
+                return;
+            }
+            if (parseInt(headers['content-length'], 10) > maxBytes) {
+                request.destroy(tooLarge(url.href, maxBytes));
+                return;
+            }
+
+            // Servers may leave out or understate the length, so count while reading
+            const chunks = [];
+            let size = 0;
+            response.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    reject(tooLarge(url.href, maxBytes));
+                    request.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            response.on('end', () => resolve({ body: Buffer.concat(chunks) }));
+            response.on('error', (error) => reject(downloadError('DOWNLOAD_NETWORK', `Download failed: ${error.message} for ${url.href}`)));
+        });
+
+        request.setTimeout(timeout, () => {
+            request.destroy(downloadError('DOWNLOAD_TIMEOUT', `Download timed out after ${timeout / 1000} s: ${url.href}`));
+        });
+        request.on('error', (error) => {
+            reject(error.failure ? error : downloadError('DOWNLOAD_NETWORK', `Download failed: ${error.message} for ${url.href}`));
+        });
+    });
+}
+
+// Fetch an image's bytes, following redirects up to the limit
+async function fetchImage(url, limits) {
+    let current = parseUrl(url);
+
+    for (let redirects = 0; ; redirects++) {
+        const response = await fetchOnce(current, limits);
+        if (!response.redirect) {
+            if (response.body === undefined) {
+                throw downloadError('DOWNLOAD_HTTP_STATUS', `Download failed: HTTP ${response.status} without a Location for ${current.href}`);
+            }
+            return response.body;
+        }
+        if (redirects >= limits.maxRedirects) {
+            throw downloadError('DOWNLOAD_TOO_MANY_REDIRECTS', `Download failed: more than ${limits.maxRedirects} redirects for ${url}`);
+        }
+        current = parseUrl(new URL(response.redirect, current).href);
+    }
+}
+
+// Write an image in the format the output path's extension asks for
+async function saveImage(buffer, outputPath, source) {
+    const detected = detectImageFormat(buffer);
+    if (!detected) {
+        throw downloadError('DOWNLOAD_NOT_AN_IMAGE', `Not an image: ${source} is not PNG, JPEG, WebP, GIF, AVIF or TIFF`);
+    }
+
+    const target = OUTPUT_FORMATS[path.extname(outputPath).toLowerCase()];
+    if (target && target !== detected.format) {
+        try {
+            buffer = await sharp(buffer).toFormat(target).toBuffer();
+        } catch (error) {
+            throw downloadError('DOWNLOAD_NOT_AN_IMAGE', `Could not convert ${source} from ${detected.format} to ${target}: ${error.message}`);
+        }
+    }
+
+    fs.writeFileSync(outputPath, buffer);
+    return outputPath;
+}
+
+/**
+ * Download an image to a local file (files in the local library are read from disk).
+ *
+ * @param {string} url - http(s) URL, or a local library file URL
+ * @param {string} outputPath - Where to save it; the extension picks the saved format
+ * @param {Object} [limits] - Overrides of DOWNLOAD_LIMITS: { maxBytes, maxRedirects, timeout }
+ * @returns {Promise<string>} outputPath
+ */
+export async function downloadImage(url, outputPath, limits = {}) {
+    const { maxBytes, maxRedirects, timeout } = { ...DOWNLOAD_LIMITS, ...limits };
+
+    const localPath = localFilePath(url);
+    if (localPath) {
+        if (fs.statSync(localPath).size > maxBytes) {
+            throw tooLarge(url, maxBytes);
+        }
+        return saveImage(fs.readFileSync(localPath), outputPath, url);
+    }
+
+    return saveImage(await fetchImage(url, { maxBytes, maxRedirects, timeout }), outputPath, url);
+}
@@ -0,0 +1,357 @@
+/**
+ * Persistent job queue for the automation server.
+ *
+ * Each job runs one automation script as a child process. Jobs wait in a FIFO queue
+ * and at most `concurrency` run at once. Job records are saved to <dir>/jobs.json and
+ * each job's full log to <dir>/logs/<id>.log, so history survives server restarts.
+ *
+ * Jobs that drive a browser provider also need a browser session (lib/sessions.js):
+ * one that isn't busy and whose login isn't known to be expired or limited is added as
+ * --session when the job starts, so no two jobs share a profile. A job that names its
+ * own --session waits for that one. When a job on an assigned session fails with
+ * RATE_LIMITED or LOGIN_REQUIRED, it is queued again on the next available session.
+ *
+ * Job record:
+ *   { id, type, label, args, status, exitCode, createdAt, startedAt, finishedAt,
+ *     outputDir, outputFiles, retryOf, error, stage, failure, outputs, session, user }
+ *
+ * `user` is who queued the job; the script runs with LIBRARY_USER set to it, so its
+ * uploads are attributed to them (see lib/audit.js).
+ *
+ * status is one of: queued, running, succeeded, failed, cancelled
+ *
+ * Scripts run with --daemon (see lib/daemon.js): their JSON events on stdout set `stage`
+ * while running and `failure`, `error` and `outputs` (absolute paths) from the final
+ * result; the human-readable log comes from stderr.
+ *
+ * The queue emits:
+ *   'job'  (job)          whenever a record changes
+ *   'log'  ({ id, text }) for every chunk of child output
+ */
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import path from 'path';
+import fs from 'fs';
+import { EXIT_CODES } from './daemon.js';
+import { pickSession, browserProvidersFor } from './sessions.js';
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+// Other outputs worth linking from the Jobs tab (listing export packs, product videos)
+const DOWNLOAD_EXTENSIONS = ['.zip', '.mp4', '.webm'];
+
+// Failures another session may not have
+const FAILOVER_EXIT_CODES = [EXIT_CODES.RATE_LIMITED, EXIT_CODES.LOGIN_REQUIRED];
+
+export const DEFAULT_CONCURRENCY = 1;
+
+/**
+ * Parse a concurrency setting such as JOB_CONCURRENCY.
+ *
+ * Unset or not a whole number falls back to DEFAULT_CONCURRENCY (with a warning); a
+ * number below 1 is refused, since no job could ever start.
+ *
+ * @param {string} [value]
+ * @param {string} [name] - What to call the setting in messages
+ * @returns {number}
+ */
+export function parseConcurrency(value, name = 'JOB_CONCURRENCY') {
+    if (value === undefined || value === null || String(value).trim() === '') return DEFAULT_CONCURRENCY;
+
+    const concurrency = Number(String(value).trim());
+    if (!Number.isInteger(concurrency)) {
+        console.warn(`⚠️  ${name} is not a whole number ("${value}"); using ${DEFAULT_CONCURRENCY}`);
+        return DEFAULT_CONCURRENCY;
+    }
+    if (concurrency < 1) {
+        throw new Error(`${name} must be at least 1 (got ${value})`);
+    }
+    return concurrency;
+}
+
+// Session named by the job's own arguments (before the per-job --output), if any
+function requestedSession(args) {
+    const outputIndex = args.lastIndexOf('--output');
+    const own = outputIndex >= 0 ? args.slice(0, outputIndex) : args;
+    const sessionIndex = own.indexOf('--session');
+    return sessionIndex >= 0 ? own[sessionIndex + 1] : null;
+}
+
+// List generated files under a folder (relative paths, skipping temp downloads)
+function listOutputFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const files = [];
+    const walk = (current) => {
+        for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+            if (entry.name === '.temp') continue;
+            const fullPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                walk(fullPath);
+            } else if (IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+                || DOWNLOAD_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+                || entry.name === 'manifest.json') {
+                files.push(path.relative(dir, fullPath));
+            }
+        }
+    };
+    walk(dir);
+
+    return files.sort();
+}
+
+/**
+ * Create a job queue.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Folder for jobs.json and logs
+ * @param {string} options.cwd - Working directory for the child processes
+ * @param {string} options.outputRoot - Each job writes into <outputRoot>/<jobId>
+ * @param {number} [options.concurrency] - Maximum jobs running at once, at least 1 (default: 1)
+ */
+export function createJobQueue({ dir, cwd, outputRoot, concurrency = DEFAULT_CONCURRENCY }) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`Job concurrency must be a whole number of at least 1 (got ${concurrency})`);
+    }
+
+    const events = new EventEmitter();
+    const jobsFile = path.join(dir, 'jobs.json');
+    const logsDir = path.join(dir, 'logs');
+    const children = new Map();
+
+    fs.mkdirSync(logsDir, { recursive: true });
+
+    const jobs = fs.existsSync(jobsFile)
+        ? JSON.parse(fs.readFileSync(jobsFile, 'utf8'))
+        : [];
+
+    // Anything still running when the server stopped can't be resumed
+    for (const job of jobs) {
+        if (job.status === 'running') {
+            job.status = 'failed';
+            job.error = 'Interrupted by server restart';
+            job.finishedAt = job.finishedAt || new Date().toISOString();
+        }
+    }
+
+    function save() {
+        fs.writeFileSync(jobsFile, JSON.stringify(jobs, null, 2));
+    }
+
+    function update(job, changes) {
+        Object.assign(job, changes);
+        save();
+        events.emit('job', job);
+    }
+
+    function logPath(id) {
+        return path.join(logsDir, `${id}.log`);
+    }
+
+    function appendLog(job, text) {
+        fs.appendFileSync(logPath(job.id), text);
+        events.emit('log', { id: job.id, text });
+    }
+
+    // Daemon events update the job; anything else on stdout goes to the log
+    function handleStdout(job, line) {
+        let event = null;
+        try {
+            event = line.startsWith('{') ? JSON.parse(line) : null;
+        } catch (error) {
+            // Not an event
+        }
+
+        if (!event || !event.event) {
+            appendLog(job, line + '\n');
+        } else if (event.event === 'stage') {
+            update(job, { stage: event.stage });
+        } else if (event.event === 'result') {
+            update(job, { failure: event.failure, error: event.error, outputs: event.outputs || [] });
+        }
+    }
+
+    function start(job, session) {
+        const changes = { status: 'running', startedAt: new Date().toISOString(), session };
+        if (session && !requestedSession(job.args)) {
+            changes.args = [...job.args, '--session', session];
+        }
+        update(job, changes);
+        appendLog(job, `$ node ${job.args.join(' ')}\n`);
+
+        const child = spawn('node', job.args, {
+            cwd,
+            env: job.user ? { ...process.env, LIBRARY_USER: job.user } : process.env,
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        children.set(job.id, child);
+
+        let pending = '';
+        child.stdout.on('data', (data) => {
+            const lines = (pending + data.toString()).split('\n');
+            pending = lines.pop();
+            lines.forEach(line => handleStdout(job, line));
+        });
+        child.stderr.on('data', (data) => appendLog(job, data.toString()));
+
+        child.on('error', (error) => {
+            appendLog(job, `\n❌ ${error.message}\n`);
+        });
+
+        child.on('close', (code) => {
+            children.delete(job.id);
+            if (pending) handleStdout(job, pending);
+
+            let status = code === 0 ? 'succeeded' : 'failed';
+            if (job.cancelRequested) status = 'cancelled';
+
+            update(job, {
+                status,
+                exitCode: code,
+                finishedAt: new Date().toISOString(),
+                outputFiles: listOutputFiles(job.outputDir)
+            });
+            // Only sessions the queue picked are swapped; a --session the caller asked for is kept
+            if (status === 'failed' && job.session && !requestedSession(job.args) && FAILOVER_EXIT_CODES.includes(code)) {
+                failover(job);
+            }
+            pump();
+        });
+    }
+
+    // Queue a job that hit a limit or a logged-out session again, on the next session
+    function failover(job) {
+        // A busy session is fine: the new job waits for it
+        if (!pickSession(browserProvidersFor(job.args))) {
+            appendLog(job, `\n⚠️  No other browser session is available to take over this job\n`);
+            return;
+        }
+
+        const retried = retry(job.id, job.user);
+        appendLog(job, `\n↪️  Session ${job.session} is ${job.failure === 'LOGIN_REQUIRED' ? 'logged out' : 'limited'}; queued again as job ${retried.id}\n`);
+    }
+
+    function busySessions() {
+        return jobs.filter(job => job.status === 'running' && job.session).map(job => job.session);
+    }
+
+    // Start queued jobs until the concurrency limit is reached; browser jobs also need a free session
+    function pump() {
+        for (const job of jobs.filter(j => j.status === 'queued')) {
+            if (jobs.filter(j => j.status === 'running').length >= concurrency) return;
+
+            const providers = browserProvidersFor(job.args);
+            if (providers.length === 0) {
+                start(job, null);
+                continue;
+            }
+
+            const busy = busySessions();
+            const requested = requestedSession(job.args);
+            if (requested) {
+                if (!busy.includes(requested)) start(job, requested);
+                continue;
+            }
+
+            const session = pickSession(providers, busy);
+            if (session) {
+                start(job, session);
+            } else if (!pickSession(providers)) {
+                // Not waiting for a busy session: every session is logged out or limited
+                update(job, {
+                    status: 'failed',
+                    finishedAt: new Date().toISOString(),
+                    error: `No browser session can run ${providers.join(' and ')}: log in with node login.js or wait for the limit to reset`
+                });
+                appendLog(job, `❌ ${job.error}\n`);
+            }
+        }
+    }
+
+    /**
+     * Queue a new job.
+     *
+     * @param {Object} spec
+     * @param {string} spec.type - step1, step2, step3, pipeline, ...
+     * @param {string} spec.label - Human-readable name for logs and the UI
+     * @param {string[]} spec.args - Script and arguments (without --output and --runId, which are added per job)
+     * @param {string} [spec.retryOf] - ID of the job this one retries
+     * @param {string} [spec.user] - Username of who queued it
+     */
+    function enqueue({ type, label, args, retryOf = null, user = null }) {
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const outputDir = path.join(outputRoot, id);
+
+        const job = {
+            id,
+            type,
+            label,
+            args: [...args, '--output', outputDir, '--runId', id, '--daemon'],
+            status: 'queued',
+            exitCode: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            outputDir,
+            outputFiles: [],
+            retryOf,
+            error: null,
+            stage: null,
+            failure: null,
+            outputs: [],
+            session: null,
+            user
+        };
+
+        jobs.push(job);
+        save();
+        events.emit('job', job);
+        pump();
+
+        return job;
+    }
+
+    function get(id) {
+        return jobs.find(job => job.id === id) || null;
+    }
+
+    function list() {
+        return [...jobs].reverse();
+    }
+
+    function readLog(id) {
+        return fs.existsSync(logPath(id)) ? fs.readFileSync(logPath(id), 'utf8') : '';
+    }
+
+    function cancel(id) {
+        const job = get(id);
+        if (!job) return null;
+
+        if (job.status === 'queued') {
+            update(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+        } else if (job.status === 'running') {
+            job.cancelRequested = true;
+            appendLog(job, '\n⛔ Cancel requested\n');
+            children.get(id)?.kill('SIGTERM');
+        }
+
+        return job;
+    }
+
+    // Queue a job again, for the user who asked (default: whoever queued the original)
+    function retry(id, user = null) {
+        const job = get(id);
+        if (!job) return null;
+
+        // Drop the old --output/--runId so the new job gets its own folder and ID
+        const outputIndex = job.args.lastIndexOf('--output');
+        const args = outputIndex >= 0 ? job.args.slice(0, outputIndex) : job.args;
+
+        return enqueue({ type: job.type, label: job.label, args, retryOf: job.id, user: user || job.user || null });
+    }
+
+    save();
+    pump();
+
+    return { events, enqueue, get, list, readLog, cancel, retry, concurrency };
+}
@@ -0,0 +1,214 @@
+/**
+ * Marketplace listing packs.
+ *
+ * catalog/channels.json holds one profile per sales channel:
+ *
+ *   id, name             Channel ID (for --channels) and display name
+ *   width, height        Required image size in px
+ *   fit                  contain (pad with the background colour) or cover (crop to fill)
+ *   background           Padding and transparency colour
+ *   whiteBackground      Make near-white backgrounds pure white: main, all or none
+ *   format, quality      jpeg or png; starting JPEG quality
+ *   maxFileSizeKB        Per-image limit; JPEG quality is lowered (PNG palettised) to fit
+ *   maxImages            Images per listing
+ *   imageOrder           Order of the image slots: main, colourways, lifestyle
+ *   naming               File names; tokens {sku} {index} {code} {slot} {color} {ext}
+ *                        ({code} is MAIN, PT01, PT02, ...)
+ *   titleTemplate        Listing title; token {description}
+ *   maxTitleLength       Titles are cut to this length
+ *
+ * A listing is one design in all its colourways: each image is rendered for the
+ * channel, then the images and a one-row listing.csv are zipped together.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import sharp from 'sharp';
+import { REPO_ROOT } from './catalog.js';
+import { createZip } from './zip.js';
+import { emit } from './daemon.js';
+
+export const CHANNELS_PATH = path.join(REPO_ROOT, 'catalog', 'channels.json');
+
+const SLOTS = ['main', 'colourways', 'lifestyle'];
+// whiteBackground: pixels with all three channels at or above this become pure white
+const WHITE_THRESHOLD = 240;
+const MIN_JPEG_QUALITY = 50;
+
+export const CSV_COLUMNS = ['channel', 'sku', 'title', 'category', 'designer', 'colours', 'design_ids', 'source_inspiration_id', 'image_count', 'images', 'zip'];
+
+// Read the channel profiles
+export function loadChannels() {
+    return JSON.parse(fs.readFileSync(CHANNELS_PATH, 'utf8')).channels;
+}
+
+// Profiles for the given IDs (default: every channel)
+export function getChannels(ids = []) {
+    const channels = loadChannels();
+    if (ids.length === 0) return channels;
+
+    const unknown = ids.filter(id => !channels.some(channel => channel.id === id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown channels: ${unknown.join(', ')}. Available channels: ${channels.map(c => c.id).join(', ')}`);
+    }
+    return ids.map(id => channels.find(channel => channel.id === id));
+}
+
+// Quote a CSV field when needed
+function csvField(value) {
+    const text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV text for rows of CSV_COLUMNS
+export function toCsv(rows) {
+    return [CSV_COLUMNS, ...rows.map(row => CSV_COLUMNS.map(column => row[column]))]
+        .map(cells => cells.map(csvField).join(','))
+        .join('\n') + '\n';
+}
+
+// Listing title from the channel template, cut to the channel's limit
+export function listingTitle(channel, description) {
+    const title = channel.titleTemplate.replace('{description}', description).replace(/\s+/g, ' ').trim();
+    return title.length > channel.maxTitleLength
+        ? title.slice(0, channel.maxTitleLength - 1).trimEnd() + '…'
+        : title;
+}
+
+// File name from the channel's naming scheme
+export function listingFileName(channel, { sku, index, slot, color }) {
+    const tokens = {
+        sku,
+        index: String(index).padStart(2, '0'),
+        code: index === 1 ? 'MAIN' : `PT${String(index - 1).padStart(2, '0')}`,
+        slot,
+        color: color ? `-${color}` : '',
+        ext: channel.format === 'png' ? 'png' : 'jpg'
+    };
+    return channel.naming.replace(/\{(\w+)\}/g, (match, token) => (token in tokens ? tokens[token] : match));
+}
+
+// Set near-white pixels to pure white (marketplaces like Amazon require it for the main image)
+async function whitenBackground(buffer) {
+    const { data, info } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    for (let i = 0; i < data.length; i += 3) {
+        if (data[i] >= WHITE_THRESHOLD && data[i + 1] >= WHITE_THRESHOLD && data[i + 2] >= WHITE_THRESHOLD) {
+            data[i] = data[i + 1] = data[i + 2] = 255;
+        }
+    }
+    return sharp(data, { raw: info }).png().toBuffer();
+}
+
+// Encode for the channel, lowering quality until the file fits the size limit
+async function encode(buffer, channel) {
+    const limit = channel.maxFileSizeKB * 1024;
+
+    if (channel.format === 'png') {
+        let output = await sharp(buffer).png({ compressionLevel: 9 }).toBuffer();
+        if (output.length > limit) {
+            output = await sharp(buffer).png({ compressionLevel: 9, palette: true }).toBuffer();
+        }
+        return output;
+    }
+
+    let output;
+    for (let quality = channel.quality; quality >= MIN_JPEG_QUALITY; quality -= 5) {
+        output = await sharp(buffer).jpeg({ quality, mozjpeg: true }).toBuffer();
+        if (output.length <= limit) break;
+    }
+    return output;
+}
+
+/**
+ * Render one image for a channel.
+ *
+ * @param {Buffer|string} input - Image bytes or path
+ * @param {Object} channel - Channel profile
+ * @param {string} slot - main, colourway or lifestyle
+ * @returns {Promise<Buffer>} The encoded image
+ */
+export async function renderListingImage(input, channel, slot) {
+    let buffer = await sharp(input)
+        .flatten({ background: channel.background })
+        .resize(channel.width, channel.height, {
+            fit: channel.fit === 'cover' ? 'cover' : 'contain',
+            position: 'centre',
+            background: channel.background
+        })
+        .png()
+        .toBuffer();
+
+    if (channel.whiteBackground === 'all' || (channel.whiteBackground === 'main' && slot === 'main')) {
+        buffer = await whitenBackground(buffer);
+    }
+
+    const output = await encode(buffer, channel);
+    if (output.length > channel.maxFileSizeKB * 1024) {
+        throw new Error(`Image is ${Math.round(output.length / 1024)} KB, over the ${channel.name} limit of ${channel.maxFileSizeKB} KB`);
+    }
+    return output;
+}
+
+/**
+ * Build one channel's pack for a listing: rendered images plus listing.csv, zipped.
+ *
+ * @param {Object} listing
+ * @param {string} listing.sku
+ * @param {string} listing.description - Used in the title
+ * @param {string} listing.category
+ * @param {string} listing.designer
+ * @param {string|null} listing.inspirationId
+ * @param {Array<{slot: string, color?: string, designId?: string, input: Buffer|string}>} listing.images
+ *        slot is main, colourway or lifestyle
+ * @param {Object} channel - Channel profile
+ * @param {string} outputDir - Export folder; images go to <sku>/<channel>/, the ZIP next to them
+ * @returns {Promise<Object>} The CSV row (CSV_COLUMNS)
+ */
+export async function buildListingPack(listing, channel, outputDir) {
+    const order = channel.imageOrder.filter(slot => SLOTS.includes(slot));
+    const bySlot = {
+        main: listing.images.filter(image => image.slot === 'main'),
+        colourways: listing.images.filter(image => image.slot === 'colourway'),
+        lifestyle: listing.images.filter(image => image.slot === 'lifestyle')
+    };
+    const images = order.flatMap(slot => bySlot[slot]).slice(0, channel.maxImages);
+
+    const packDir = path.join(outputDir, listing.sku, channel.id);
+    fs.mkdirSync(packDir, { recursive: true });
+
+    const files = [];
+    for (const [i, image] of images.entries()) {
+        const name = listingFileName(channel, {
+            sku: listing.sku,
+            index: i + 1,
+            slot: image.slot,
+            color: image.color
+        });
+        const data = await renderListingImage(image.input, channel, i === 0 ? 'main' : image.slot);
+        fs.writeFileSync(path.join(packDir, name), data);
+        files.push({ name, data });
+        console.log(`   🖼️  ${name} (${Math.round(data.length / 1024)} KB)`);
+    }
+
+    const zipName = `${listing.sku}_${channel.id}.zip`;
+    const row = {
+        channel: channel.id,
+        sku: listing.sku,
+        title: listingTitle(channel, listing.description),
+        category: listing.category,
+        designer: listing.designer,
+        colours: [...new Set(images.map(image => image.color).filter(Boolean))],
+        design_ids: [...new Set(images.map(image => image.designId).filter(Boolean))],
+        source_inspiration_id: listing.inspirationId || '',
+        image_count: files.length,
+        images: files.map(file => file.name),
+        zip: zipName
+    };
+
+    const csv = toCsv([row]);
+    fs.writeFileSync(path.join(packDir, 'listing.csv'), csv);
+    fs.writeFileSync(path.join(outputDir, zipName), createZip([...files, { name: 'listing.csv', data: csv }]));
+    emit('output', { path: path.join(outputDir, zipName), step: 'export' });
+
+    return row;
+}
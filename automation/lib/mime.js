@@ -0,0 +1,30 @@
+import path from 'path';
+
+const IMAGE_MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif'
+};
+
+// Guess an image MIME type from its file extension (defaults to PNG)
+export function imageMimeType(filePath) {
+    return IMAGE_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'image/png';
+}
+
+// Image formats by their first bytes
+const IMAGE_SIGNATURES = [
+    { format: 'png', mimeType: 'image/png', extension: '.png', test: (b) => b.length >= 8 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a },
+    { format: 'jpeg', mimeType: 'image/jpeg', extension: '.jpg', test: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { format: 'gif', mimeType: 'image/gif', extension: '.gif', test: (b) => b.toString('ascii', 0, 4) === 'GIF8' },
+    { format: 'webp', mimeType: 'image/webp', extension: '.webp', test: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+    { format: 'avif', mimeType: 'image/avif', extension: '.avif', test: (b) => b.toString('ascii', 4, 8) === 'ftyp' && ['avif', 'avis'].includes(b.toString('ascii', 8, 12)) },
+    { format: 'tiff', mimeType: 'image/tiff', extension: '.tiff', test: (b) => ['II*\0', 'MM\0*'].includes(b.toString('latin1', 0, 4)) }
+];
+
+// Detect a raster image's real format from its content → { format, mimeType, extension }, or null
+export function detectImageFormat(buffer) {
+    const signature = IMAGE_SIGNATURES.find(({ test }) => test(buffer));
+    return signature ? { format: signature.format, mimeType: signature.mimeType, extension: signature.extension } : null;
+}
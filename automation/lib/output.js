@@ -0,0 +1,58 @@
+/**
+ * Output records.
+ *
+ * Every generated image gets a JSON record next to it (same name, .json extension)
+ * describing how it was made: step, provider, prompt template and version, inputs, and
+ * the Design Library ID if it was uploaded.
+ *
+ * Candidates waiting for review also carry:
+ *   library    { category, designer, color, inspirationId, runId } used when approved
+ *   candidate  { group, variant, count } - variants generated together share a group
+ *   review     { status: 'pending' | 'approved' | 'rejected', reviewedAt, note }
+ *
+ * Scored images carry `quality` from lib/quality.js: { score, passed, flags, metrics, attempts, ... }
+ */
+
+import fs from 'fs';
+import { emit } from './daemon.js';
+
+// mockup_blue_2024-01-17T12-30-45.png → mockup_blue_2024-01-17T12-30-45.json
+export function outputRecordPath(outputPath) {
+    return outputPath.replace(/\.[^./\\]+$/, '') + '.json';
+}
+
+// Write the record for a generated image (designId is set once it is in the Design Library)
+export function writeOutputRecord(outputPath, { step, provider, prompt, inputs, designId = null, library = null, candidate = null, review = null, quality = null }) {
+    const record = {
+        file: outputPath,
+        step,
+        provider,
+        promptTemplate: prompt.id,
+        promptVersion: prompt.version,
+        createdAt: new Date().toISOString(),
+        designId,
+        inputs,
+        library,
+        candidate,
+        review,
+        quality
+    };
+    fs.writeFileSync(outputRecordPath(outputPath), JSON.stringify(record, null, 2));
+    emit('output', { path: outputPath, step });
+    return record;
+}
+
+// Read the record for a generated image (null if there is none)
+export function readOutputRecord(outputPath) {
+    const recordPath = outputRecordPath(outputPath);
+    if (!fs.existsSync(recordPath)) return null;
+    return JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+}
+
+// Merge changes into an existing record (e.g. a review decision)
+export function updateOutputRecord(outputPath, changes) {
+    const record = { ...readOutputRecord(outputPath), ...changes };
+    fs.writeFileSync(outputRecordPath(outputPath), JSON.stringify(record, null, 2));
+    emit('output', { path: outputPath, step: record.step });
+    return record;
+}
@@ -0,0 +1,186 @@
+/**
+ * Perceptual hashes for duplicate detection in the libraries.
+ *
+ * Every library upload stores two hashes with its row:
+ *
+ *   content_hash  SHA-256 of the file - equal only for byte-identical uploads
+ *   phash         64-bit DCT hash of the image (16 hex characters) followed by its mean
+ *                 colour (6 hex characters). Re-encoded, resized or re-pasted copies of
+ *                 an image land within a few bits of each other
+ *
+ * The DCT hash only sees luminance, so the mean colour keeps colourways of the same
+ * design (identical structure, different leather) apart.
+ *
+ * The web UI hashes uploads in the browser with the same algorithm (index.html), so
+ * rows uploaded there and by the automation scripts compare with each other.
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+// Hash bits that may differ for a near duplicate (of 64)
+export const NEAR_DUPLICATE_DISTANCE = 6;
+// Mean colour distance (RGB, 0-441) that still counts as the same image
+export const NEAR_DUPLICATE_COLOUR = 10;
+
+const SIZE = 32;
+const LOW = 8;
+
+// 64-bit DCT hash + mean colour from SIZE x SIZE RGB pixels
+export function phashFromPixels(rgb) {
+    const gray = new Float64Array(SIZE * SIZE);
+    const mean = [0, 0, 0];
+    for (let i = 0; i < gray.length; i++) {
+        const [r, g, b] = [rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2]];
+        gray[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+        mean[0] += r;
+        mean[1] += g;
+        mean[2] += b;
+    }
+
+    // Low-frequency DCT coefficients
+    const coefficients = [];
+    for (let u = 0; u < LOW; u++) {
+        for (let v = 0; v < LOW; v++) {
+            let sum = 0;
+            for (let y = 0; y < SIZE; y++) {
+                const cy = Math.cos(((2 * y + 1) * u * Math.PI) / (2 * SIZE));
+                for (let x = 0; x < SIZE; x++) {
+                    sum += gray[y * SIZE + x] * cy * Math.cos(((2 * x + 1) * v * Math.PI) / (2 * SIZE));
+                }
+            }
+            coefficients.push(sum);
+        }
+    }
+
+    // Bits above the median (the DC term would skew it)
+    const median = [...coefficients.slice(1)].sort((a, b) => a - b)[Math.floor((coefficients.length - 1) / 2)];
+    let hash = '';
+    for (let i = 0; i < coefficients.length; i += 4) {
+        const nibble = coefficients.slice(i, i + 4).reduce((bits, value) => (bits << 1) | (value > median ? 1 : 0), 0);
+        hash += nibble.toString(16);
+    }
+
+    const colour = mean.map(total => Math.round(total / gray.length).toString(16).padStart(2, '0')).join('');
+    return hash + colour;
+}
+
+/**
+ * Hashes of an image file's bytes.
+ *
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Promise<{phash: string, contentHash: string}>}
+ */
+export async function imageHashes(buffer) {
+    const pixels = await sharp(buffer)
+        .flatten({ background: '#ffffff' })
+        .toColourspace('srgb')
+        .resize(SIZE, SIZE, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    return {
+        phash: phashFromPixels(pixels),
+        contentHash: crypto.createHash('sha256').update(buffer).digest('hex')
+    };
+}
+
+// Differing bits between the DCT parts of two hashes
+export function hashDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < 16; i++) {
+        let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (bits) {
+            distance += bits & 1;
+            bits >>= 1;
+        }
+    }
+    return distance;
+}
+
+// Euclidean distance between the mean colours of two hashes
+export function colourDistance(a, b) {
+    const channels = (hash) => [16, 18, 20].map(i => parseInt(hash.slice(i, i + 2), 16));
+    const [ca, cb] = [channels(a), channels(b)];
+    return Math.sqrt(ca.reduce((sum, value, i) => sum + (value - cb[i]) ** 2, 0));
+}
+
+/**
+ * How a row matches another: 'exact' (same file), 'near' (same image) or null.
+ *
+ * @param {{phash?: string, content_hash?: string}} a - Library row (or hashes in row form)
+ * @param {{phash?: string, content_hash?: string}} b
+ * @returns {{match: string, distance: number}|null}
+ */
+export function compareHashes(a, b) {
+    if (a.content_hash && a.content_hash === b.content_hash) {
+        return { match: 'exact', distance: 0 };
+    }
+    if (!a.phash || !b.phash) return null;
+
+    const distance = hashDistance(a.phash, b.phash);
+    if (distance <= NEAR_DUPLICATE_DISTANCE && colourDistance(a.phash, b.phash) <= NEAR_DUPLICATE_COLOUR) {
+        return { match: 'near', distance };
+    }
+    return null;
+}
+
+// Rows that duplicate the given hashes, closest first
+export function findDuplicates(rows, hashes) {
+    return rows
+        .map(row => ({ row, ...compareHashes(hashes, row) }))
+        .filter(result => result.match)
+        .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Whether two rows are steps of one lineage rather than copies: one was made from the
+ * other (through source_design_id, however many steps back), or both come from different
+ * steps of the same run. An emboss pass or a translation onto the same colour can look
+ * almost exactly like the design it was made from.
+ *
+ * @param {Object} a - Library row
+ * @param {Object} b - Library row
+ * @param {Map<string, Object>} [byId] - Rows by ID, to follow source_design_id through
+ * @returns {boolean}
+ */
+export function isLineagePair(a, b, byId = new Map()) {
+    const madeFrom = (row, ancestor) => {
+        const seen = new Set();
+        for (let id = row.source_design_id; id && !seen.has(id); id = byId.get(id)?.source_design_id) {
+            if (id === ancestor.id) return true;
+            seen.add(id);
+        }
+        return false;
+    };
+    if (madeFrom(a, b) || madeFrom(b, a)) return true;
+    return !!a.run_id && a.run_id === b.run_id && !!a.source_step && !!b.source_step && a.source_step !== b.source_step;
+}
+
+// Groups of two or more rows that duplicate each other (directly or through another row).
+// No group holds two steps of one lineage, so merging a group never deletes one of them.
+export function groupDuplicates(rows) {
+    const parent = rows.map((row, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const byId = new Map(rows.map(row => [row.id, row]));
+    const members = rows.map(row => [row]);
+
+    for (let i = 0; i < rows.length; i++) {
+        for (let j = i + 1; j < rows.length; j++) {
+            const [a, b] = [find(i), find(j)];
+            if (a === b || !compareHashes(rows[i], rows[j])) continue;
+            if (members[a].some(x => members[b].some(y => isLineagePair(x, y, byId)))) continue;
+
+            parent[b] = a;
+            members[a].push(...members[b]);
+        }
+    }
+
+    const groups = new Map();
+    rows.forEach((row, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(row);
+    });
+    return [...groups.values()].filter(group => group.length > 1);
+}
@@ -0,0 +1,197 @@
+/**
+ * Design placement: where the artwork goes on a base template and which part of the
+ * cover may change, so every colourway of a design gets the same position and scale.
+ *
+ * A placement is a plain object of fractions of the template image (like the catalogue's
+ * coverArea), set with the placement editor in the web UI's Step 1 and Translate tabs:
+ *
+ *   {
+ *     left, top, width, height   The design's box before rotation
+ *     rotation                   Degrees clockwise around the box centre (-180 to 180)
+ *     region                     Optional { left, top, width, height } that may change
+ *                                (default: the base's coverArea)
+ *   }
+ *
+ * Steps 1 and 2 put it into the prompt text (describePlacement), upload a guide image
+ * with the prompt (the template with the region outlined, everything outside it shaded
+ * and the design box marked) and give providers that take an edit mask one that only
+ * opens the region. Uploaded designs keep their placement (designs.placement) and Step 2
+ * reuses it for every colourway translated from them.
+ */
+
+import sharp from 'sharp';
+import { DEFAULT_COVER_AREA } from './quality.js';
+
+// Smallest design box or region, as a fraction of the template
+const MIN_SIZE = 0.02;
+// Allowed rounding error when a box touches the template's edge
+const EDGE_TOLERANCE = 0.001;
+
+// Guide colours: the design box and the region that may change
+const GUIDE_BOX_COLOUR = '#ff00ff';
+const GUIDE_REGION_COLOUR = '#00c853';
+
+const round = (value) => Number(value.toFixed(4));
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+// Check one { left, top, width, height } box; returns it rounded
+function checkBox(box, name) {
+    if (typeof box !== 'object' || box === null || Array.isArray(box)) {
+        throw new Error(`${name} must be an object with left, top, width and height`);
+    }
+    const values = {};
+    for (const key of ['left', 'top', 'width', 'height']) {
+        const value = Number(box[key]);
+        if (box[key] === '' || box[key] === null || !Number.isFinite(value)) {
+            throw new Error(`${name}.${key} must be a number (a fraction of the template, 0 to 1)`);
+        }
+        values[key] = round(value);
+    }
+    if (values.width < MIN_SIZE || values.height < MIN_SIZE) {
+        throw new Error(`${name} is too small (width and height must be at least ${MIN_SIZE})`);
+    }
+    if (values.left < -EDGE_TOLERANCE || values.top < -EDGE_TOLERANCE
+        || values.left + values.width > 1 + EDGE_TOLERANCE || values.top + values.height > 1 + EDGE_TOLERANCE) {
+        throw new Error(`${name} must lie inside the template (fractions from 0 to 1)`);
+    }
+    return values;
+}
+
+/**
+ * Check a placement and return it normalised (rounded fractions, rotation 0 when unset).
+ *
+ * @param {Object|string} value - A placement, or its JSON (--placement)
+ * @param {string} [name] - What to call it in error messages
+ * @returns {Object} { left, top, width, height, rotation, region? }
+ */
+export function normalizePlacement(value, name = 'placement') {
+    let placement = value;
+    if (typeof value === 'string') {
+        try {
+            placement = JSON.parse(value);
+        } catch {
+            throw new Error(`${name} must be JSON, e.g. {"left":0.3,"top":0.3,"width":0.4,"height":0.4}`);
+        }
+    }
+
+    const box = checkBox(placement, name);
+    const rotation = placement.rotation === undefined || placement.rotation === null ? 0 : Number(placement.rotation);
+    if (!Number.isFinite(rotation) || rotation < -180 || rotation > 180) {
+        throw new Error(`${name}.rotation must be between -180 and 180 degrees`);
+    }
+
+    const normalized = { ...box, rotation: round(rotation) };
+    if (placement.region) {
+        normalized.region = checkBox(placement.region, `${name}.region`);
+    }
+    return normalized;
+}
+
+// The region that may change: the placement's own, else the base's cover area
+export function placementRegion(placement, base) {
+    return placement.region || (base && base.coverArea) || DEFAULT_COVER_AREA;
+}
+
+// One-line summary for logs, e.g. "40% × 30% at 30%, 35%, rotated 10°"
+export function formatPlacement(placement) {
+    const rotation = placement.rotation ? `, rotated ${placement.rotation}°` : '';
+    const region = placement.region ? ', own region' : '';
+    return `${percent(placement.width)} × ${percent(placement.height)} at ${percent(placement.left)}, ${percent(placement.top)}${rotation}${region}`;
+}
+
+/**
+ * Placement instructions for the prompt templates' ${placement} variable.
+ *
+ * @param {Object} placement - From normalizePlacement()
+ * @param {Object} base - Catalogue base (for its cover area)
+ * @param {string} image - What the prompt calls the base template, e.g. "Image A"
+ * @returns {string} One bullet per line
+ */
+export function describePlacement(placement, base, image) {
+    const region = placementRegion(placement, base);
+    const centreX = placement.left + placement.width / 2;
+    const centreY = placement.top + placement.height / 2;
+
+    return [
+        `• Place the artwork where the placement guide's magenta box is: its centre ${percent(centreX)} from the left and ${percent(centreY)} from the top of ${image}`,
+        `• Scale the artwork to fit that box, ${percent(placement.width)} of the image width and ${percent(placement.height)} of its height, keeping its proportions`,
+        placement.rotation
+            ? `• Rotate the artwork ${Math.abs(placement.rotation)}° ${placement.rotation > 0 ? 'clockwise' : 'anticlockwise'}`
+            : '• Keep the artwork upright (no rotation)',
+        `• Only the cover area inside the green outline may change (${percent(region.left)} to ${percent(region.left + region.width)} across, ${percent(region.top)} to ${percent(region.top + region.height)} down); everything outside it must stay identical to ${image}`,
+        '• Never draw the guide\'s box, outline, shading or labels in the output'
+    ].join('\n');
+}
+
+// A { left, top, width, height } fraction box in pixels
+function pixelBox(box, width, height) {
+    return {
+        x: Math.round(box.left * width),
+        y: Math.round(box.top * height),
+        width: Math.round(box.width * width),
+        height: Math.round(box.height * height)
+    };
+}
+
+function guideSvg(placement, region, width, height) {
+    const stroke = Math.max(2, Math.round(Math.min(width, height) / 250));
+    const area = pixelBox(region, width, height);
+    const box = pixelBox(placement, width, height);
+    const centreX = box.x + box.width / 2;
+    const centreY = box.y + box.height / 2;
+    const cross = stroke * 6;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <path fill="#000000" fill-opacity="0.45" fill-rule="evenodd"
+            d="M0 0H${width}V${height}H0Z M${area.x} ${area.y}V${area.y + area.height}H${area.x + area.width}V${area.y}Z"/>
+        <rect x="${area.x}" y="${area.y}" width="${area.width}" height="${area.height}"
+            fill="none" stroke="${GUIDE_REGION_COLOUR}" stroke-width="${stroke}"/>
+        <g transform="rotate(${placement.rotation} ${centreX} ${centreY})">
+            <rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}"
+                fill="${GUIDE_BOX_COLOUR}" fill-opacity="0.15" stroke="${GUIDE_BOX_COLOUR}"
+                stroke-width="${stroke}" stroke-dasharray="${stroke * 4} ${stroke * 3}"/>
+            <line x1="${centreX}" y1="${box.y}" x2="${centreX}" y2="${box.y + box.height / 4}"
+                stroke="${GUIDE_BOX_COLOUR}" stroke-width="${stroke}"/>
+            <path d="M${centreX - cross} ${centreY}H${centreX + cross}M${centreX} ${centreY - cross}V${centreY + cross}"
+                stroke="${GUIDE_BOX_COLOUR}" stroke-width="${stroke}"/>
+        </g>
+    </svg>`;
+}
+
+// Black everywhere except the region, which is transparent (OpenAI's edit mask format)
+function maskSvg(region, width, height) {
+    const area = pixelBox(region, width, height);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <path fill="#000000" fill-rule="evenodd"
+            d="M0 0H${width}V${height}H0Z M${area.x} ${area.y}V${area.y + area.height}H${area.x + area.width}V${area.y}Z"/>
+    </svg>`;
+}
+
+/**
+ * Render the placement guide and edit mask for a base template.
+ *
+ * The guide is the template with the placement drawn over it (upload it with the
+ * prompt); the mask has the template's size and is only transparent inside the region.
+ *
+ * @param {string} basePath - Base template image
+ * @param {Object} placement - From normalizePlacement()
+ * @param {Object} base - Catalogue base (for its cover area)
+ * @param {string} outputPath - Where to save the guide; the mask goes next to it as <name>_mask.png
+ * @returns {Promise<{guidePath: string, maskPath: string}>}
+ */
+export async function renderPlacementImages(basePath, placement, base, outputPath) {
+    const region = placementRegion(placement, base);
+    const { width, height } = await sharp(basePath).metadata();
+    const maskPath = outputPath.replace(/(\.[^./\\]+)?$/, '_mask.png');
+
+    await sharp(basePath)
+        .composite([{ input: Buffer.from(guideSvg(placement, region, width, height)) }])
+        .png()
+        .toFile(outputPath);
+    await sharp(Buffer.from(maskSvg(region, width, height)))
+        .ensureAlpha()
+        .png()
+        .toFile(maskPath);
+
+    return { guidePath: outputPath, maskPath };
+}
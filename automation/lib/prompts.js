@@ -0,0 +1,139 @@
+/**
+ * Prompt builders for Step 1 (Design to Product Mockup), Step 2 (Translate Design to Base),
+ * Step 3 (Embossment Tuning) and Step 4 (Lifestyle Scenes).
+ *
+ * The prompt text lives in versioned templates under prompts/*.md, which index.html
+ * loads as well. Each template starts with a front-matter block:
+ *
+ *   ---
+ *   id: step1-mockup
+ *   version: v1
+ *   ---
+ *
+ * followed by the prompt body with ${placeholder} variables. Text between ${#name} and
+ * ${/name} is only kept when the variable `name` is set (e.g. Step 1's Image C sections,
+ * which drop out when the run has no emboss reference), and text between ${^name} and
+ * ${/name} only when it is not (e.g. the generic placement line without a placement). Bump `version` whenever the
+ * wording changes so generated images can be traced back to the text that made them.
+ *
+ * Every builder returns { text, id, version } and every image provider receives the same text.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { describePlacement } from './placement.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PROMPTS_DIR = path.join(__dirname, '..', '..', 'prompts');
+
+const templateCache = new Map();
+
+export const embossDefaults = {
+    thickness: 'two stacked 1-p coins (1.5 mm total height)',
+    elements: "the design artifacts on the notebook's cover"
+};
+
+// Split a template file into its front-matter fields and body
+export function parseTemplate(source) {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+    if (!match) {
+        throw new Error('Prompt template is missing its front-matter block');
+    }
+
+    const fields = {};
+    match[1].split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+    });
+
+    return { ...fields, body: match[2].replace(/\r?\n$/, '') };
+}
+
+// Load a template from prompts/<id>.md (cached per process)
+export function loadTemplate(id) {
+    if (!templateCache.has(id)) {
+        const templatePath = path.join(PROMPTS_DIR, `${id}.md`);
+        if (!fs.existsSync(templatePath)) {
+            throw new Error(`Prompt template not found: ${templatePath}`);
+        }
+        const template = parseTemplate(fs.readFileSync(templatePath, 'utf8'));
+        if (!template.version) {
+            throw new Error(`Prompt template has no version: ${templatePath}`);
+        }
+        templateCache.set(id, template);
+    }
+    return templateCache.get(id);
+}
+
+// Keep or drop ${#name}...${/name} and ${^name}...${/name} blocks, then fill ${placeholder}
+// variables; unknown placeholders are left untouched
+export function renderTemplate(template, variables) {
+    return template.body
+        .replace(/\$\{([#^])(\w+)\}([\s\S]*?)\$\{\/\2\}/g, (block, kind, name, text) =>
+            ((kind === '#') === !!variables[name] ? text : ''))
+        .replace(/\$\{(\w+)\}/g, (placeholder, name) =>
+            name in variables ? variables[name] : placeholder
+        );
+}
+
+function renderPrompt(id, variables) {
+    const template = loadTemplate(id);
+    return { text: renderTemplate(template, variables), id: template.id || id, version: template.version };
+}
+
+// Generate the prompt for Step 1 (base and reference are catalogue entries from
+// lib/catalog.js; without a reference the Image C sections are left out, and without a
+// placement from lib/placement.js the model picks the placement itself)
+export function generateMockupPrompt(base, designDescription, reference = null, placement = null) {
+    return renderPrompt('step1-mockup', {
+        imageA: base.mockupDescription,
+        imageB: designDescription || '[Describe Image B]',
+        imageC: reference ? reference.description : '',
+        placement: placement ? describePlacement(placement, base, 'Image A') : ''
+    });
+}
+
+// Generate the prompt for Step 2 (base is the target catalogue entry; a placement adds
+// the placement guide section)
+export function generateTranslatePrompt(image1Desc, image2Desc, base = null, placement = null) {
+    return renderPrompt('step2-translate', {
+        image1Desc: image1Desc || '[Describe Image 1]',
+        image2Desc: image2Desc || '[Describe Image 2]',
+        placement: placement ? describePlacement(placement, base, 'image 2') : ''
+    });
+}
+
+// Generate the prompt for Step 3
+export function generateEmbossPrompt(thickness, elements, exclude) {
+    let excludeSection = '';
+    if (exclude && exclude.trim()) {
+        excludeSection = `
+Do NOT emboss: ${exclude}`;
+    }
+
+    return renderPrompt('step3-emboss', {
+        thickness: thickness || '[Specify thickness]',
+        elements: elements || '[Specify elements to emboss]',
+        excludeSection
+    });
+}
+
+// Generate the prompt for Step 4 (scene is a lifestyle entry from lib/catalog.js; notebooks
+// lists the { position, color } that each product image after Image 1 goes to)
+export function generateLifestylePrompt(scene, notebooks, designDescription) {
+    const notebookImages = notebooks
+        .map((notebook, i) => `• Image ${i + 2} (${notebook.color || 'finished'} notebook) → ${notebook.position}`)
+        .join('\n');
+
+    return renderPrompt('step4-lifestyle', {
+        sceneDescription: scene.description,
+        notebookImages,
+        designDescription: designDescription || '[Describe the design]',
+        sceneInstructions: scene.instructions ? `• ${scene.instructions}` : ''
+    });
+}
@@ -0,0 +1,388 @@
+/**
+ * ChatGPT browser provider.
+ *
+ * Drives ChatGPT through Playwright using the persistent automation profile, so the
+ * ChatGPT login is kept between runs. Selectors, timeouts and retry settings come from
+ * selectors/chatgpt-browser.json (see lib/selector-profiles.js), and every step waits
+ * for a condition on the page (uploads ready, generation finished, image loaded)
+ * rather than a fixed delay. Timeouts and rate-limit notices are retried in a new
+ * chat with backoff; a usage cap fails the run at once and marks the session limited
+ * (lib/sessions.js) so the job queue moves on to another account.
+ *
+ * CHATGPT_URL points the driver at another page, e.g. the offline fixture:
+ *   CHATGPT_URL="file://$PWD/fixtures/chatgpt-browser.html" node step1-chatgpt.js ...
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { launchBrowser, readImageBytes } from '../browser.js';
+import {
+    loadSelectorProfile, selectorFor, waitForCondition, withRetries, checkSelectors, printSelectorReport
+} from '../selector-profiles.js';
+import { isDaemon, failure, failAs, emit } from '../daemon.js';
+import { recordSessionOutcome } from '../sessions.js';
+
+const PROFILE_NAME = 'chatgpt-browser';
+
+// Text typed (never sent) by the live self-test
+const SELFTEST_PROMPT = 'Selector self-test: please ignore.';
+
+// A failure retrying won't fix (a selector broke, the login timed out)
+function finalError(type, message) {
+    const error = failure(type, message);
+    error.retryable = false;
+    return error;
+}
+
+// The first notice on the page matching one of the patterns, if any
+async function noticeMatching(page, profile, patterns) {
+    if (!patterns || patterns.length === 0) return null;
+    const pattern = new RegExp(patterns.join('|'), 'i');
+    const texts = await page.locator(selectorFor(profile, 'notices')).allInnerTexts().catch(() => []);
+    const notice = texts.find(text => pattern.test(text));
+    return notice ? notice.trim().split('\n')[0].slice(0, 200) : null;
+}
+
+// A usage cap ends the run (the account is done for hours); a rate limit is waited out
+async function throwIfRateLimited(page, profile) {
+    const usageCap = await noticeMatching(page, profile, profile.usageCapPatterns);
+    if (usageCap) {
+        const error = finalError('RATE_LIMITED', `ChatGPT usage cap reached: ${usageCap}`);
+        error.usageCap = true;
+        error.cooldownMs = profile.usageCapCooldownMs;
+        throw error;
+    }
+
+    const notice = await noticeMatching(page, profile, profile.rateLimitPatterns);
+    if (notice) {
+        const error = failure('RATE_LIMITED', `ChatGPT rate limit: ${notice}`);
+        error.retryable = true;
+        error.rateLimited = true;
+        throw error;
+    }
+}
+
+// Open a new chat and wait for the composer, pausing for a login if needed
+async function openChat(page, profile, url) {
+    console.log('🌐 Opening ChatGPT...');
+    emit('stage', { stage: 'opening' });
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: profile.timeouts.pageLoad });
+
+    const composer = page.locator(selectorFor(profile, 'composer')).first();
+    const loginButton = page.locator(selectorFor(profile, 'loginButton')).first();
+
+    const state = await waitForCondition(async () => {
+        if (await loginButton.isVisible()) return 'login';
+        if (await composer.isVisible()) return 'ready';
+        return null;
+    }, { timeout: profile.timeouts.pageLoad, message: 'ChatGPT did not show the composer or a login button' });
+
+    if (state === 'login') {
+        emit('stage', { stage: 'login' });
+        if (isDaemon()) {
+            throw finalError('LOGIN_REQUIRED', 'ChatGPT login required: run once without --daemon and log in in the browser window');
+        }
+
+        console.log('\n⚠️  Please log in to ChatGPT in the browser window.');
+        console.log('   After logging in, the automation will continue automatically.\n');
+
+        try {
+            await waitForCondition(async () => !(await loginButton.isVisible()) && composer.isVisible(), {
+                timeout: profile.timeouts.login,
+                message: 'Timed out waiting for the ChatGPT login',
+                interval: 1000
+            });
+        } catch (error) {
+            throw finalError('LOGIN_REQUIRED', error.message);
+        }
+        console.log('✅ Login detected, continuing...\n');
+    }
+
+    // Close onboarding and "What's new" dialogs that would cover the composer
+    const dismissButtons = page.locator(selectorFor(profile, 'dismissButtons'));
+    for (let i = await dismissButtons.count() - 1; i >= 0; i--) {
+        await dismissButtons.nth(i).click({ timeout: 1000 }).catch(() => {});
+    }
+
+    return composer;
+}
+
+// Attach the images and wait until every upload chip is ready
+async function uploadImages(page, profile, images) {
+    console.log('📎 Uploading images...');
+    emit('stage', { stage: 'uploading' });
+    images.forEach((image) => {
+        console.log(`   📷 ${image.label}: ${path.basename(image.path)}`);
+    });
+
+    const fileInput = page.locator(selectorFor(profile, 'fileInput')).first();
+    if (await fileInput.count() === 0) {
+        // Some layouts only add the file input once the attach menu is opened
+        await page.locator(selectorFor(profile, 'attachButton')).first().click({ timeout: profile.timeouts.element }).catch(() => {});
+        try {
+            await fileInput.waitFor({ state: 'attached', timeout: profile.timeouts.element });
+        } catch (error) {
+            throw finalError('UPLOAD_FAILED', 'Could not find the file upload input (selector "fileInput"); run node step1-chatgpt.js --selftest');
+        }
+    }
+
+    const chips = page.locator(selectorFor(profile, 'uploadChip'));
+    const pending = page.locator(selectorFor(profile, 'uploadPending'));
+    const before = await chips.count();
+
+    await failAs('UPLOAD_FAILED', fileInput.setInputFiles(images.map(image => image.path)));
+
+    await failAs('UPLOAD_FAILED', waitForCondition(async () => {
+        await throwIfRateLimited(page, profile);
+        return await chips.count() >= before + images.length && await pending.count() === 0;
+    }, { timeout: profile.timeouts.upload, message: `Uploads not ready (expected ${images.length} finished upload chips)` }));
+
+    console.log('✅ Images uploaded');
+}
+
+// Type the prompt and wait for the send button to enable
+async function enterPrompt(page, profile, composer, prompt) {
+    console.log('✍️  Entering prompt...');
+    emit('stage', { stage: 'prompting' });
+    await composer.click({ timeout: profile.timeouts.element });
+
+    try {
+        await composer.fill(prompt);
+    } catch (error) {
+        console.log('   Trying alternative input method...');
+        await page.keyboard.insertText(prompt);
+    }
+
+    const sendButton = page.locator(selectorFor(profile, 'sendButton')).first();
+    await waitForCondition(async () => await sendButton.count() > 0 && sendButton.isEnabled(), {
+        timeout: profile.timeouts.element,
+        message: 'The send button did not enable after entering the prompt'
+    });
+    return sendButton;
+}
+
+/**
+ * Wait for the reply to finish with a new, fully loaded image.
+ *
+ * @returns {Promise<import('playwright').Locator>} The generated image
+ */
+async function waitForImage(page, profile, imagesBefore) {
+    const images = page.locator(selectorFor(profile, 'generatedImage'));
+    const replies = page.locator(selectorFor(profile, 'assistantMessage'));
+    const stopButton = page.locator(selectorFor(profile, 'stopButton')).first();
+    let idleSince = null;
+
+    emit('stage', { stage: 'generating' });
+    await failAs('GENERATION_TIMEOUT', waitForCondition(async () => {
+        await throwIfRateLimited(page, profile);
+
+        const answering = await stopButton.isVisible();
+        if (!answering && await images.count() > imagesBefore) return true;
+
+        // A finished reply without an image (a refusal, or a question back) won't get one
+        if (!answering && await replies.count() > 0) {
+            idleSince = idleSince || Date.now();
+            if (Date.now() - idleSince > profile.timeouts.noImage) {
+                const reply = (await replies.last().innerText().catch(() => '')).trim();
+                const error = failure('NO_OUTPUT', `ChatGPT replied without an image: "${reply.slice(0, 200)}"`);
+                error.retryable = true;
+                throw error;
+            }
+        } else {
+            idleSince = null;
+        }
+        return false;
+    }, { timeout: profile.timeouts.generation, message: 'ChatGPT did not finish generating the image', interval: 1000 }));
+
+    const image = images.last();
+    await failAs('DOWNLOAD_FAILED', waitForCondition(() => image.evaluate(img => img.complete && img.naturalWidth > 0), {
+        timeout: profile.timeouts.imageLoad,
+        message: 'The generated image did not finish loading'
+    }));
+    return image;
+}
+
+// One attempt in a new chat
+async function generateOnce(page, profile, { url, prompt, images, outputPath }) {
+    const composer = await openChat(page, profile, url);
+    await uploadImages(page, profile, images);
+    const sendButton = await enterPrompt(page, profile, composer, prompt);
+
+    const imagesBefore = await page.locator(selectorFor(profile, 'generatedImage')).count();
+
+    console.log('📤 Sending message...');
+    await sendButton.click({ timeout: profile.timeouts.element });
+
+    console.log('\n⏳ Waiting for ChatGPT to generate image...');
+    console.log('   (This may take 30-60 seconds)\n');
+
+    const image = await waitForImage(page, profile, imagesBefore);
+    console.log('✅ Image generated!');
+
+    console.log('💾 Downloading generated image...');
+    emit('stage', { stage: 'downloading' });
+    const imageBuffer = await failAs('DOWNLOAD_FAILED', readImageBytes(page, image));
+    if (!imageBuffer || imageBuffer.length === 0) {
+        throw failure('DOWNLOAD_FAILED', 'The generated image could not be downloaded');
+    }
+    fs.writeFileSync(outputPath, imageBuffer);
+
+    console.log(`\n🎉 Success! Image saved to:`);
+    console.log(`   ${outputPath}\n`);
+    return outputPath;
+}
+
+export default {
+    name: 'chatgpt-browser',
+    usesBrowser: true,
+    description: 'ChatGPT in a Playwright browser window (requires ChatGPT login)',
+
+    async generate({ prompt, images, outputPath, headless, keepOpen, browser }) {
+        const profile = loadSelectorProfile(PROFILE_NAME);
+        const url = process.env.CHATGPT_URL || profile.url;
+        console.log(`🧭 Selector profile ${profile.version}`);
+
+        // Reuse the caller's browser (batch runs) or launch one just for this generation
+        const ownsBrowser = !browser;
+        if (ownsBrowser) {
+            browser = await launchBrowser({ headless });
+        }
+
+        const page = browser.pages()[0] || await browser.newPage();
+        let savedPath = null;
+
+        try {
+            savedPath = await withRetries(() => generateOnce(page, profile, { url, prompt, images, outputPath }), profile.retries);
+            recordSessionOutcome(PROFILE_NAME);
+
+            // Keep browser open for review when run interactively
+            if (keepOpen) {
+                console.log('📺 Browser will stay open for review.');
+                console.log('   Press Ctrl+C to close.\n');
+
+                // The open browser keeps the process alive; return so the caller can record the result
+            }
+
+        } catch (error) {
+            console.error('\n❌ Error:', error.message);
+            recordSessionOutcome(PROFILE_NAME, error);
+
+            // Take a screenshot for debugging
+            const screenshotPath = path.join(path.dirname(outputPath), 'error-screenshot.png');
+            await page.screenshot({ path: screenshotPath }).catch(() => {});
+            console.log(`📸 Error screenshot saved to: ${screenshotPath}`);
+
+            throw error;
+        } finally {
+            if (ownsBrowser && !keepOpen) {
+                await browser.close();
+            }
+        }
+
+        return savedPath;
+    },
+
+    /**
+     * Is the session's browser logged in to ChatGPT?
+     *
+     * Opens ChatGPT and looks for the composer or the login button. With waitForLogin
+     * (node login.js) the user gets up to `timeout` ms to log in in the window.
+     *
+     * @returns {Promise<{status: 'ok'|'login-required'|'limited', message: string|null, cooldownMs?: number}>}
+     */
+    async checkSession({ browser, waitForLogin = false, timeout }) {
+        const profile = loadSelectorProfile(PROFILE_NAME);
+        const page = browser.pages()[0] || await browser.newPage();
+        await page.goto(process.env.CHATGPT_URL || profile.url, { waitUntil: 'domcontentloaded', timeout: profile.timeouts.pageLoad });
+
+        const composer = page.locator(selectorFor(profile, 'composer')).first();
+        const loginButton = page.locator(selectorFor(profile, 'loginButton')).first();
+        const loggedIn = async () => await composer.isVisible() && !(await loginButton.isVisible());
+
+        const state = await waitForCondition(async () => {
+            if (await loginButton.isVisible()) return 'login';
+            if (await composer.isVisible()) return 'ready';
+            return null;
+        }, { timeout: profile.timeouts.pageLoad, message: 'ChatGPT did not show the composer or a login button' });
+
+        if (state === 'login' && waitForLogin) {
+            console.log('\n⚠️  Please log in to ChatGPT in the browser window.');
+            await waitForCondition(loggedIn, {
+                timeout: timeout || profile.timeouts.login,
+                message: 'Timed out waiting for the ChatGPT login',
+                interval: 1000
+            }).catch(() => {});
+        }
+
+        if (!(await loggedIn())) {
+            return { status: 'login-required', message: 'Not logged in to ChatGPT' };
+        }
+        const usageCap = await noticeMatching(page, profile, profile.usageCapPatterns);
+        if (usageCap) {
+            return { status: 'limited', message: usageCap, cooldownMs: profile.usageCapCooldownMs };
+        }
+        return { status: 'ok', message: null };
+    },
+
+    /**
+     * Check every selector in the profile against the page, stage by stage.
+     *
+     * Against ChatGPT itself the prompt is typed but never sent, so the generating and
+     * done selectors are reported as not checked; with `send` (the offline fixture) the
+     * whole generation runs and the image is downloaded.
+     *
+     * @returns {Promise<boolean>} true when every required selector that was checked matched
+     */
+    async selftest({ images, url, send = false, headless, outputDir = '.' }) {
+        const profile = loadSelectorProfile(PROFILE_NAME);
+        url = url || process.env.CHATGPT_URL || profile.url;
+        console.log(`🩺 Self-test of selector profile ${profile.version} against ${url}`);
+
+        const browser = await launchBrowser({ headless });
+        const page = browser.pages()[0] || await browser.newPage();
+        const results = [];
+
+        try {
+            const composer = await openChat(page, profile, url);
+            results.push(...await checkSelectors(page, profile, ['login', 'ready']));
+
+            await uploadImages(page, profile, images);
+            const sendButton = await enterPrompt(page, profile, composer, send ? 'Generate the test image.' : SELFTEST_PROMPT);
+            results.push(...await checkSelectors(page, profile, ['uploaded']));
+
+            if (send) {
+                await sendButton.click({ timeout: profile.timeouts.element });
+                const stopButton = page.locator(selectorFor(profile, 'stopButton')).first();
+                await waitForCondition(() => stopButton.isVisible(), {
+                    timeout: profile.timeouts.element,
+                    message: 'The stop button did not appear after sending'
+                }).catch(error => console.log(`   ⚠️  ${error.message}`));
+                results.push(...await checkSelectors(page, profile, ['generating']));
+
+                const image = await waitForImage(page, profile, 0);
+                results.push(...await checkSelectors(page, profile, ['done']));
+
+                const imageBuffer = await readImageBytes(page, image);
+                console.log(`   ${imageBuffer && imageBuffer.length > 0 ? '✅' : '❌'} Generated image downloads (${imageBuffer ? imageBuffer.length : 0} bytes)`);
+            } else {
+                await composer.fill('').catch(() => {});
+            }
+        } catch (error) {
+            console.error(`\n❌ Self-test stopped: ${error.message}`);
+            const screenshotPath = path.join(outputDir, 'selftest-screenshot.png');
+            await page.screenshot({ path: screenshotPath }).catch(() => {});
+            console.log(`📸 Screenshot saved to: ${screenshotPath}`);
+
+            // Report whatever the page has at the point it stopped
+            const checked = new Set(results.map(result => result.key));
+            const remaining = await checkSelectors(page, profile, ['ready', 'uploaded']).catch(() => []);
+            results.push(...remaining.filter(result => !checked.has(result.key)));
+            printSelectorReport(profile, results);
+            return false;
+        } finally {
+            await browser.close();
+        }
+
+        return printSelectorReport(profile, results);
+    }
+};
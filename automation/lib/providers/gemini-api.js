@@ -0,0 +1,72 @@
+/**
+ * Gemini API provider.
+ *
+ * Sends the prompt and every input image to generateContent with image output enabled.
+ * Requires GEMINI_API_KEY; the model can be changed with GEMINI_IMAGE_MODEL.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { imageMimeType } from '../mime.js';
+
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+export default {
+    name: 'gemini-api',
+    description: 'Gemini API (requires GEMINI_API_KEY)',
+
+    async generate({ prompt, images, outputPath }) {
+        const apiKey = process.env.GEMINI_API_KEY;
+        if (!apiKey) {
+            throw new Error('GEMINI_API_KEY is not set');
+        }
+
+        const model = process.env.GEMINI_IMAGE_MODEL || 'gemini-2.5-flash-image';
+
+        console.log(`\n🌐 Calling Gemini API (${model})...`);
+        images.forEach((image) => {
+            console.log(`   📷 ${image.label}: ${path.basename(image.path)}`);
+        });
+
+        const parts = images.map(image => ({
+            inline_data: {
+                mime_type: imageMimeType(image.path),
+                data: fs.readFileSync(image.path).toString('base64')
+            }
+        }));
+        parts.push({ text: prompt });
+
+        const response = await fetch(`${GEMINI_API_URL}/${model}:generateContent`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-goog-api-key': apiKey
+            },
+            body: JSON.stringify({
+                contents: [{ parts }],
+                generationConfig: { responseModalities: ['TEXT', 'IMAGE'] }
+            })
+        });
+
+        if (!response.ok) {
+            const detail = await response.text();
+            throw new Error(`Gemini API error (${response.status}): ${detail}`);
+        }
+
+        const result = await response.json();
+        const responseParts = result.candidates?.[0]?.content?.parts || [];
+        const imagePart = responseParts.find(part => part.inlineData || part.inline_data);
+        if (!imagePart) {
+            console.log('\n⚠️  Gemini returned no image.');
+            return null;
+        }
+
+        const { data } = imagePart.inlineData || imagePart.inline_data;
+        fs.writeFileSync(outputPath, Buffer.from(data, 'base64'));
+
+        console.log(`\n🎉 Success! Image saved to:`);
+        console.log(`   ${outputPath}\n`);
+
+        return outputPath;
+    }
+};
@@ -0,0 +1,249 @@
+/**
+ * Gemini browser provider.
+ *
+ * Opens gemini.google.com in the persistent automation profile, uploads the
+ * given images, sends the prompt and saves the generated image. A usage-cap message
+ * on the page fails the run with RATE_LIMITED and marks the session limited
+ * (lib/sessions.js).
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { launchBrowser, readImageBytes } from '../browser.js';
+import { isDaemon, failure, failAs, emit } from '../daemon.js';
+import { recordSessionOutcome } from '../sessions.js';
+
+const GEMINI_URL = 'https://gemini.google.com/app';
+const SIGN_IN_SELECTOR = 'a:has-text("Sign in"), button:has-text("Sign in")';
+const INPUT_SELECTOR = 'rich-textarea .ql-editor, div[contenteditable="true"]';
+
+// Gemini's image limit messages ("You've reached your limit for image generation...")
+const USAGE_CAP_PATTERN = /(reached|hit) (your|the) .*limit|limit resets|try again tomorrow/i;
+const USAGE_CAP_COOLDOWN_MS = 6 * 60 * 60 * 1000;
+
+// The usage-cap message in the latest response, if any
+async function usageCapNotice(page) {
+    const texts = await page.locator('model-response').allInnerTexts().catch(() => []);
+    const latest = texts.length > 0 ? texts[texts.length - 1] : '';
+    return USAGE_CAP_PATTERN.test(latest) ? latest.trim().split('\n')[0].slice(0, 200) : null;
+}
+
+export default {
+    name: 'gemini-browser',
+    usesBrowser: true,
+    description: 'Gemini in a Playwright browser window (requires Google login)',
+
+    async generate({ prompt, images, outputPath, headless, keepOpen, browser }) {
+        // Reuse the caller's browser (batch runs) or launch one just for this generation
+        const ownsBrowser = !browser;
+        if (ownsBrowser) {
+            browser = await launchBrowser({ headless });
+        }
+
+        const page = browser.pages()[0] || await browser.newPage();
+        let savedPath = null;
+
+        try {
+            console.log('🌐 Opening Gemini...');
+            emit('stage', { stage: 'opening' });
+            await page.goto(GEMINI_URL, { waitUntil: 'networkidle' });
+
+            await page.waitForTimeout(2000);
+
+            // Check if we need to log in
+            const needsLogin = await page.locator(SIGN_IN_SELECTOR).first().isVisible().catch(() => false);
+
+            if (needsLogin) {
+                emit('stage', { stage: 'login' });
+                if (isDaemon()) {
+                    throw failure('LOGIN_REQUIRED', 'Gemini sign-in required: run once without --daemon and sign in in the browser window');
+                }
+
+                console.log('\n⚠️  Please sign in to Gemini in the browser window.');
+                console.log('   After signing in, the automation will continue automatically.\n');
+
+                await failAs('LOGIN_REQUIRED', page.waitForSelector(INPUT_SELECTOR, {
+                    timeout: 300000 // 5 minutes to log in
+                }));
+                console.log('✅ Login detected, continuing...\n');
+            }
+
+            console.log('⏳ Waiting for chat interface...');
+            await page.waitForTimeout(3000);
+
+            // Try to close any onboarding or "What's new" dialogs
+            try {
+                const closeButtons = await page.$$('button[aria-label="Close"], button:has-text("Got it"), button:has-text("No thanks"), button:has-text("Dismiss")');
+                for (const btn of closeButtons) {
+                    await btn.click().catch(() => {});
+                    await page.waitForTimeout(300);
+                }
+            } catch (e) {
+                // Ignore
+            }
+
+            console.log('🔍 Looking for input area...');
+            const inputLocator = page.locator('rich-textarea .ql-editor, div[contenteditable="true"][role="textbox"], div[contenteditable="true"]').first();
+            await inputLocator.waitFor({ state: 'attached', timeout: 10000 });
+            console.log('   ✅ Found input area');
+
+            console.log('📎 Uploading images...');
+            emit('stage', { stage: 'uploading' });
+            images.forEach((image) => {
+                console.log(`   📷 ${image.label}: ${path.basename(image.path)}`);
+            });
+            const imagePaths = images.map(image => image.path);
+
+            // Gemini hides its file input behind the upload menu
+            let fileInput = await page.$('input[type="file"]');
+
+            if (!fileInput) {
+                const uploadMenuButton = await page.$('button[aria-label*="upload" i], button[aria-label*="Add files" i], button[aria-label*="Open upload file menu" i]');
+                if (uploadMenuButton) {
+                    await uploadMenuButton.click();
+                    await page.waitForTimeout(500);
+                }
+
+                const uploadFilesItem = await page.$('button[aria-label*="Upload files" i], [role="menuitem"]:has-text("Upload files")');
+                if (uploadFilesItem) {
+                    const [chooser] = await Promise.all([
+                        page.waitForEvent('filechooser', { timeout: 5000 }).catch(() => null),
+                        uploadFilesItem.click()
+                    ]);
+                    if (chooser) {
+                        await chooser.setFiles(imagePaths);
+                        fileInput = true;
+                    }
+                }
+            } else {
+                await fileInput.setInputFiles(imagePaths);
+            }
+
+            if (fileInput) {
+                // Wait for uploads to process
+                await page.waitForTimeout(4000);
+                console.log('✅ Images uploaded');
+            } else if (isDaemon()) {
+                throw failure('UPLOAD_FAILED', 'Could not find the Gemini file upload input');
+            } else {
+                console.log('⚠️  Could not find file upload input');
+                console.log('   You may need to manually upload images after the prompt is entered');
+            }
+
+            console.log('✍️  Entering prompt...');
+            emit('stage', { stage: 'prompting' });
+            await inputLocator.click();
+            await page.waitForTimeout(500);
+
+            try {
+                await inputLocator.fill(prompt);
+            } catch (e) {
+                console.log('   Trying alternative input method...');
+                await page.evaluate((text) => {
+                    navigator.clipboard.writeText(text);
+                }, prompt);
+                await page.keyboard.press('Control+v');
+            }
+
+            await page.waitForTimeout(1000);
+
+            console.log('📤 Sending message...');
+            const sendButtonLocator = page.locator('button[aria-label*="Send" i], button.send-button').first();
+
+            try {
+                await sendButtonLocator.click({ timeout: 5000 });
+            } catch (e) {
+                console.log('   Send button not found, trying Enter key...');
+                await page.keyboard.press('Enter');
+            }
+
+            console.log('\n⏳ Waiting for Gemini to generate image...');
+            console.log('   (This may take 30-60 seconds)\n');
+
+            emit('stage', { stage: 'generating' });
+            try {
+                await page.waitForSelector('model-response img, .generated-image img, single-image img', {
+                    timeout: 180000 // 3 minutes
+                });
+            } catch (error) {
+                const usageCap = await usageCapNotice(page);
+                if (usageCap) {
+                    const capError = failure('RATE_LIMITED', `Gemini usage cap reached: ${usageCap}`);
+                    capError.usageCap = true;
+                    capError.cooldownMs = USAGE_CAP_COOLDOWN_MS;
+                    throw capError;
+                }
+                error.failure = 'GENERATION_TIMEOUT';
+                throw error;
+            }
+
+            console.log('✅ Image generated!');
+
+            // Wait a bit more for the image to fully load
+            await page.waitForTimeout(3000);
+
+            console.log('💾 Downloading generated image...');
+            emit('stage', { stage: 'downloading' });
+            const generatedImages = await page.$$('model-response img, .generated-image img, single-image img');
+
+            if (generatedImages.length > 0) {
+                // Get the last image (most recent generation)
+                const lastImage = generatedImages[generatedImages.length - 1];
+                const imageBuffer = await failAs('DOWNLOAD_FAILED', readImageBytes(page, lastImage));
+
+                if (imageBuffer) {
+                    fs.writeFileSync(outputPath, imageBuffer);
+                    savedPath = outputPath;
+
+                    console.log(`\n🎉 Success! Image saved to:`);
+                    console.log(`   ${outputPath}\n`);
+                }
+            } else {
+                console.log('\n⚠️  Could not find generated image. Please download manually from the browser.');
+            }
+
+            // Keep browser open for review when run interactively
+            if (keepOpen) {
+                console.log('📺 Browser will stay open for review.');
+                console.log('   Press Ctrl+C to close.\n');
+
+                // The open browser keeps the process alive; return so the caller can record the result
+            }
+            recordSessionOutcome('gemini-browser');
+        } catch (error) {
+            console.error('\n❌ Error:', error.message);
+            recordSessionOutcome('gemini-browser', error);
+
+            const screenshotPath = path.join(path.dirname(outputPath), 'error-screenshot.png');
+            await page.screenshot({ path: screenshotPath });
+            console.log(`📸 Error screenshot saved to: ${screenshotPath}`);
+
+            throw error;
+        } finally {
+            if (ownsBrowser && !keepOpen) {
+                await browser.close();
+            }
+        }
+
+        return savedPath;
+    },
+
+    // Is the session's browser signed in to Gemini? (see chatgpt-browser checkSession)
+    async checkSession({ browser, waitForLogin = false, timeout = 300000 }) {
+        const page = browser.pages()[0] || await browser.newPage();
+        await page.goto(GEMINI_URL, { waitUntil: 'networkidle' });
+        await page.waitForTimeout(2000);
+
+        const signIn = page.locator(SIGN_IN_SELECTOR).first();
+        if (await signIn.isVisible().catch(() => false) && waitForLogin) {
+            console.log('\n⚠️  Please sign in to Gemini in the browser window.');
+            await page.waitForSelector(INPUT_SELECTOR, { timeout }).catch(() => {});
+        }
+
+        const signedIn = !(await signIn.isVisible().catch(() => false))
+            && await page.locator(INPUT_SELECTOR).first().isVisible().catch(() => false);
+        return signedIn
+            ? { status: 'ok', message: null }
+            : { status: 'login-required', message: 'Not signed in to Gemini' };
+    }
+};
@@ -0,0 +1,46 @@
+/**
+ * Image-generation providers.
+ *
+ * Every provider exposes the same interface:
+ *
+ *   provider.generate({ prompt, images, mask, outputPath, headless, keepOpen, browser })
+ *     prompt      Prompt text from lib/prompts.js (shared by all providers)
+ *     images      [{ path, role, label }] in upload order; role is 'base', 'design', 'reference'
+ *                 or 'guide' (the placement guide, see lib/placement.js)
+ *     mask        Optional edit mask for the base image, transparent where it may change;
+ *                 providers whose backend takes no mask ignore it
+ *     outputPath  Where to save the generated image
+ *     headless    Browser providers only: run without a window
+ *     keepOpen    Browser providers only: leave the browser open for review (generate still resolves)
+ *     browser     Browser providers only: an open browser from lib/browser.js to reuse (left open)
+ *   → resolves to the saved output path, or null if nothing was generated
+ *
+ * Browser providers set `usesBrowser: true` so batch runs know to share one browser, and
+ * may add `selftest({ images, url, send, headless, outputDir })` → true when none of their
+ * page selectors broke (step1-chatgpt.js --selftest). They also expose
+ * `checkSession({ browser, waitForLogin, timeout })` → { status, message } for the login
+ * health of a browser session (login.js, lib/sessions.js).
+ */
+
+import chatgptBrowser from './chatgpt-browser.js';
+import geminiBrowser from './gemini-browser.js';
+import openaiImages from './openai-images.js';
+import geminiApi from './gemini-api.js';
+import mock from './mock.js';
+
+export const providers = {
+    [chatgptBrowser.name]: chatgptBrowser,
+    [geminiBrowser.name]: geminiBrowser,
+    [openaiImages.name]: openaiImages,
+    [geminiApi.name]: geminiApi,
+    [mock.name]: mock
+};
+
+// Look up a provider by name, with a helpful error for typos
+export function getProvider(name) {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown provider: ${name}. Available providers: ${Object.keys(providers).join(', ')}`);
+    }
+    return provider;
+}
@@ -0,0 +1,74 @@
+/**
+ * Mock provider.
+ *
+ * Works fully offline: the design image is scaled and composited onto the centre
+ * of the base image, over a light and a dark copy of its outline offset up-left and
+ * down-right, so the result has the highlight/shadow edges the quality check looks for
+ * (lib/quality.js). When there is no design image (e.g. Step 3) the base image is
+ * sharpened and returned, so every step still produces an output file.
+ * The prompt is ignored apart from being logged.
+ */
+
+import path from 'path';
+import sharp from 'sharp';
+
+// Fraction of the base image width the design is scaled to
+const DESIGN_SCALE = 0.45;
+// Offset of the fake emboss highlight/shadow, as a fraction of the design size
+const RELIEF_OFFSET = 0.012;
+
+// The design's outline filled with one colour
+async function silhouette(overlay, { width, height }, colour) {
+    const alpha = await sharp(overlay).ensureAlpha().extractChannel(3).png().toBuffer();
+    return sharp({ create: { width, height, channels: 3, background: colour } })
+        .joinChannel(alpha)
+        .png()
+        .toBuffer();
+}
+
+export default {
+    name: 'mock',
+    description: 'Offline compositor for testing (no network)',
+
+    async generate({ prompt, images, outputPath }) {
+        const base = images.find(image => image.role === 'base') || images[0];
+        const design = images.find(image => image.role === 'design' && image !== base);
+
+        console.log('\n🧪 Mock provider: compositing locally (no network)');
+        console.log(`   📝 Prompt: ${prompt.length} characters`);
+        console.log(`   📷 ${base.label}: ${path.basename(base.path)}`);
+
+        const baseImage = sharp(base.path);
+        const { width, height } = await baseImage.metadata();
+
+        if (design) {
+            console.log(`   🎨 ${design.label}: ${path.basename(design.path)}`);
+
+            const size = Math.round(Math.min(width, height) * DESIGN_SCALE);
+            const overlay = await sharp(design.path)
+                .resize(size, size, { fit: 'inside' })
+                .png()
+                .toBuffer();
+            const overlayMeta = await sharp(overlay).metadata();
+            const left = Math.round((width - overlayMeta.width) / 2);
+            const top = Math.round((height - overlayMeta.height) / 2);
+            const offset = Math.max(1, Math.round(size * RELIEF_OFFSET));
+
+            await baseImage
+                .composite([
+                    { input: await silhouette(overlay, overlayMeta, '#ffffff'), left: left - offset, top: top - offset, blend: 'over' },
+                    { input: await silhouette(overlay, overlayMeta, '#000000'), left: left + offset, top: top + offset, blend: 'over' },
+                    { input: overlay, left, top }
+                ])
+                .png()
+                .toFile(outputPath);
+        } else {
+            await baseImage.sharpen({ sigma: 2 }).png().toFile(outputPath);
+        }
+
+        console.log(`\n🎉 Success! Image saved to:`);
+        console.log(`   ${outputPath}\n`);
+
+        return outputPath;
+    }
+};
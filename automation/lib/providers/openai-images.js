@@ -0,0 +1,72 @@
+/**
+ * OpenAI Images API provider.
+ *
+ * Sends the prompt and every input image to the image edits endpoint. An edit mask
+ * (see lib/placement.js) is sent along when the base image goes first, as the endpoint
+ * applies it to the first image.
+ * Requires OPENAI_API_KEY; the model can be changed with OPENAI_IMAGE_MODEL.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { imageMimeType } from '../mime.js';
+
+const OPENAI_EDITS_URL = 'https://api.openai.com/v1/images/edits';
+
+export default {
+    name: 'openai-images',
+    description: 'OpenAI Images API (requires OPENAI_API_KEY)',
+
+    async generate({ prompt, images, mask, outputPath }) {
+        const apiKey = process.env.OPENAI_API_KEY;
+        if (!apiKey) {
+            throw new Error('OPENAI_API_KEY is not set');
+        }
+
+        const model = process.env.OPENAI_IMAGE_MODEL || 'gpt-image-1';
+
+        console.log(`\n🌐 Calling OpenAI Images API (${model})...`);
+        images.forEach((image) => {
+            console.log(`   📷 ${image.label}: ${path.basename(image.path)}`);
+        });
+
+        const form = new FormData();
+        form.append('model', model);
+        form.append('prompt', prompt);
+        form.append('size', 'auto');
+        form.append('quality', 'high');
+        for (const image of images) {
+            const blob = new Blob([fs.readFileSync(image.path)], { type: imageMimeType(image.path) });
+            form.append('image[]', blob, path.basename(image.path));
+        }
+        if (mask && images[0].role === 'base') {
+            console.log(`   🎭 Mask: ${path.basename(mask)}`);
+            form.append('mask', new Blob([fs.readFileSync(mask)], { type: 'image/png' }), path.basename(mask));
+        }
+
+        const response = await fetch(OPENAI_EDITS_URL, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${apiKey}` },
+            body: form
+        });
+
+        if (!response.ok) {
+            const detail = await response.text();
+            throw new Error(`OpenAI Images API error (${response.status}): ${detail}`);
+        }
+
+        const result = await response.json();
+        const base64 = result.data?.[0]?.b64_json;
+        if (!base64) {
+            console.log('\n⚠️  OpenAI returned no image.');
+            return null;
+        }
+
+        fs.writeFileSync(outputPath, Buffer.from(base64, 'base64'));
+
+        console.log(`\n🎉 Success! Image saved to:`);
+        console.log(`   ${outputPath}\n`);
+
+        return outputPath;
+    }
+};
@@ -0,0 +1,52 @@
+/**
+ * The repo files the automation server hands out without a login: the web UI's
+ * index.html and the folders it loads (prompts, catalogue, template images).
+ *
+ * Nothing else in the repo is served, least of all automation/ (the local library
+ * database, job history, run outputs and the scripts). The check runs on the decoded
+ * path, the one express.static opens, so an encoded slash (/automation%2fserver.js)
+ * can't slip past it the way it slips past a route mount.
+ */
+
+import express from 'express';
+
+/**
+ * Decoded path segments of a request path, or null when it can't be decoded or
+ * climbs out of its folder.
+ *
+ * @param {string} urlPath - req.path, still URL-encoded
+ * @returns {string[]|null}
+ */
+export function pathSegments(urlPath) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(urlPath);
+    } catch {
+        return null;
+    }
+    const segments = decoded.split(/[\\/]+/).filter(Boolean);
+    return segments.includes('..') || decoded.includes('\0') ? null : segments;
+}
+
+/**
+ * Middleware serving index.html and the given top-level folders of `root`; every other
+ * request goes on to the next handler.
+ *
+ * @param {string} root - Repo root
+ * @param {string[]} folders - Public top-level folders, e.g. ['prompts', 'catalog']
+ */
+export function servePublicFiles(root, folders) {
+    const serve = express.static(root, { dotfiles: 'ignore' });
+
+    return (req, res, next) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+        const segments = pathSegments(req.path);
+        const isPublic = segments && (
+            segments.length === 0
+            || (segments.length === 1 && segments[0] === 'index.html')
+            || (segments.length > 1 && folders.includes(segments[0]))
+        );
+        return isPublic ? serve(req, res, next) : next();
+    };
+}
@@ -0,0 +1,328 @@
+/**
+ * Emboss-quality scoring.
+ *
+ * Checks a generated mockup against the template it was made from, locally with sharp
+ * (no API calls). Both images are compared at a small working size:
+ *
+ *   geometry  SSIM of the template outside the cover area, plus the pixel shift that
+ *             best aligns the two - the notebook shape, background and props must not move
+ *   colour    Delta E between the median leather colour in template and output, sampled
+ *             along the inside edge of the cover where designs rarely reach
+ *   emboss    Highlight and shadow contrast in a band around the design edges, relative to
+ *             the leather - a flat print has one or the other, raised embossing has both
+ *   format    Aspect ratio must match the template; the short side must meet the minimum resolution
+ *
+ * The cover area comes from the base's `coverArea` in catalog/products.json (fractions of
+ * the template size). Failing any threshold adds a flag; a result passes without flags.
+ */
+
+import sharp from 'sharp';
+
+// Working width for the comparisons (height follows the template's aspect ratio)
+const WORK_WIDTH = 256;
+
+// Used when the catalogue has no coverArea for the base
+export const DEFAULT_COVER_AREA = { left: 0.2, top: 0.1, width: 0.6, height: 0.8 };
+
+export const QUALITY_THRESHOLDS = {
+    minResolution: 1024,      // px, short side of the output
+    aspectTolerance: 0.02,    // relative difference to the template's aspect ratio
+    minSsim: 0.6,             // outside the cover area
+    maxShift: 0.02,           // best alignment offset, as a fraction of the width
+    maxColourDelta: 15,       // Delta E (CIE76) of the median cover colour
+    minDesignArea: 0.005,     // fraction of the cover that differs from the template
+    minEmbossContrast: 0.04   // min(highlight, shadow) around the design edges, 0-1
+};
+
+// Alignment search range in working pixels
+const MAX_SEARCH_SHIFT = 6;
+// Luminance difference (0-255) that counts as design rather than leather
+const DESIGN_DIFFERENCE = 30;
+// Width of the band around the design edges, in working pixels
+const EDGE_BAND = 2;
+// Leather sample: the outer part of the cover area, as a fraction of its width/height
+const LEATHER_RIM = 0.08;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+// Raw RGB pixels resized to the working size
+async function loadPixels(filePath, width, height) {
+    const { data } = await sharp(filePath)
+        .removeAlpha()
+        .resize(width, height, { fit: 'fill' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return data;
+}
+
+function luminance(rgb) {
+    const lum = new Float32Array(rgb.length / 3);
+    for (let i = 0; i < lum.length; i++) {
+        lum[i] = 0.299 * rgb[i * 3] + 0.587 * rgb[i * 3 + 1] + 0.114 * rgb[i * 3 + 2];
+    }
+    return lum;
+}
+
+// sRGB (0-255) → CIE Lab (D65)
+function toLab([r, g, b]) {
+    const linear = (c) => {
+        c /= 255;
+        return c > 0.04045 ? ((c + 0.055) / 1.055) ** 2.4 : c / 12.92;
+    };
+    const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+    const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+    const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+    const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+    const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+    return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = Float32Array.from(values).sort();
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function percentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = Float32Array.from(values).sort();
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+// Mean SSIM over 8×8 windows (stride 4) for which `include(x, y)` holds at every corner
+function meanSsim(a, b, width, height, include) {
+    const C1 = (0.01 * 255) ** 2;
+    const C2 = (0.03 * 255) ** 2;
+    const size = 8;
+    let total = 0;
+    let windows = 0;
+
+    for (let y = 0; y + size <= height; y += 4) {
+        for (let x = 0; x + size <= width; x += 4) {
+            if (!include(x, y) || !include(x + size - 1, y + size - 1) ||
+                !include(x + size - 1, y) || !include(x, y + size - 1)) {
+                continue;
+            }
+
+            let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+            for (let dy = 0; dy < size; dy++) {
+                for (let dx = 0; dx < size; dx++) {
+                    const i = (y + dy) * width + x + dx;
+                    sumA += a[i];
+                    sumB += b[i];
+                    sumAA += a[i] * a[i];
+                    sumBB += b[i] * b[i];
+                    sumAB += a[i] * b[i];
+                }
+            }
+            const n = size * size;
+            const meanA = sumA / n;
+            const meanB = sumB / n;
+            const varA = sumAA / n - meanA * meanA;
+            const varB = sumBB / n - meanB * meanB;
+            const covariance = sumAB / n - meanA * meanB;
+
+            total += ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+                ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+            windows++;
+        }
+    }
+
+    return windows > 0 ? total / windows : 1;
+}
+
+// Shift of b relative to a (within ±MAX_SEARCH_SHIFT) with the lowest mean difference outside the cover
+function bestShift(a, b, width, height, include) {
+    let best = { dx: 0, dy: 0, error: Infinity };
+
+    for (let dy = -MAX_SEARCH_SHIFT; dy <= MAX_SEARCH_SHIFT; dy++) {
+        for (let dx = -MAX_SEARCH_SHIFT; dx <= MAX_SEARCH_SHIFT; dx++) {
+            let error = 0;
+            let count = 0;
+            // Every other pixel is plenty for a global offset
+            for (let y = MAX_SEARCH_SHIFT; y < height - MAX_SEARCH_SHIFT; y += 2) {
+                for (let x = MAX_SEARCH_SHIFT; x < width - MAX_SEARCH_SHIFT; x += 2) {
+                    if (!include(x, y)) continue;
+                    error += Math.abs(a[y * width + x] - b[(y + dy) * width + x + dx]);
+                    count++;
+                }
+            }
+            error /= Math.max(1, count);
+            if (error < best.error) best = { dx, dy, error };
+        }
+    }
+
+    return best;
+}
+
+// Grow (radius > 0) or shrink (radius < 0) a mask by a square neighbourhood
+function morph(mask, width, height, radius) {
+    const grow = radius > 0;
+    const r = Math.abs(radius);
+    const result = new Uint8Array(mask.length);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let value = grow ? 0 : 1;
+            for (let dy = -r; dy <= r && value === (grow ? 0 : 1); dy++) {
+                for (let dx = -r; dx <= r; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    const inside = nx >= 0 && ny >= 0 && nx < width && ny < height ? mask[ny * width + nx] : 0;
+                    if (grow && inside) { value = 1; break; }
+                    if (!grow && !inside) { value = 0; break; }
+                }
+            }
+            result[y * width + x] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Score a generated image against its template.
+ *
+ * @param {string} outputPath - Generated image
+ * @param {Object} options
+ * @param {string} options.base - Template image the output was generated from
+ * @param {Object} [options.coverArea] - { left, top, width, height } as fractions of the template
+ * @param {Object} [options.thresholds] - Overrides for QUALITY_THRESHOLDS
+ * @returns {Promise<Object>} { score, passed, flags, metrics, thresholds, scoredAt }
+ */
+export async function scoreImage(outputPath, { base, coverArea = DEFAULT_COVER_AREA, thresholds = {} }) {
+    const limits = { ...QUALITY_THRESHOLDS, ...thresholds };
+    const flags = [];
+
+    const output = await sharp(outputPath).metadata();
+    const template = await sharp(base).metadata();
+
+    // Format
+    const outputAspect = output.width / output.height;
+    const templateAspect = template.width / template.height;
+    const aspectError = Math.abs(outputAspect - templateAspect) / templateAspect;
+    if (aspectError > limits.aspectTolerance) {
+        flags.push({ code: 'aspect-ratio', message: `Aspect ratio ${output.width}×${output.height} does not match the template (${template.width}×${template.height})` });
+    }
+    const shortSide = Math.min(output.width, output.height);
+    if (shortSide < limits.minResolution) {
+        flags.push({ code: 'low-resolution', message: `Short side is ${shortSide}px (minimum ${limits.minResolution}px)` });
+    }
+
+    // Both images at the working size, in the template's proportions
+    const width = WORK_WIDTH;
+    const height = Math.round(WORK_WIDTH / templateAspect);
+    const templateRgb = await loadPixels(base, width, height);
+    const outputRgb = await loadPixels(outputPath, width, height);
+    const templateLum = luminance(templateRgb);
+    const outputLum = luminance(outputRgb);
+
+    const cover = {
+        x0: Math.round(coverArea.left * width),
+        y0: Math.round(coverArea.top * height),
+        x1: Math.round((coverArea.left + coverArea.width) * width),
+        y1: Math.round((coverArea.top + coverArea.height) * height)
+    };
+    const inCover = (x, y) => x >= cover.x0 && x < cover.x1 && y >= cover.y0 && y < cover.y1;
+    const outsideCover = (x, y) => !inCover(x, y);
+
+    // Geometry
+    const ssim = meanSsim(templateLum, outputLum, width, height, outsideCover);
+    const shift = bestShift(templateLum, outputLum, width, height, outsideCover);
+    const shiftFraction = Math.hypot(shift.dx, shift.dy) / width;
+    if (ssim < limits.minSsim || shiftFraction > limits.maxShift) {
+        flags.push({ code: 'geometry-drift', message: `Template changed outside the cover (SSIM ${round(ssim, 2)}, shifted ${shift.dx},${shift.dy}px at ${width}px wide)` });
+    }
+
+    // Colour of the leather, from the rim of the cover (the median ignores stray design pixels)
+    const rimX = Math.max(1, Math.round((cover.x1 - cover.x0) * LEATHER_RIM));
+    const rimY = Math.max(1, Math.round((cover.y1 - cover.y0) * LEATHER_RIM));
+    const coverPixels = [];
+    const leatherPixels = [];
+    for (let y = cover.y0; y < cover.y1; y++) {
+        for (let x = cover.x0; x < cover.x1; x++) {
+            coverPixels.push(y * width + x);
+            if (x < cover.x0 + rimX || x >= cover.x1 - rimX || y < cover.y0 + rimY || y >= cover.y1 - rimY) {
+                leatherPixels.push(y * width + x);
+            }
+        }
+    }
+    const medianRgb = (rgb) => [0, 1, 2].map(channel => median(leatherPixels.map(i => rgb[i * 3 + channel])));
+    const templateLab = toLab(medianRgb(templateRgb));
+    const outputLab = toLab(medianRgb(outputRgb));
+    const colourDelta = Math.hypot(...templateLab.map((value, i) => value - outputLab[i]));
+    if (colourDelta > limits.maxColourDelta) {
+        flags.push({ code: 'colour-shift', message: `Leather colour changed (Delta E ${round(colourDelta, 1)})` });
+    }
+
+    // Design: cover pixels that differ from the template once the overall brightness is matched
+    const leatherTemplate = median(leatherPixels.map(i => templateLum[i]));
+    const leatherOutput = median(leatherPixels.map(i => outputLum[i]));
+    const design = new Uint8Array(width * height);
+    let designPixels = 0;
+    for (const i of coverPixels) {
+        const difference = Math.abs((outputLum[i] - leatherOutput) - (templateLum[i] - leatherTemplate));
+        if (difference > DESIGN_DIFFERENCE) {
+            design[i] = 1;
+            designPixels++;
+        }
+    }
+    const designArea = designPixels / Math.max(1, coverPixels.length);
+
+    // Emboss: highlights above and shadows below the leather along the design edges. Each
+    // pixel is compared with the same pixel of the template, so the cover's own lighting
+    // gradient doesn't count as relief
+    let highlight = 0;
+    let shadow = 0;
+    if (designArea < limits.minDesignArea) {
+        flags.push({ code: 'no-design', message: 'No design found on the cover' });
+    } else {
+        const grown = morph(design, width, height, EDGE_BAND);
+        const shrunk = morph(design, width, height, -EDGE_BAND);
+        const band = [];
+        for (const i of coverPixels) {
+            if (grown[i] && !shrunk[i]) {
+                band.push((outputLum[i] - leatherOutput) - (templateLum[i] - leatherTemplate));
+            }
+        }
+        highlight = Math.max(0, percentile(band, 0.95)) / 255;
+        shadow = Math.max(0, -percentile(band, 0.05)) / 255;
+    }
+    const embossContrast = Math.min(highlight, shadow);
+    if (designArea >= limits.minDesignArea && embossContrast < limits.minEmbossContrast) {
+        flags.push({ code: 'weak-emboss', message: `Little highlight/shadow around the design (contrast ${round(embossContrast)})` });
+    }
+
+    // Overall 0-100: geometry 40%, colour 30%, emboss 30%
+    const geometryScore = clamp01((ssim - 0.3) / 0.7) * (shiftFraction > limits.maxShift ? 0.5 : 1);
+    const colourScore = clamp01(1 - colourDelta / (2 * limits.maxColourDelta));
+    const embossScore = clamp01(embossContrast / (3 * limits.minEmbossContrast));
+    const score = Math.round(100 * (0.4 * geometryScore + 0.3 * colourScore + 0.3 * embossScore));
+
+    return {
+        score,
+        passed: flags.length === 0,
+        flags,
+        metrics: {
+            width: output.width,
+            height: output.height,
+            aspectError: round(aspectError),
+            ssim: round(ssim),
+            shift: { dx: shift.dx, dy: shift.dy, fraction: round(shiftFraction) },
+            colourDelta: round(colourDelta, 1),
+            designArea: round(designArea),
+            highlight: round(highlight),
+            shadow: round(shadow),
+            embossContrast: round(embossContrast)
+        },
+        thresholds: limits,
+        scoredAt: new Date().toISOString()
+    };
+}
+
+// One-line summary for logs and review notes
+export function describeQuality(quality) {
+    const verdict = quality.passed ? 'passed' : `failed: ${quality.flags.map(flag => flag.code).join(', ')}`;
+    return `score ${quality.score}/100, ${verdict}`;
+}
@@ -0,0 +1,146 @@
+/**
+ * Candidate review.
+ *
+ * Candidates generated with --variants/--review wait in the output folders with
+ * review.status 'pending' in their JSON record. A reviewer approves, rejects or
+ * regenerates each one; only approved candidates are uploaded to the Design Library.
+ *
+ * Candidates are identified by their image path relative to the output folder.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { uploadDesign } from './storage/index.js';
+import { advanceTracker } from './tracker.js';
+import { currentUser, recordAudit } from './audit.js';
+import { readOutputRecord, updateOutputRecord } from './output.js';
+
+// Find every output record that is under review
+export function listCandidates(outputRoot) {
+    if (!fs.existsSync(outputRoot)) return [];
+
+    const candidates = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (entry.name === '.temp') continue;
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(fullPath);
+            } else if (entry.name.endsWith('.json') && entry.name !== 'manifest.json' && entry.name !== 'batch.json') {
+                let record;
+                try {
+                    record = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+                } catch (error) {
+                    continue;
+                }
+                if (record.review && record.file && fs.existsSync(record.file)) {
+                    candidates.push({ id: path.relative(outputRoot, record.file), record });
+                }
+            }
+        }
+    };
+    walk(outputRoot);
+
+    return candidates.sort((a, b) => b.record.createdAt.localeCompare(a.record.createdAt));
+}
+
+// Resolve a candidate ID to its image path and record (null if unknown)
+export function getCandidate(outputRoot, id) {
+    const filePath = path.resolve(outputRoot, String(id || ''));
+    if (!filePath.startsWith(path.resolve(outputRoot) + path.sep)) return null;
+
+    const record = readOutputRecord(filePath);
+    if (!record || !record.review) return null;
+
+    return { id, filePath, record };
+}
+
+/**
+ * Approve a candidate and upload it to the Design Library.
+ *
+ * @param {Object} candidate - From getCandidate()
+ * @param {Object} [overrides] - { category, designer } when the record has none
+ * @param {string} [reviewer] - Username stored as the reviewer and the design's created_by
+ * @returns {Promise<Object>} The updated record
+ */
+export async function approveCandidate(candidate, overrides = {}, reviewer = currentUser()) {
+    const { filePath, record } = candidate;
+    const library = { ...record.library };
+    if (overrides.category) library.category = overrides.category;
+    if (overrides.designer) library.designer = overrides.designer;
+
+    if (!library.category || !library.designer) {
+        throw new Error('Category and designer are required to add the candidate to the Design Library');
+    }
+
+    let designId = record.designId;
+    if (!designId) {
+        const design = await uploadDesign(filePath, {
+            category: library.category,
+            designer: library.designer,
+            baseNotebooks: Array.isArray(library.color) ? library.color : [library.color],
+            createdBy: reviewer,
+            placement: library.placement,
+            provenance: {
+                inspirationId: library.inspirationId,
+                sourceDesignId: library.sourceDesignId,
+                step: record.step,
+                provider: record.provider,
+                promptTemplate: record.promptTemplate,
+                promptVersion: record.promptVersion,
+                runId: library.runId
+            }
+        });
+        designId = design.id;
+        await recordAudit('upload', { user: reviewer, table: 'designs', id: design.id, details: { file_name: design.file_name, step: record.step } });
+        await advanceTracker(design);
+    }
+
+    return updateOutputRecord(filePath, {
+        designId,
+        library,
+        review: { status: 'approved', reviewedAt: new Date().toISOString(), reviewedBy: reviewer, note: null }
+    });
+}
+
+// Reject a candidate (it stays on disk but never reaches the Design Library)
+export function rejectCandidate(candidate, note = null, reviewer = currentUser()) {
+    return updateOutputRecord(candidate.filePath, {
+        review: { status: 'rejected', reviewedAt: new Date().toISOString(), reviewedBy: reviewer, note }
+    });
+}
+
+// Script arguments that generate one replacement for a candidate (held for review), with
+// the same inputs, placement included
+export function regenerateArgs(record) {
+    const { inputs, library } = record;
+    let args;
+
+    if (record.step === 'step1') {
+        args = ['step1-chatgpt.js', '--color', inputs.color, '--design', inputs.design];
+        if (inputs.designImage) args.push('--designImage', inputs.designImage);
+        // Same Image C as the candidate (records from before the reference library use the default)
+        if ('referenceId' in inputs) args.push('--reference', inputs.referenceId || 'none');
+        if (inputs.placement) args.push('--placement', JSON.stringify(inputs.placement));
+    } else if (record.step === 'step2') {
+        args = ['step2-translate.js', '--color', inputs.color, '--designImage', inputs.designImage, '--description', inputs.description];
+        if (inputs.placement) args.push('--placement', JSON.stringify(inputs.placement));
+    } else if (record.step === 'step3') {
+        args = ['step3-emboss.js', '--designImage', inputs.designImage, '--thickness', inputs.thickness, '--elements', inputs.elements];
+        if (inputs.exclude) args.push('--exclude', inputs.exclude);
+        if (inputs.color) args.push('--color', inputs.color);
+    } else if (record.step === 'step4') {
+        args = ['step4-lifestyle.js', '--scene', inputs.scene, '--designImage', inputs.designImages.join(','), '--description', inputs.description];
+        if (inputs.colors.every(Boolean)) args.push('--colors', inputs.colors.join(','));
+    } else {
+        throw new Error(`Cannot regenerate ${record.step} candidates`);
+    }
+
+    args.push('--provider', record.provider, '--review');
+    if (library.category) args.push('--category', library.category);
+    if (library.designer) args.push('--designer', library.designer);
+    if (library.inspirationId) args.push('--sourceInspirationId', library.inspirationId);
+    if (library.sourceDesignId) args.push('--sourceDesignId', library.sourceDesignId);
+
+    return args;
+}
@@ -0,0 +1,179 @@
+/**
+ * Selector profiles for the browser providers.
+ *
+ * The page selectors, timeouts and retry settings a browser provider drives the site
+ * with live in selectors/<provider>.json, so a UI change on the site is a profile edit
+ * (and a version bump) rather than a code change. A profile holds:
+ *
+ *   version            Bumped whenever the selectors change; logged with every run
+ *   url                Page the provider opens
+ *   selectors          name → { description, stage, required, selectors: [alternatives] }
+ *                      stage is when the element is on the page: login, ready, uploaded,
+ *                      generating or done; alternatives are tried together (first match wins)
+ *   rateLimitPatterns  Case-insensitive regexes that mark a rate-limit notice (retried with backoff)
+ *   usageCapPatterns   ... that mark a usage cap: the session is marked limited for
+ *                      usageCapCooldownMs and the run fails without retrying (lib/sessions.js)
+ *   timeouts           Milliseconds per wait
+ *   retries            { attempts, backoffMs, factor, rateLimitBackoffMs }
+ *
+ * <PROVIDER>_SELECTORS (e.g. CHATGPT_BROWSER_SELECTORS) points at another profile file.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SELECTORS_DIR = path.join(__dirname, '..', 'selectors');
+export const STAGES = ['login', 'ready', 'uploaded', 'generating', 'done'];
+
+// Read a provider's selector profile
+export function loadSelectorProfile(name) {
+    const envName = `${name.toUpperCase().replace(/-/g, '_')}_SELECTORS`;
+    const profilePath = process.env[envName] || path.join(SELECTORS_DIR, `${name}.json`);
+    if (!fs.existsSync(profilePath)) {
+        throw new Error(`Selector profile not found: ${profilePath}`);
+    }
+
+    const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+    for (const [key, entry] of Object.entries(profile.selectors || {})) {
+        if (!STAGES.includes(entry.stage) || !Array.isArray(entry.selectors) || entry.selectors.length === 0) {
+            throw new Error(`Invalid selector "${key}" in ${profilePath}: needs a stage (${STAGES.join(', ')}) and selectors`);
+        }
+    }
+    return { ...profile, name, path: profilePath };
+}
+
+// One Playwright selector matching any of the alternatives
+export function selectorFor(profile, key) {
+    const entry = profile.selectors[key];
+    if (!entry) {
+        throw new Error(`Selector "${key}" is missing from ${profile.path}`);
+    }
+    return entry.selectors.join(', ');
+}
+
+// A wait that timed out; retried like Playwright's own TimeoutError
+function timeoutError(message) {
+    const error = new Error(message);
+    error.name = 'TimeoutError';
+    return error;
+}
+
+/**
+ * Poll until check() returns something truthy.
+ *
+ * @param {Function} check - async () → value; errors it throws end the wait
+ * @param {Object} options
+ * @param {number} options.timeout - Milliseconds before giving up
+ * @param {string} options.message - Error message on timeout
+ * @param {number} [options.interval] - Milliseconds between checks
+ * @returns {Promise<*>} The first truthy value
+ */
+export async function waitForCondition(check, { timeout, message, interval = 500 }) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() >= deadline) {
+            throw timeoutError(`${message} (after ${Math.round(timeout / 1000)} s)`);
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+// Timeouts and errors flagged retryable are worth another attempt; anything else is final
+function isRetryable(error) {
+    if (error.retryable !== undefined) return error.retryable;
+    return error.name === 'TimeoutError';
+}
+
+/**
+ * Run an attempt, retrying timeouts and rate limits with exponential backoff.
+ *
+ * Rate-limit errors (error.rateLimited) wait rateLimitBackoffMs instead.
+ *
+ * @param {Function} run - async (attempt) → result
+ * @param {Object} retries - The profile's retry settings
+ */
+export async function withRetries(run, { attempts = 1, backoffMs = 0, factor = 2, rateLimitBackoffMs = backoffMs } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await run(attempt);
+        } catch (error) {
+            if (attempt >= attempts || !isRetryable(error)) throw error;
+
+            const delay = error.rateLimited ? rateLimitBackoffMs : backoffMs * Math.pow(factor, attempt - 1);
+            console.log(`\n🔁 ${error.message}`);
+            console.log(`   Retrying in ${Math.round(delay / 1000)} s (attempt ${attempt + 1} of ${attempts})...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Count the matches of every alternative of the selectors for the given stages.
+ *
+ * @returns {Promise<Array<{key, stage, required, description, ok, alternatives: Array<{selector, count, error?}>}>>}
+ */
+export async function checkSelectors(page, profile, stages) {
+    const results = [];
+    for (const [key, entry] of Object.entries(profile.selectors)) {
+        if (!stages.includes(entry.stage)) continue;
+
+        const alternatives = [];
+        for (const selector of entry.selectors) {
+            try {
+                alternatives.push({ selector, count: await page.locator(selector).count() });
+            } catch (error) {
+                alternatives.push({ selector, count: 0, error: error.message.split('\n')[0] });
+            }
+        }
+        results.push({
+            key,
+            stage: entry.stage,
+            required: entry.required !== false,
+            description: entry.description || '',
+            ok: alternatives.some(alternative => alternative.count > 0),
+            alternatives
+        });
+    }
+    return results;
+}
+
+// Print a self-test report; selectors of stages that weren't reached are listed as skipped
+export function printSelectorReport(profile, results) {
+    console.log(`\n🩺 Selector profile ${profile.name} ${profile.version} (${profile.path})`);
+
+    for (const stage of STAGES) {
+        const keys = Object.keys(profile.selectors).filter(key => profile.selectors[key].stage === stage);
+        if (keys.length === 0) continue;
+
+        console.log(`\n   ${stage}`);
+        for (const key of keys) {
+            const result = results.find(r => r.key === key);
+            if (!result) {
+                console.log(`   ⏭️  ${key.padEnd(18)} not checked (stage not reached)`);
+                continue;
+            }
+
+            const icon = result.ok ? '✅' : (result.required ? '❌' : '⚠️ ');
+            const matches = result.alternatives
+                .map(alternative => `${alternative.selector} → ${alternative.error ? `invalid: ${alternative.error}` : alternative.count}`)
+                .join('\n' + ' '.repeat(26));
+            console.log(`   ${icon} ${key.padEnd(18)} ${matches}`);
+        }
+    }
+
+    const broken = results.filter(result => result.required && !result.ok);
+    console.log('');
+    if (broken.length > 0) {
+        console.log(`❌ ${broken.length} required selector${broken.length === 1 ? '' : 's'} broke: ${broken.map(result => result.key).join(', ')}`);
+        console.log(`   Update ${profile.path} (and bump its version)`);
+    } else {
+        console.log('✅ Every checked selector matched');
+    }
+    return broken.length === 0;
+}
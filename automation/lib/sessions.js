@@ -0,0 +1,158 @@
+/**
+ * Named browser sessions.
+ *
+ * Each session is its own persistent Chromium profile with its own ChatGPT and Google
+ * logins, so teammates and accounts can run side by side. `default` is the original
+ * .browser-data profile; other sessions live in .browser-sessions/<name>/ and are set
+ * up once with `node login.js --session <name>`.
+ *
+ * Health per session and provider is kept in .browser-sessions/sessions.json:
+ *   { <session>: { createdAt, providers: { <provider>: { status, message, checkedAt, limitedUntil } } } }
+ *
+ * status is ok, login-required, limited (a usage cap or a rate limit that outlasted the
+ * retries; the session is used again after limitedUntil) or error (the last check could
+ * not tell). Browser runs record how they
+ * ended and `node login.js --check` refreshes it. The job queue gives each browser job a
+ * free, available session and moves a job that hits a limit to the next one.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { invalidInput, SESSION_NAME } from './validate.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_SESSION = 'default';
+export const DEFAULT_SESSION_DIR = path.join(__dirname, '..', '.browser-data');
+export const SESSIONS_DIR = path.join(__dirname, '..', '.browser-sessions');
+const STATE_PATH = path.join(SESSIONS_DIR, 'sessions.json');
+
+// Providers that drive a logged-in browser
+export const BROWSER_PROVIDERS = ['chatgpt-browser', 'gemini-browser'];
+
+// Browser providers each script uses when --provider isn't given
+const SCRIPT_PROVIDERS = {
+    'step1-chatgpt.js': ['chatgpt-browser'],
+    'step2-translate.js': ['gemini-browser'],
+    'step3-emboss.js': ['gemini-browser'],
+    'step4-lifestyle.js': ['gemini-browser'],
+    'pipeline.js': ['chatgpt-browser', 'gemini-browser'],
+    'batch.js': ['chatgpt-browser'],
+    'login.js': BROWSER_PROVIDERS
+};
+
+// Used when a limit doesn't say how long it lasts
+const DEFAULT_COOLDOWN_MS = 60 * 60 * 1000;
+
+let currentSession = process.env.BROWSER_SESSION || DEFAULT_SESSION;
+
+export function validateSessionName(name) {
+    if (!SESSION_NAME.test(name || '')) {
+        throw invalidInput('session', `Invalid session name: "${name}" (use letters, digits, - and _)`);
+    }
+    return name;
+}
+
+export function sessionDir(name) {
+    return name === DEFAULT_SESSION ? DEFAULT_SESSION_DIR : path.join(SESSIONS_DIR, validateSessionName(name));
+}
+
+// Session the browsers of this process use (--session, or BROWSER_SESSION)
+export function useSession(name) {
+    currentSession = validateSessionName(name);
+}
+
+export function currentSessionName() {
+    return currentSession;
+}
+
+function readState() {
+    return fs.existsSync(STATE_PATH) ? JSON.parse(fs.readFileSync(STATE_PATH, 'utf8')) : {};
+}
+
+function writeState(state) {
+    fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+    fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Every session (default first) with its health.
+ *
+ * @returns {Array<{name, dir, exists, createdAt, providers}>}
+ */
+export function listSessions() {
+    const state = readState();
+    const names = new Set([DEFAULT_SESSION, ...Object.keys(state)]);
+    if (fs.existsSync(SESSIONS_DIR)) {
+        fs.readdirSync(SESSIONS_DIR, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .forEach(entry => names.add(entry.name));
+    }
+
+    return [...names].map(name => ({
+        name,
+        dir: sessionDir(name),
+        exists: fs.existsSync(sessionDir(name)),
+        createdAt: state[name] ? state[name].createdAt || null : null,
+        providers: state[name] ? state[name].providers || {} : {}
+    }));
+}
+
+export function getSession(name) {
+    return listSessions().find(session => session.name === name) || null;
+}
+
+// Record a health check or the end of a run for a session and provider
+export function setSessionStatus(name, provider, { status, message = null, limitedUntil = null }) {
+    const state = readState();
+    const session = state[name] || { createdAt: new Date().toISOString(), providers: {} };
+    session.providers = session.providers || {};
+    session.providers[provider] = { status, message, checkedAt: new Date().toISOString(), limitedUntil };
+    state[name] = session;
+    writeState(state);
+}
+
+// Record how a browser run ended for the current session (called by the browser providers)
+export function recordSessionOutcome(provider, error = null) {
+    if (!error) {
+        setSessionStatus(currentSession, provider, { status: 'ok' });
+    } else if (error.failure === 'LOGIN_REQUIRED') {
+        setSessionStatus(currentSession, provider, { status: 'login-required', message: error.message });
+    } else if (error.failure === 'RATE_LIMITED') {
+        const limitedUntil = new Date(Date.now() + (error.cooldownMs || DEFAULT_COOLDOWN_MS)).toISOString();
+        setSessionStatus(currentSession, provider, { status: 'limited', message: error.message, limitedUntil });
+    }
+}
+
+// Can the session run the provider now? Never-checked sessions are worth a try if they exist
+export function isSessionAvailable(session, provider) {
+    const health = session.providers[provider];
+    if (!health) return session.exists || session.name === DEFAULT_SESSION;
+    if (health.status === 'login-required') return false;
+    if (health.status === 'limited') return Boolean(health.limitedUntil) && new Date(health.limitedUntil) <= new Date();
+    return true;
+}
+
+/**
+ * First session that can run all the providers and isn't busy.
+ *
+ * @param {string[]} providers - Browser providers the run needs
+ * @param {string[]} [busy] - Sessions in use by running jobs
+ * @returns {string|null} Session name
+ */
+export function pickSession(providers, busy = []) {
+    const session = listSessions().find(s => !busy.includes(s.name)
+        && providers.every(provider => isSessionAvailable(s, provider)));
+    return session ? session.name : null;
+}
+
+// Browser providers a script's arguments will use (empty for API and mock runs)
+export function browserProvidersFor(args) {
+    const providerIndex = args.indexOf('--provider');
+    if (providerIndex >= 0) {
+        return (args[providerIndex + 1] || '').split(',').filter(provider => BROWSER_PROVIDERS.includes(provider));
+    }
+    return SCRIPT_PROVIDERS[args[0]] || [];
+}
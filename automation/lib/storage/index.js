@@ -0,0 +1,259 @@
+/**
+ * Library storage: where the Design and Inspiration Libraries live.
+ *
+ * STORAGE_BACKEND picks the backend (default: supabase):
+ *
+ *   supabase  The hosted Supabase project the web UI has always used
+ *   local     library.json plus a files folder on disk, served by server.js (works offline)
+ *
+ * Every backend exposes the same interface:
+ *
+ *   backend.list(table, filters)                            → rows, newest first
+ *   backend.page(table, filters, { sort, limit, offset })   → { items, total }
+ *   backend.get(table, id)                                  → row or null
+ *   backend.insert(table, row)                              → saved row
+ *   backend.update(table, id, changes)                      → saved row
+ *   backend.remove(table, row)                              deletes the row and its file for good
+ *   backend.uploadFile(storagePath, buffer, contentType)    → file_url
+ *   backend.readFile(fileUrl)                               → Buffer
+ *   backend.storagePath(fileUrl)                            → path passed to uploadFile, or null
+ *
+ * table is 'designs' or 'inspirations' (or 'tracker_cards', see lib/tracker.js, and
+ * 'audit_log', see lib/audit.js); filters are { category, designer, notebook, tag, search,
+ * deleted } (see ./query.js for tags, search, the sorts and soft deletes).
+ *
+ * Library rows are deleted with deleteLibraryRow(), which only marks them; restoreLibraryRow()
+ * brings them back and purgeLibraryRow() removes a deleted row and its file for good.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import supabase from './supabase.js';
+import local from './local.js';
+import { detectImageFormat } from '../mime.js';
+import { imageHashes } from '../phash.js';
+import { EDITABLE_COLUMNS, normalizeTags } from './query.js';
+import { validate, invalidInput } from '../validate.js';
+
+export { SORTS, EDITABLE_COLUMNS, SOFT_DELETE_TABLES, normalizeTags } from './query.js';
+
+export const TABLES = ['designs', 'inspirations'];
+
+export const backends = {
+    [supabase.name]: supabase,
+    [local.name]: local
+};
+
+// Look up a backend by name (default: STORAGE_BACKEND, then supabase)
+export function getStorage(name = process.env.STORAGE_BACKEND || 'supabase') {
+    const backend = backends[name];
+    if (!backend) {
+        throw new Error(`Unknown storage backend: ${name}. Available backends: ${Object.keys(backends).join(', ')}`);
+    }
+    return backend;
+}
+
+// Fetch a single row, with a readable error when the ID is malformed, doesn't exist or
+// belongs to a deleted row (which nothing should be made from until it is restored)
+async function fetchRow(table, id, label) {
+    const name = label.charAt(0).toUpperCase() + label.slice(1);
+    validate({ id: { type: 'uuid', required: true, label: `${name} ID` } }, { id });
+    const row = await getStorage().get(table, id);
+    if (!row) {
+        throw new Error(`${name} not found: ${id}`);
+    }
+    if (row.deleted_at) {
+        throw new Error(`${name} ${id} is deleted (restore it first)`);
+    }
+    return row;
+}
+
+// Fetch inspiration from the Inspiration Library
+export async function fetchInspiration(id) {
+    return fetchRow('inspirations', id, 'inspiration');
+}
+
+// Fetch inspirations matching optional category/designer filters (newest first)
+export async function fetchInspirations({ category, designer } = {}) {
+    return getStorage().list('inspirations', { category, designer });
+}
+
+// Fetch design from the Design Library
+export async function fetchDesign(id) {
+    return fetchRow('designs', id, 'design');
+}
+
+/**
+ * Add an image to a library, the same way the web UI does: the file is stored under
+ * `<category>/<timestamp>_<name>` (inspirations under `inspirations/<category>/...`)
+ * and a row is inserted with the image's duplicate-detection hashes (see lib/phash.js).
+ *
+ * Only raster images are taken (see detectImageFormat() in lib/mime.js), and the name
+ * gets the extension of the detected format, so the file is always served as an image.
+ *
+ * @param {string} table - 'designs' or 'inspirations'
+ * @param {Object} item
+ * @param {string} item.fileName - Original file name
+ * @param {Buffer} item.buffer - Image bytes
+ * @param {Object} item.fields - Row columns besides file_name and file_url (category is required)
+ * @returns {Promise<Object>} The inserted row
+ */
+export async function addToLibrary(table, { fileName, buffer, fields }) {
+    if (!TABLES.includes(table)) {
+        throw new Error(`Unknown library: ${table}`);
+    }
+    if (!fields.category) {
+        throw new Error('A category is required');
+    }
+
+    const format = detectImageFormat(buffer);
+    if (!format) {
+        throw invalidInput('file', `${fileName} is not a PNG, JPEG, GIF, WebP, AVIF or TIFF image`);
+    }
+    fileName = path.basename(fileName, path.extname(fileName)) + format.extension;
+
+    const backend = getStorage();
+    const safeName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const folder = table === 'inspirations' ? `inspirations/${fields.category}` : fields.category;
+    const storagePath = `${folder}/${Date.now()}_${safeName}`;
+
+    // A file that can't be hashed is still stored, it just won't be found as a duplicate
+    let hashes = null;
+    try {
+        hashes = await imageHashes(buffer);
+    } catch (error) {
+        console.warn(`⚠️  Could not hash ${fileName}: ${error.message}`);
+    }
+
+    const fileUrl = await backend.uploadFile(storagePath, buffer, format.mimeType);
+
+    return backend.insert(table, {
+        file_name: fileName,
+        file_url: fileUrl,
+        ...fields,
+        ...(fields.tags && { tags: normalizeTags(fields.tags) }),
+        ...(hashes && { phash: hashes.phash, content_hash: hashes.contentHash })
+    });
+}
+
+/**
+ * Change the editable columns of a library row (the web UI's edits and bulk actions).
+ * Deleted rows can't be changed until they are restored.
+ *
+ * @param {string} table - 'designs' or 'inspirations'
+ * @param {string} id - Row ID
+ * @param {Object} changes - Columns from EDITABLE_COLUMNS; tags may be an array or a comma-separated string
+ * @returns {Promise<Object>} The saved row
+ */
+export async function updateLibraryRow(table, id, changes) {
+    if (!TABLES.includes(table)) {
+        throw new Error(`Unknown library: ${table}`);
+    }
+
+    const columns = Object.keys(changes);
+    const readOnly = columns.filter(column => !EDITABLE_COLUMNS[table].includes(column));
+    if (readOnly.length > 0) {
+        throw new Error(`Cannot change ${readOnly.join(', ')} (editable: ${EDITABLE_COLUMNS[table].join(', ')})`);
+    }
+    if (columns.length === 0) {
+        throw new Error('Nothing to change');
+    }
+    if ('category' in changes && !String(changes.category || '').trim()) {
+        throw new Error('A category is required');
+    }
+    if ('base_notebooks' in changes && (!Array.isArray(changes.base_notebooks) || changes.base_notebooks.length === 0)) {
+        throw new Error('Select at least one base notebook');
+    }
+
+    await fetchLibraryRow(table, id, false);
+    return getStorage().update(table, id, {
+        ...changes,
+        ...('tags' in changes && { tags: normalizeTags(changes.tags) })
+    });
+}
+
+// Fetch a library row for a soft-delete action, checking the table and whether it is deleted
+async function fetchLibraryRow(table, id, deleted) {
+    if (!TABLES.includes(table)) {
+        throw new Error(`Unknown library: ${table}`);
+    }
+    const row = await getStorage().get(table, id);
+    if (!row) {
+        throw new Error(`Not found: ${id}`);
+    }
+    if (!!row.deleted_at !== deleted) {
+        throw new Error(deleted ? `${row.file_name} is not deleted` : `${row.file_name} is already deleted`);
+    }
+    return row;
+}
+
+/**
+ * Delete a library row: it disappears from the lists but keeps its file until it is purged.
+ *
+ * @param {string} table - 'designs' or 'inspirations'
+ * @param {string} id - Row ID
+ * @param {string} deletedBy - Username stored as deleted_by
+ * @returns {Promise<Object>} The saved row
+ */
+export async function deleteLibraryRow(table, id, deletedBy) {
+    await fetchLibraryRow(table, id, false);
+    return getStorage().update(table, id, { deleted_at: new Date().toISOString(), deleted_by: deletedBy });
+}
+
+// Bring a deleted library row back
+export async function restoreLibraryRow(table, id) {
+    await fetchLibraryRow(table, id, true);
+    return getStorage().update(table, id, { deleted_at: null, deleted_by: null });
+}
+
+// Remove a deleted library row and its file for good; returns the removed row
+export async function purgeLibraryRow(table, id) {
+    const row = await fetchLibraryRow(table, id, true);
+
+    // Removing the file would break the rows that share it (e.g. merged duplicates)
+    const backend = getStorage();
+    const others = [...await backend.list(table), ...await backend.list(table, { deleted: true })]
+        .filter(other => other.id !== row.id && other.file_url === row.file_url);
+    if (others.length > 0) {
+        throw new Error(`${row.file_name} shares its image with ${others.map(other => other.id).join(', ')}`);
+    }
+
+    await backend.remove(table, row);
+    return row;
+}
+
+/**
+ * Upload an image to the Design Library.
+ *
+ * @param {string} filePath - Local image to upload
+ * @param {Object} meta
+ * @param {string} meta.category
+ * @param {string} meta.designer
+ * @param {string[]} meta.baseNotebooks - Notebook colours the design works with
+ * @param {Object} [meta.provenance] - How the image was generated (see lib/design-library.js)
+ * @param {string} [meta.createdBy] - Username stored as created_by
+ * @param {Object} [meta.placement] - Where the design sits on the template (see lib/placement.js)
+ * @returns {Promise<Object>} The inserted designs row
+ */
+export async function uploadDesign(filePath, { category, designer, baseNotebooks, provenance = null, createdBy = null, placement = null }) {
+    return addToLibrary('designs', {
+        fileName: path.basename(filePath),
+        buffer: fs.readFileSync(filePath),
+        fields: {
+            category,
+            designer,
+            base_notebooks: baseNotebooks,
+            ...(createdBy && { created_by: createdBy }),
+            ...(placement && { placement }),
+            ...(provenance && {
+                source_inspiration_id: provenance.inspirationId || null,
+                source_design_id: provenance.sourceDesignId || null,
+                source_step: provenance.step,
+                provider: provenance.provider,
+                prompt_template: provenance.promptTemplate,
+                prompt_version: provenance.promptVersion,
+                run_id: provenance.runId || null
+            })
+        }
+    });
+}
@@ -0,0 +1,224 @@
+/**
+ * Local storage backend.
+ *
+ * Keeps the Design and Inspiration Libraries on disk so everything works offline:
+ *
+ *   <LIBRARY_DIR>/library.json   { designs: [...], inspirations: [...], tracker_cards: [...] } with the same columns as Supabase
+ *   <LIBRARY_DIR>/files/...      Image files, at the same paths as in the Supabase bucket
+ *
+ * LIBRARY_DIR defaults to automation/library (override with LOCAL_LIBRARY_DIR). The
+ * automation server serves the files under /library/files/, which is what file_url holds.
+ *
+ * The server and every job it runs write library.json, often at the same time (parallel
+ * uploads, the audit log). Each change is a read-modify-write under a lock file,
+ * library.json.lock, and is saved to a temporary file that replaces library.json in one
+ * rename, so no writer loses another's rows and readers never see half a file.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { searchTerms, matchesSearch, matchesDeleted, sortFor } from './query.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const LIBRARY_DIR = process.env.LOCAL_LIBRARY_DIR || path.join(__dirname, '..', '..', 'library');
+export const FILES_DIR = path.join(LIBRARY_DIR, 'files');
+export const FILES_URL_PREFIX = '/library/files/';
+
+const DB_PATH = path.join(LIBRARY_DIR, 'library.json');
+const LOCK_PATH = `${DB_PATH}.lock`;
+
+// How often and how long to wait for another process's lock
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 10000;
+// A lock this old was left behind by a process that died while writing
+const LOCK_STALE_MS = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function load() {
+    if (!fs.existsSync(DB_PATH)) {
+        return { designs: [], inspirations: [] };
+    }
+    return JSON.parse(fs.readFileSync(DB_PATH, 'utf8'));
+}
+
+function save(db) {
+    const tempPath = `${DB_PATH}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(db, null, 2));
+    fs.renameSync(tempPath, DB_PATH);
+}
+
+// Take the lock file, waiting while another process holds it
+async function lock() {
+    fs.mkdirSync(LIBRARY_DIR, { recursive: true });
+    const started = Date.now();
+
+    for (;;) {
+        try {
+            fs.writeFileSync(LOCK_PATH, String(process.pid), { flag: 'wx' });
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        let age;
+        try {
+            age = Date.now() - fs.statSync(LOCK_PATH).mtimeMs;
+        } catch {
+            continue; // Released in the meantime
+        }
+        if (age > LOCK_STALE_MS) {
+            fs.rmSync(LOCK_PATH, { force: true });
+        } else if (Date.now() - started > LOCK_TIMEOUT_MS) {
+            throw new Error(`Failed to lock the local library: ${LOCK_PATH} is held by another process`);
+        } else {
+            await sleep(LOCK_RETRY_MS);
+        }
+    }
+}
+
+// This process's changes, one after another (so they don't poll for each other's lock)
+let queue = Promise.resolve();
+
+// Change library.json under the lock: change(db) edits the loaded library in place and
+// its return value is passed on; nothing is saved when it throws
+function modify(change) {
+    const run = queue.then(async () => {
+        await lock();
+        try {
+            const db = load();
+            const result = change(db);
+            save(db);
+            return result;
+        } finally {
+            fs.rmSync(LOCK_PATH, { force: true });
+        }
+    });
+    queue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Absolute path of a local library file_url, or null if the URL isn't one.
+ * Refuses paths that would escape the files folder.
+ */
+export function localFilePath(fileUrl) {
+    if (!fileUrl || !fileUrl.startsWith(FILES_URL_PREFIX)) return null;
+
+    const relative = decodeURIComponent(fileUrl.slice(FILES_URL_PREFIX.length));
+    const filePath = path.resolve(FILES_DIR, relative);
+    if (!filePath.startsWith(path.resolve(FILES_DIR) + path.sep)) return null;
+
+    return filePath;
+}
+
+export default {
+    name: 'local',
+    description: `Local library in ${LIBRARY_DIR}`,
+
+    // Rows matching optional category/designer/base notebook/tag/search/deleted filters (newest first)
+    async list(table, filters = {}) {
+        return (await this.page(table, filters)).items;
+    },
+
+    // One page of matching rows and the number of matches
+    async page(table, { category, designer, notebook, tag, search, deleted } = {}, { sort, limit, offset = 0 } = {}) {
+        const { column, ascending } = sortFor(sort);
+        const terms = searchTerms(search);
+        const rows = (load()[table] || [])
+            .filter(row => !category || row.category === category)
+            .filter(row => !designer || row.designer === designer)
+            .filter(row => !notebook || (row.base_notebooks || []).includes(notebook))
+            .filter(row => !tag || (row.tags || []).includes(tag))
+            .filter(row => matchesSearch(row, terms))
+            .filter(row => matchesDeleted(table, row, deleted))
+            .sort((a, b) => (ascending ? 1 : -1) * String(a[column] || '').localeCompare(String(b[column] || '')));
+
+        return {
+            items: limit ? rows.slice(offset, offset + limit) : rows.slice(offset),
+            total: rows.length
+        };
+    },
+
+    // A single row by ID, or null
+    async get(table, id) {
+        return (load()[table] || []).find(row => row.id === id) || null;
+    },
+
+    // Insert a row; id and created_at are generated unless given (e.g. when importing)
+    async insert(table, row) {
+        const saved = {
+            id: crypto.randomUUID(),
+            created_at: new Date().toISOString(),
+            ...row
+        };
+
+        return modify((db) => {
+            db[table] = db[table] || [];
+            if (db[table].some(existing => existing.id === saved.id)) {
+                throw new Error(`Failed to save to ${table}: duplicate id ${saved.id}`);
+            }
+            db[table].push(saved);
+            return saved;
+        });
+    },
+
+    // Change columns of a row; returns the saved row
+    async update(table, id, changes) {
+        return modify((db) => {
+            const row = (db[table] || []).find(existing => existing.id === id);
+            if (!row) {
+                throw new Error(`Failed to update ${table}: ${id} not found`);
+            }
+            return Object.assign(row, changes);
+        });
+    },
+
+    // Delete a row and its image file
+    async remove(table, row) {
+        const filePath = localFilePath(row.file_url);
+        if (filePath && fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+
+        await modify((db) => {
+            db[table] = (db[table] || []).filter(existing => existing.id !== row.id);
+        });
+    },
+
+    // Store an image under a library path; returns its file_url
+    async uploadFile(storagePath, buffer) {
+        const fileUrl = FILES_URL_PREFIX + storagePath.split('/').map(encodeURIComponent).join('/');
+        const filePath = localFilePath(fileUrl);
+        if (!filePath) {
+            throw new Error(`Failed to upload file: invalid path ${storagePath}`);
+        }
+        if (fs.existsSync(filePath)) {
+            throw new Error(`Failed to upload file: ${storagePath} already exists`);
+        }
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, buffer);
+
+        return fileUrl;
+    },
+
+    // Read the image behind a file_url
+    async readFile(fileUrl) {
+        const filePath = localFilePath(fileUrl);
+        if (!filePath || !fs.existsSync(filePath)) {
+            throw new Error(`Failed to download file: not in the local library: ${fileUrl}`);
+        }
+        return fs.readFileSync(filePath);
+    },
+
+    // Library path of a file_url (null for files stored elsewhere)
+    storagePath(fileUrl) {
+        const filePath = localFilePath(fileUrl);
+        return filePath ? path.relative(FILES_DIR, filePath).split(path.sep).join('/') : null;
+    }
+};
@@ -0,0 +1,68 @@
+/**
+ * Library queries shared by the storage backends: tags, text search, sorting and
+ * soft deletes.
+ *
+ * Tags are free-form, stored lowercase in a `tags` text[] column. Search matches every
+ * word of the query as a word prefix ("flor cat" finds "Floral" + "cute cat") in a
+ * row's description, file name, category, designer and tags; Supabase does this with
+ * the `search` full-text column (see supabase/migrations), the local backend in memory.
+ *
+ * Deleting a library row only sets its `deleted_at` (and `deleted_by`): lists leave such
+ * rows out unless the `deleted` filter asks for them, and an admin can restore them.
+ */
+
+// Tables whose rows are soft-deleted
+export const SOFT_DELETE_TABLES = ['designs', 'inspirations'];
+
+export const SORTS = {
+    newest: { column: 'created_at', ascending: false },
+    oldest: { column: 'created_at', ascending: true },
+    name: { column: 'file_name', ascending: true }
+};
+
+// Columns the web UI and the bulk actions may change, per library
+export const EDITABLE_COLUMNS = {
+    designs: ['category', 'designer', 'base_notebooks', 'tags'],
+    inspirations: ['category', 'designer', 'description', 'tags']
+};
+
+// Lowercase, trimmed, unique tags from an array or a comma-separated string
+export function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Query words without punctuation (which would break a tsquery)
+export function searchTerms(search) {
+    return String(search || '')
+        .toLowerCase()
+        .split(/\s+/)
+        .map(term => term.replace(/[^\p{L}\p{N}]/gu, ''))
+        .filter(Boolean);
+}
+
+// Does a row match every search term?
+export function matchesSearch(row, terms) {
+    if (terms.length === 0) return true;
+
+    const words = [row.description, row.file_name, row.category, row.designer, ...(row.tags || [])]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u);
+    return terms.every(term => words.some(word => word.startsWith(term)));
+}
+
+// Does a row belong in a list? Deleted rows only show with the `deleted` filter
+export function matchesDeleted(table, row, deleted) {
+    if (!SOFT_DELETE_TABLES.includes(table)) return true;
+    return deleted ? !!row.deleted_at : !row.deleted_at;
+}
+
+export function sortFor(sort) {
+    const order = SORTS[sort || 'newest'];
+    if (!order) {
+        throw new Error(`Unknown sort: ${sort}. Available: ${Object.keys(SORTS).join(', ')}`);
+    }
+    return order;
+}
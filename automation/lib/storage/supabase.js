@@ -0,0 +1,181 @@
+/**
+ * Supabase storage backend.
+ *
+ * Uses the same project and tables as the web UI: rows in the `designs` and
+ * `inspirations` tables, image files in the `designs` storage bucket.
+ *
+ * Once row level security is on (supabase/migrations/20261024000000_auth_audit.sql), the
+ * anon key can only read: set SUPABASE_SERVICE_ROLE_KEY for the automation server and
+ * scripts so they can write.
+ */
+
+import { searchTerms, sortFor, SOFT_DELETE_TABLES } from './query.js';
+
+export const SUPABASE_URL = 'https://jyosixwjbsahcctyakdi.supabase.co';
+export const SUPABASE_ANON_KEY = 'sb_publishable_S5JGtvltlC1Q314L50QR4A_zYvzDjCR';
+export const BUCKET_NAME = 'designs';
+
+const PUBLIC_URL_PREFIX = `${SUPABASE_URL}/storage/v1/object/public/${BUCKET_NAME}/`;
+
+const API_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || SUPABASE_ANON_KEY;
+
+// Auth headers for every request, plus any extras
+function headers(extra = {}) {
+    return {
+        'apikey': API_KEY,
+        'Authorization': `Bearer ${API_KEY}`,
+        ...extra
+    };
+}
+
+// Query string selecting one row; IDs are encoded so they can't add PostgREST filters
+function idParams(id, extra = {}) {
+    return new URLSearchParams({ id: `eq.${id}`, ...extra });
+}
+
+// PostgREST filters for list() and page()
+function filterParams(table, { category, designer, notebook, tag, search, deleted } = {}) {
+    const params = new URLSearchParams({ select: '*' });
+    if (SOFT_DELETE_TABLES.includes(table)) params.append('deleted_at', deleted ? 'not.is.null' : 'is.null');
+    if (category) params.append('category', `eq.${category}`);
+    if (designer) params.append('designer', `eq.${designer}`);
+    if (notebook) params.append('base_notebooks', `cs.{${notebook}}`);
+    if (tag) params.append('tags', `cs.{"${tag.replace(/"/g, '')}"}`);
+
+    // Prefix match of every word against the generated `search` column
+    const terms = searchTerms(search);
+    if (terms.length > 0) params.append('search', `fts(simple).${terms.map(term => `${term}:*`).join(' & ')}`);
+
+    return params;
+}
+
+// `search` is generated by Postgres: never hand it back (it can't be inserted elsewhere)
+function withoutSearch({ search, ...row }) {
+    return row;
+}
+
+// Throw with the response status and body (PostgREST puts the reason in the body)
+async function check(response, action) {
+    if (!response.ok) {
+        const detail = await response.text();
+        throw new Error(`Failed to ${action}: ${response.statusText}${detail ? ` (${detail})` : ''}`);
+    }
+    return response;
+}
+
+export default {
+    name: 'supabase',
+    description: `Hosted Supabase project (${SUPABASE_URL})`,
+
+    // Rows matching optional category/designer/base notebook/tag/search/deleted filters (newest first)
+    async list(table, filters = {}) {
+        const params = filterParams(table, filters);
+        params.append('order', 'created_at.desc');
+
+        const response = await fetch(`${SUPABASE_URL}/rest/v1/${table}?${params}`, { headers: headers() });
+        await check(response, `fetch ${table}`);
+        return (await response.json()).map(withoutSearch);
+    },
+
+    // One page of matching rows and the number of matches (from the Content-Range header)
+    async page(table, filters = {}, { sort, limit, offset = 0 } = {}) {
+        const { column, ascending } = sortFor(sort);
+        const params = filterParams(table, filters);
+        params.append('order', `${column}.${ascending ? 'asc' : 'desc'}`);
+        if (limit) params.append('limit', String(limit));
+        if (offset) params.append('offset', String(offset));
+
+        const response = await fetch(`${SUPABASE_URL}/rest/v1/${table}?${params}`, {
+            headers: headers({ 'Prefer': 'count=exact' })
+        });
+        await check(response, `fetch ${table}`);
+        const items = (await response.json()).map(withoutSearch);
+        const total = parseInt((response.headers.get('content-range') || '').split('/')[1], 10);
+
+        return { items, total: Number.isNaN(total) ? offset + items.length : total };
+    },
+
+    // A single row by ID, or null
+    async get(table, id) {
+        const response = await fetch(`${SUPABASE_URL}/rest/v1/${table}?${idParams(id, { select: '*' })}`, { headers: headers() });
+        await check(response, `fetch ${table}`);
+        const rows = await response.json();
+        return rows[0] ? withoutSearch(rows[0]) : null;
+    },
+
+    // Insert a row; returns it with its generated columns
+    async insert(table, row) {
+        const response = await fetch(`${SUPABASE_URL}/rest/v1/${table}`, {
+            method: 'POST',
+            headers: headers({ 'Content-Type': 'application/json', 'Prefer': 'return=representation' }),
+            body: JSON.stringify(row)
+        });
+        await check(response, `save to ${table}`);
+        const rows = await response.json();
+        return withoutSearch(rows[0]);
+    },
+
+    // Change columns of a row; returns the saved row
+    async update(table, id, changes) {
+        const response = await fetch(`${SUPABASE_URL}/rest/v1/${table}?${idParams(id)}`, {
+            method: 'PATCH',
+            headers: headers({ 'Content-Type': 'application/json', 'Prefer': 'return=representation' }),
+            body: JSON.stringify(changes)
+        });
+        await check(response, `update ${table}`);
+        const rows = await response.json();
+        if (!rows[0]) {
+            throw new Error(`Failed to update ${table}: ${id} not found`);
+        }
+        return withoutSearch(rows[0]);
+    },
+
+    // Delete a row and its image file (a missing file only warns, like the web UI)
+    async remove(table, row) {
+        const filePath = this.storagePath(row.file_url);
+        if (filePath) {
+            const response = await fetch(`${SUPABASE_URL}/storage/v1/object/${BUCKET_NAME}`, {
+                method: 'DELETE',
+                headers: headers({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ prefixes: [filePath] })
+            });
+            if (!response.ok) {
+                console.warn(`⚠️  Storage delete failed: ${response.statusText}`);
+            }
+        }
+
+        const response = await fetch(`${SUPABASE_URL}/rest/v1/${table}?${idParams(row.id)}`, {
+            method: 'DELETE',
+            headers: headers()
+        });
+        await check(response, `delete from ${table}`);
+    },
+
+    // Store an image under a bucket path; returns its public URL
+    async uploadFile(storagePath, buffer, contentType) {
+        const response = await fetch(`${SUPABASE_URL}/storage/v1/object/${BUCKET_NAME}/${storagePath}`, {
+            method: 'POST',
+            headers: headers({
+                'Content-Type': contentType,
+                'cache-control': '3600',
+                'x-upsert': 'false'
+            }),
+            body: buffer
+        });
+        await check(response, 'upload file');
+        return `${PUBLIC_URL_PREFIX}${storagePath}`;
+    },
+
+    // Read the image behind a file_url
+    async readFile(fileUrl) {
+        const response = await fetch(fileUrl);
+        await check(response, 'download file');
+        return Buffer.from(await response.arrayBuffer());
+    },
+
+    // Bucket path of a file_url (null for files stored elsewhere)
+    storagePath(fileUrl) {
+        const parts = (fileUrl || '').split(`${BUCKET_NAME}/`);
+        return parts.length > 1 ? parts.slice(1).join(`${BUCKET_NAME}/`) : null;
+    }
+};
@@ -0,0 +1,124 @@
+/**
+ * Pipeline tracker: one card per design, moving through the production stages.
+ *
+ * Cards live in the `tracker_cards` table of the library storage backend (see
+ * lib/storage/ and supabase/migrations). Each card has a stage, an assignee (the
+ * designer), a due date and notes, plus the colours each step has produced so far:
+ *
+ *   progress  { step1: ['blue'], step2: ['blue', 'pink'], step3: ['pink'] }
+ *
+ * Cards advance by themselves when a run adds a design to the Design Library:
+ * advanceTracker() finds the card of the design's source inspiration (creating it if
+ * needed), records the colour and moves the card forward to that step. Cards never move
+ * back on their own, and Listed is only ever set by hand.
+ */
+
+import { getStorage, fetchInspiration } from './storage/index.js';
+
+export const TRACKER_TABLE = 'tracker_cards';
+
+export const TRACKER_STAGES = [
+    { id: 'inspiration', label: 'Inspiration' },
+    { id: 'step1', label: 'Step 1' },
+    { id: 'step2', label: 'Step 2' },
+    { id: 'step3', label: 'Step 3' },
+    { id: 'listed', label: 'Listed' }
+];
+
+// Steps that produce colours per card
+export const TRACKER_STEPS = ['step1', 'step2', 'step3'];
+
+// Columns the web UI and the XLSX import may set
+export const TRACKER_COLUMNS = ['title', 'inspiration_id', 'stage', 'progress', 'designer', 'due_date', 'notes', 'image_url'];
+
+const stageIndex = (stage) => TRACKER_STAGES.findIndex(s => s.id === stage);
+
+// Check a card's columns before they are saved
+function validateCard(fields) {
+    const unknown = Object.keys(fields).filter(column => !TRACKER_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+        throw new Error(`Cannot set ${unknown.join(', ')} (columns: ${TRACKER_COLUMNS.join(', ')})`);
+    }
+    if ('title' in fields && !String(fields.title || '').trim()) {
+        throw new Error('A title is required');
+    }
+    if ('stage' in fields && stageIndex(fields.stage) < 0) {
+        throw new Error(`Unknown stage: ${fields.stage}. Available: ${TRACKER_STAGES.map(s => s.id).join(', ')}`);
+    }
+    if (fields.due_date && !/^\d{4}-\d{2}-\d{2}$/.test(fields.due_date)) {
+        throw new Error(`Due date must be YYYY-MM-DD: ${fields.due_date}`);
+    }
+}
+
+// Every card, newest first
+export async function listCards() {
+    return getStorage().list(TRACKER_TABLE);
+}
+
+export async function createCard(fields) {
+    validateCard(fields);
+    if (!fields.title) {
+        throw new Error('A title is required');
+    }
+
+    const now = new Date().toISOString();
+    return getStorage().insert(TRACKER_TABLE, {
+        stage: 'inspiration',
+        progress: {},
+        ...fields,
+        created_at: now,
+        updated_at: now
+    });
+}
+
+export async function updateCard(id, changes) {
+    validateCard(changes);
+    if (Object.keys(changes).length === 0) {
+        throw new Error('Nothing to change');
+    }
+    return getStorage().update(TRACKER_TABLE, id, { ...changes, updated_at: new Date().toISOString() });
+}
+
+export async function removeCard(id) {
+    const card = await getStorage().get(TRACKER_TABLE, id);
+    if (!card) {
+        throw new Error(`Card not found: ${id}`);
+    }
+    await getStorage().remove(TRACKER_TABLE, card);
+}
+
+/**
+ * Move the card of a new design's inspiration forward (the card is created if the
+ * inspiration has none). Only warns on failure: tracking must never fail a step.
+ *
+ * @param {Object} design - designs row with source_inspiration_id, source_step and base_notebooks
+ * @returns {Promise<Object|null>} The saved card, or null if the design isn't tracked
+ */
+export async function advanceTracker(design) {
+    const { source_inspiration_id: inspirationId, source_step: step } = design;
+    if (!inspirationId || !TRACKER_STEPS.includes(step)) return null;
+
+    try {
+        let card = (await listCards()).find(c => c.inspiration_id === inspirationId);
+        if (!card) {
+            const inspiration = await fetchInspiration(inspirationId);
+            card = await createCard({
+                title: inspiration.description || inspiration.file_name,
+                inspiration_id: inspirationId,
+                designer: inspiration.designer || null,
+                image_url: inspiration.file_url
+            });
+        }
+
+        const progress = { ...(card.progress || {}) };
+        progress[step] = [...new Set([...(progress[step] || []), ...(design.base_notebooks || [])])];
+        const stage = stageIndex(step) > stageIndex(card.stage) ? step : card.stage;
+
+        const saved = await updateCard(card.id, { stage, progress, image_url: design.file_url });
+        console.log(`   📋 Tracker: "${saved.title}" ${stage === card.stage ? 'updated' : `moved to ${TRACKER_STAGES[stageIndex(stage)].label}`}`);
+        return saved;
+    } catch (error) {
+        console.log(`   ⚠️  Tracker not updated: ${error.message}`);
+        return null;
+    }
+}
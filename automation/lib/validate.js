@@ -0,0 +1,293 @@
+/**
+ * Input validation for the server routes and the automation scripts' options.
+ *
+ * A schema maps each field to a rule; validate() checks an input object against it and
+ * returns the fields that are set, converted (numbers and booleans from query strings,
+ * lists from comma-separated strings). Empty strings and nulls count as not set.
+ *
+ *   string   { max, pattern, oneOf, multiline }  trimmed; control characters rejected
+ *   uuid     Library row IDs
+ *   slug     Catalogue, provider and job IDs: letters, digits, -, _ and .
+ *   url      http(s) URL { max }
+ *   integer  { min, max }
+ *   boolean
+ *   list     { of, max }  an array, or a comma-separated string; `of` is the item rule
+ *   date     YYYY-MM-DD
+ *   object   a plain JSON object (e.g. a tracker card's progress)
+ *   path     a local file { within, mustExist }; `within` lists the folders it must be in
+ *   dataUrl  a base64 data: URL { max, image } (bytes); returned as { mimeType, buffer }. With
+ *            `image` the content must be a raster image (whatever the URL claims): mimeType
+ *            is the detected one, and `extension` is added, e.g. '.png'
+ *   placement  a design placement, or its JSON (see lib/placement.js)
+ *
+ * Any rule may be `required`, and `label` names the field in messages (e.g. --designId).
+ * `oneOf` may be a function returning the choices, for lists that change while the server
+ * runs (e.g. the catalogue's bases).
+ *
+ * Bad input throws an error with `code` INVALID_INPUT and the `field` it is about. Its
+ * `failure` is INVALID_INPUT too, so scripts exit with that code (see lib/daemon.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { normalizePlacement } from './placement.js';
+import { detectImageFormat } from './mime.js';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SLUG = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+// Browser session names become folder names (see lib/sessions.js), so no dots
+export const SESSION_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+// Control characters other than tab (and newlines in multiline text)
+const CONTROL = /[\u0000-\u0008\u000b-\u001f\u007f]/;
+const CONTROL_MULTILINE = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/;
+
+const DEFAULT_MAX_LENGTH = 500;
+const DEFAULT_MAX_URL_LENGTH = 2048;
+
+// An INVALID_INPUT error about one field
+export function invalidInput(field, message) {
+    const error = new Error(message);
+    error.code = 'INVALID_INPUT';
+    error.failure = 'INVALID_INPUT';
+    error.field = field;
+    return error;
+}
+
+// Rules for the inputs the server and the scripts share
+export const FIELDS = {
+    color: { type: 'slug' },
+    colors: { type: 'list', of: { type: 'slug' }, max: 20 },
+    design: { type: 'string', max: 4000, multiline: true },
+    description: { type: 'string', max: 4000, multiline: true },
+    designUrl: { type: 'url' },
+    inspirationId: { type: 'uuid' },
+    designId: { type: 'uuid' },
+    designIds: { type: 'list', of: { type: 'uuid' }, max: 100 },
+    reference: { type: 'slug' },
+    provider: { type: 'slug' },
+    session: { type: 'string', max: 64, pattern: SESSION_NAME },
+    category: { type: 'string', max: 100 },
+    designer: { type: 'string', max: 100 },
+    runId: { type: 'slug' },
+    variants: { type: 'integer', min: 1, max: 8 },
+    retries: { type: 'integer', min: 0, max: 5 },
+    thickness: { type: 'string', max: 200 },
+    elements: { type: 'string', max: 1000, multiline: true },
+    exclude: { type: 'string', max: 1000, multiline: true },
+    scenes: { type: 'list', of: { type: 'slug' }, max: 20 },
+    channels: { type: 'list', of: { type: 'slug' }, max: 20 },
+    sku: { type: 'string', max: 64, pattern: /^[A-Za-z0-9._-]+$/ },
+    template: { type: 'slug' },
+    formats: { type: 'list', of: { type: 'slug' }, max: 5 },
+    container: { type: 'string', oneOf: ['mp4', 'webm'] },
+    placement: { type: 'placement' },
+    upload: { type: 'boolean' }
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// The allowed values of a rule with oneOf (null when any value is allowed)
+const choices = (rule) => (typeof rule.oneOf === 'function' ? rule.oneOf() : rule.oneOf) || null;
+
+function checkString(value, rule, name) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        throw invalidInput(name, `${name} must be text`);
+    }
+    const text = String(value).trim();
+    if (text.length > (rule.max || DEFAULT_MAX_LENGTH)) {
+        throw invalidInput(name, `${name} is too long (at most ${rule.max || DEFAULT_MAX_LENGTH} characters)`);
+    }
+    if ((rule.multiline ? CONTROL_MULTILINE : CONTROL).test(text)) {
+        throw invalidInput(name, `${name} contains control characters`);
+    }
+    const allowed = choices(rule);
+    if (allowed && !allowed.includes(text)) {
+        throw invalidInput(name, `${name} must be one of: ${allowed.join(', ')}`);
+    }
+    if (rule.pattern && !rule.pattern.test(text)) {
+        throw invalidInput(name, `${name} has an invalid format: "${text}"`);
+    }
+    return text;
+}
+
+// Check one value against its rule; name is the field's label in messages
+function checkValue(value, rule, name) {
+    switch (rule.type) {
+        case 'string':
+            return checkString(value, rule, name);
+
+        case 'uuid':
+            if (!UUID.test(String(value))) {
+                throw invalidInput(name, `${name} is not a valid ID: "${value}"`);
+            }
+            return String(value).toLowerCase();
+
+        case 'slug': {
+            if (typeof value !== 'string' || !SLUG.test(value)) {
+                throw invalidInput(name, `${name} may only contain letters, digits, ., - and _: "${value}"`);
+            }
+            const allowed = choices(rule);
+            if (allowed && !allowed.includes(value)) {
+                throw invalidInput(name, `${name} must be one of: ${allowed.join(', ')}`);
+            }
+            return value;
+        }
+
+        case 'url': {
+            const text = checkString(value, { max: rule.max || DEFAULT_MAX_URL_LENGTH }, name);
+            let url;
+            try {
+                url = new URL(text);
+            } catch {
+                throw invalidInput(name, `${name} is not a valid URL: "${text}"`);
+            }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                throw invalidInput(name, `${name} must be an http or https URL`);
+            }
+            return url.href;
+        }
+
+        case 'integer': {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (!Number.isInteger(number)) {
+                throw invalidInput(name, `${name} must be a whole number`);
+            }
+            if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+                throw invalidInput(name, `${name} must be between ${rule.min ?? '-∞'} and ${rule.max ?? '∞'}`);
+            }
+            return number;
+        }
+
+        case 'boolean':
+            if (value === true || value === 'true' || value === '1') return true;
+            if (value === false || value === 'false' || value === '0') return false;
+            throw invalidInput(name, `${name} must be true or false`);
+
+        case 'list': {
+            const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+            if (!items) {
+                throw invalidInput(name, `${name} must be a list`);
+            }
+            const values = items.filter(item => !isEmpty(typeof item === 'string' ? item.trim() : item));
+            if (rule.max && values.length > rule.max) {
+                throw invalidInput(name, `${name} has too many items (at most ${rule.max})`);
+            }
+            return values.map(item => checkValue(typeof item === 'string' ? item.trim() : item, rule.of, name));
+        }
+
+        case 'date':
+            if (!DATE.test(String(value)) || isNaN(Date.parse(value))) {
+                throw invalidInput(name, `${name} must be a date (YYYY-MM-DD): "${value}"`);
+            }
+            return String(value);
+
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                throw invalidInput(name, `${name} must be an object`);
+            }
+            return value;
+
+        case 'path': {
+            const filePath = path.resolve(checkString(value, { max: 1000 }, name));
+            if (rule.within && !rule.within.some(dir => !path.relative(dir, filePath).startsWith('..')
+                && !path.isAbsolute(path.relative(dir, filePath)))) {
+                throw invalidInput(name, `${name} must be a file inside ${rule.within.join(' or ')}`);
+            }
+            if (rule.mustExist && !fs.existsSync(filePath)) {
+                throw invalidInput(name, `${name} not found: ${filePath}`);
+            }
+            return filePath;
+        }
+
+        case 'dataUrl': {
+            const match = typeof value === 'string' ? /^data:([\w.+-]+\/[\w.+-]+)(;[^,;]*)*;base64,([A-Za-z0-9+/=\s]+)$/.exec(value) : null;
+            if (!match) {
+                throw invalidInput(name, `${name} must be a base64 data: URL`);
+            }
+            const buffer = Buffer.from(match[3], 'base64');
+            if (rule.max && buffer.length > rule.max) {
+                throw invalidInput(name, `${name} is too large (at most ${Math.round(rule.max / 1024 / 1024)} MB)`);
+            }
+            if (rule.image) {
+                const detected = detectImageFormat(buffer);
+                if (!detected) {
+                    throw invalidInput(name, `${name} is not a PNG, JPEG, GIF, WebP, AVIF or TIFF image`);
+                }
+                return { mimeType: detected.mimeType, extension: detected.extension, buffer };
+            }
+            return { mimeType: match[1], buffer };
+        }
+
+        case 'placement':
+            try {
+                return normalizePlacement(value, name);
+            } catch (error) {
+                throw invalidInput(name, error.message);
+            }
+
+        default:
+            throw new Error(`Unknown rule type for ${name}: ${rule.type}`);
+    }
+}
+
+/**
+ * Check an input object against a schema.
+ *
+ * @param {Object} schema - { field: rule }
+ * @param {Object} input - Request body, query or script options
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Reject fields the schema doesn't know (request bodies)
+ * @param {boolean} [options.keepEmpty] - Return empty fields as null instead of leaving them out
+ *   (changes, where null clears a column)
+ * @param {string} [options.prefix] - Put before field names in messages, e.g. '--' for script options
+ * @returns {Object} The fields that are set, converted
+ */
+export function validate(schema, input, { strict = false, keepEmpty = false, prefix = '' } = {}) {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        throw invalidInput(null, 'Expected a JSON object');
+    }
+
+    if (strict) {
+        const unknown = Object.keys(input).filter(field => !schema[field]);
+        if (unknown.length > 0) {
+            throw invalidInput(unknown[0], `Unknown field${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+        }
+    }
+
+    const values = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        const name = rule.label || `${prefix}${field}`;
+        if (isEmpty(input[field])) {
+            if (rule.required) {
+                throw invalidInput(field, `${name} is required`);
+            }
+            if (keepEmpty && field in input) values[field] = null;
+            continue;
+        }
+        let value;
+        try {
+            value = checkValue(input[field], rule, name);
+        } catch (error) {
+            if (error.code === 'INVALID_INPUT') error.field = field;
+            throw error;
+        }
+        if (rule.required && Array.isArray(value) && value.length === 0) {
+            throw invalidInput(field, `${name} is required`);
+        }
+        values[field] = value;
+    }
+    return values;
+}
+
+/**
+ * Check a script's parsed options in place (unknown options are the parser's business).
+ * Only fields with a value are checked, so defaults pass as they are.
+ *
+ * @param {Object} options - Parsed options
+ * @param {Object} schema - { option: rule }
+ * @returns {Object} The same options, with the checked values converted
+ */
+export function validateOptions(options, schema) {
+    return Object.assign(options, validate(schema, options, { prefix: '--' }));
+}
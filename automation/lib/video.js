@@ -0,0 +1,319 @@
+/**
+ * Short product videos.
+ *
+ * Frames are rendered with sharp and piped to ffmpeg as raw RGB, so the only external
+ * requirement is an ffmpeg binary on the PATH (or FFMPEG_PATH). catalog/videos.json
+ * holds the aspect-ratio formats and the timing templates:
+ *
+ *   formats     id, name, width, height (square 1:1, vertical 9:16, landscape 16:9)
+ *   templates   id, name, effect, fps, background and the effect's timing:
+ *                 pan-zoom      duration, holdSeconds, zoom - from the whole product into the cover
+ *                 raking-light  duration, holdSeconds, angle, intensity - a light band sweeps
+ *                               across, catching the raised edges of the emboss
+ *                 carousel      holdSeconds, transitionSeconds - crossfades through colourways
+ *
+ * Images are fitted inside the frame on the template's background colour.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import sharp from 'sharp';
+import { REPO_ROOT } from './catalog.js';
+
+export const VIDEOS_PATH = path.join(REPO_ROOT, 'catalog', 'videos.json');
+export const CONTAINERS = ['mp4', 'webm'];
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Encoder settings per container (yuv420p plays everywhere, including phones and marketplaces)
+const CODEC_ARGS = {
+    mp4: ['-c:v', 'libx264', '-preset', 'medium', '-crf', '20', '-pix_fmt', 'yuv420p', '-movflags', '+faststart'],
+    webm: ['-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0', '-pix_fmt', 'yuv420p']
+};
+
+// Width of the light band, as a fraction of the sweep
+const LIGHT_BAND_WIDTH = 0.12;
+// Light the band adds to flat areas; raised edges get the rest
+const FLAT_LIGHT = 0.25;
+
+// Read the formats and templates
+export function loadVideoCatalog() {
+    return JSON.parse(fs.readFileSync(VIDEOS_PATH, 'utf8'));
+}
+
+export function getVideoTemplate(id) {
+    const { templates } = loadVideoCatalog();
+    const template = templates.find(t => t.id === id);
+    if (!template) {
+        throw new Error(`Unknown video template: ${id}. Available templates: ${templates.map(t => t.id).join(', ')}`);
+    }
+    return template;
+}
+
+export function getVideoFormat(id) {
+    const { formats } = loadVideoCatalog();
+    const format = formats.find(f => f.id === id);
+    if (!format) {
+        throw new Error(`Unknown video format: ${id}. Available formats: ${formats.map(f => f.id).join(', ')}`);
+    }
+    return format;
+}
+
+function easeInOut(t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+// Progress (0-1) of each frame, holding still for holdSeconds at both ends
+function timeline(template) {
+    const total = Math.round(template.duration * template.fps);
+    const hold = Math.round((template.holdSeconds || 0) * template.fps);
+    const moving = Math.max(1, total - 2 * hold);
+    return Array.from({ length: total }, (_, i) => Math.min(1, Math.max(0, (i - hold) / moving)));
+}
+
+/**
+ * Fit an image inside width × height on a background colour.
+ *
+ * @returns {Promise<{data: Buffer, placement: {left: number, top: number, width: number, height: number}}>}
+ *          Raw RGB pixels and where the image sits in them
+ */
+async function fitImage(input, width, height, background) {
+    const meta = await sharp(input).metadata();
+    const scale = Math.min(width / meta.width, height / meta.height);
+    const placement = {
+        width: Math.round(meta.width * scale),
+        height: Math.round(meta.height * scale)
+    };
+    placement.left = Math.round((width - placement.width) / 2);
+    placement.top = Math.round((height - placement.height) / 2);
+
+    const resized = await sharp(input).flatten({ background }).resize(placement.width, placement.height).png().toBuffer();
+    const data = await sharp({ create: { width, height, channels: 3, background } })
+        .composite([{ input: resized, left: placement.left, top: placement.top }])
+        .removeAlpha()
+        .raw()
+        .toBuffer();
+
+    return { data, placement };
+}
+
+// Zoom from the whole frame into the focus area (the cover), easing in and out
+async function* panZoomFrames(images, template, format, focus) {
+    const zoom = Math.max(1, template.zoom || 1.5);
+    const canvasWidth = Math.round(format.width * zoom);
+    const canvasHeight = Math.round(format.height * zoom);
+    const { data, placement } = await fitImage(images[0], canvasWidth, canvasHeight, template.background);
+    const canvas = { raw: { width: canvasWidth, height: canvasHeight, channels: 3 } };
+
+    // Focus point in canvas pixels (default: the middle of the image)
+    const area = focus || { left: 0, top: 0, width: 1, height: 1 };
+    const focusX = placement.left + (area.left + area.width / 2) * placement.width;
+    const focusY = placement.top + (area.top + area.height / 2) * placement.height;
+
+    for (const t of timeline(template)) {
+        const e = easeInOut(t);
+        const scale = 1 + (zoom - 1) * e;
+        const width = Math.round(canvasWidth / scale);
+        const height = Math.round(canvasHeight / scale);
+        const centreX = canvasWidth / 2 + (focusX - canvasWidth / 2) * e;
+        const centreY = canvasHeight / 2 + (focusY - canvasHeight / 2) * e;
+        const left = Math.round(Math.min(canvasWidth - width, Math.max(0, centreX - width / 2)));
+        const top = Math.round(Math.min(canvasHeight - height, Math.max(0, centreY - height / 2)));
+
+        yield sharp(data, canvas)
+            .extract({ left, top, width, height })
+            .resize(format.width, format.height)
+            .raw()
+            .toBuffer();
+    }
+}
+
+// How much each pixel faces the light (0-1): the brightness slope along the light direction
+function reliefMap(data, width, height, angle) {
+    const luminance = new Float32Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        luminance[i] = 0.299 * data[i * 3] + 0.587 * data[i * 3 + 1] + 0.114 * data[i * 3 + 2];
+    }
+
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const relief = new Float32Array(width * height);
+    let max = 1;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const gx = luminance[i + 1] - luminance[i - 1];
+            const gy = luminance[i + width] - luminance[i - width];
+            // Edges that get brighter towards the light source face it
+            relief[i] = Math.max(0, -(gx * cos + gy * sin));
+            if (relief[i] > max) max = relief[i];
+        }
+    }
+
+    // Normalise against a high value rather than the maximum, so a few hard edges don't dim the rest
+    const threshold = Math.max(1, max * 0.35);
+    for (let i = 0; i < relief.length; i++) {
+        relief[i] = Math.min(1, relief[i] / threshold);
+    }
+    return relief;
+}
+
+// Sweep a soft band of light across the image; raised edges facing the light glint
+async function* rakingLightFrames(images, template, format) {
+    const { width, height } = format;
+    const { data } = await fitImage(images[0], width, height, template.background);
+    const angle = ((template.angle ?? 35) * Math.PI) / 180;
+    const relief = reliefMap(data, width, height, angle);
+    const intensity = (template.intensity ?? 0.45) * 255;
+
+    // Position of every pixel along the sweep direction, 0 (first lit) to 1 (last lit)
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const span = Math.abs(cos) * width + Math.abs(sin) * height;
+    const offset = Math.min(0, cos * width) + Math.min(0, sin * height);
+
+    for (const t of timeline(template)) {
+        // The band starts and ends outside the frame, so the held frames are unlit
+        const centre = -LIGHT_BAND_WIDTH * 2 + t * (1 + LIGHT_BAND_WIDTH * 4);
+        const frame = Buffer.from(data);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const position = (x * cos + y * sin - offset) / span;
+                const band = Math.exp(-(((position - centre) / LIGHT_BAND_WIDTH) ** 2));
+                if (band < 0.01) continue;
+
+                const i = y * width + x;
+                const light = intensity * band * (FLAT_LIGHT + (1 - FLAT_LIGHT) * relief[i]);
+                for (let c = 0; c < 3; c++) {
+                    frame[i * 3 + c] = Math.min(255, frame[i * 3 + c] + light);
+                }
+            }
+        }
+
+        yield frame;
+    }
+}
+
+// Hold each image, then crossfade to the next; the last fades back to the first so it loops
+async function* carouselFrames(images, template, format) {
+    const slides = [];
+    for (const image of images) {
+        slides.push((await fitImage(image, format.width, format.height, template.background)).data);
+    }
+
+    const holdFrames = Math.max(1, Math.round(template.holdSeconds * template.fps));
+    const transitionFrames = slides.length > 1 ? Math.round(template.transitionSeconds * template.fps) : 0;
+
+    for (let s = 0; s < slides.length; s++) {
+        for (let f = 0; f < holdFrames; f++) {
+            yield slides[s];
+        }
+
+        const from = slides[s];
+        const to = slides[(s + 1) % slides.length];
+        for (let f = 1; f <= transitionFrames; f++) {
+            const mix = easeInOut(f / (transitionFrames + 1));
+            const frame = Buffer.alloc(from.length);
+            for (let i = 0; i < from.length; i++) {
+                frame[i] = from[i] + (to[i] - from[i]) * mix;
+            }
+            yield frame;
+        }
+    }
+}
+
+const EFFECTS = {
+    'pan-zoom': panZoomFrames,
+    'raking-light': rakingLightFrames,
+    carousel: carouselFrames
+};
+
+// Start ffmpeg reading raw RGB frames from stdin
+function startEncoder({ width, height, fps, outputPath }) {
+    const container = path.extname(outputPath).slice(1).toLowerCase();
+    const ffmpeg = spawn(FFMPEG_PATH, [
+        '-y', '-loglevel', 'error',
+        '-f', 'rawvideo', '-pix_fmt', 'rgb24', '-s', `${width}x${height}`, '-r', String(fps),
+        '-i', '-',
+        '-an', ...CODEC_ARGS[container],
+        outputPath
+    ], { stdio: ['pipe', 'ignore', 'pipe'] });
+
+    let stderr = '';
+    ffmpeg.stderr.on('data', (data) => { stderr += data.toString(); });
+    // A failed ffmpeg closes stdin; the error is reported through `done`
+    ffmpeg.stdin.on('error', () => {});
+
+    const done = new Promise((resolve, reject) => {
+        ffmpeg.on('error', (error) => {
+            reject(error.code === 'ENOENT'
+                ? new Error(`ffmpeg not found (${FFMPEG_PATH}). Install ffmpeg or set FFMPEG_PATH`)
+                : error);
+        });
+        ffmpeg.on('close', (code) => {
+            if (code === 0) resolve();
+            else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+        });
+    });
+    // Handled by write()/end(); this stops an early failure counting as unhandled
+    done.catch(() => {});
+
+    return {
+        async write(frame) {
+            if (!ffmpeg.stdin.write(frame)) {
+                await Promise.race([once(ffmpeg.stdin, 'drain'), done]);
+            }
+        },
+        async end() {
+            ffmpeg.stdin.end();
+            await done;
+        },
+        kill() {
+            ffmpeg.kill('SIGKILL');
+        }
+    };
+}
+
+/**
+ * Render a video.
+ *
+ * @param {Object} options
+ * @param {string[]} options.images - Image paths; carousel uses every one, the other effects the first
+ * @param {Object} options.template - From catalog/videos.json
+ * @param {Object} options.format - From catalog/videos.json
+ * @param {string} options.outputPath - .mp4 or .webm
+ * @param {Object} [options.focus] - { left, top, width, height } fractions of the image to zoom into
+ *        (a base's coverArea); default the whole image
+ * @returns {Promise<{frames: number, seconds: number}>}
+ */
+export async function renderVideo({ images, template, format, outputPath, focus = null }) {
+    const effect = EFFECTS[template.effect];
+    if (!effect) {
+        throw new Error(`Unknown video effect: ${template.effect}. Available effects: ${Object.keys(EFFECTS).join(', ')}`);
+    }
+    const container = path.extname(outputPath).slice(1).toLowerCase();
+    if (!CONTAINERS.includes(container)) {
+        throw new Error(`Unsupported video container: ${container || 'none'}. Use ${CONTAINERS.join(' or ')}`);
+    }
+    if (images.length === 0) {
+        throw new Error('No images to make a video from');
+    }
+
+    const encoder = startEncoder({ width: format.width, height: format.height, fps: template.fps, outputPath });
+    let frames = 0;
+    try {
+        for await (const frame of effect(images, template, format, focus)) {
+            await encoder.write(frame);
+            frames++;
+        }
+        await encoder.end();
+    } catch (error) {
+        encoder.kill();
+        throw error;
+    }
+
+    return { frames, seconds: frames / template.fps };
+}
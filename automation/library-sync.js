@@ -0,0 +1,160 @@
+/**
+ * Library Sync: copy the Design and Inspiration Libraries between storage backends
+ *
+ * Exports the hosted Supabase libraries to the local backend (to work offline), or
+ * imports a local library back into Supabase. Rows keep their IDs, timestamps and
+ * provenance columns, and image files keep their storage paths. Rows whose ID already
+ * exists in the target are skipped, so the command can be re-run safely.
+ *
+ * Usage:
+ *   # Export Supabase → local
+ *   node library-sync.js --from supabase --to local
+ *
+ *   # Import local → Supabase, designs only
+ *   node library-sync.js --from local --to supabase --tables designs
+ *
+ * Options:
+ *   --from      Source backend: supabase, local (required)
+ *   --to        Target backend: supabase, local (required)
+ *   --tables    Comma-separated libraries to copy (default: designs,inspirations)
+ *   --dry-run   List what would be copied without writing anything
+ *   --daemon    Non-interactive: JSON progress events on stdout, log on stderr
+ *   --result    Result record of the sync (default with --daemon: ./result.json)
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getStorage, TABLES } from './lib/storage/index.js';
+import { imageMimeType } from './lib/mime.js';
+import { runMain } from './lib/daemon.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        from: '',
+        to: '',
+        tables: TABLES,
+        dryRun: false,
+        daemon: false,
+        result: ''
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--from':
+                options.from = args[++i];
+                break;
+            case '--to':
+                options.to = args[++i];
+                break;
+            case '--tables':
+                options.tables = args[++i].split(',').map(t => t.trim()).filter(Boolean);
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--daemon':
+                options.daemon = true;
+                break;
+            case '--result':
+                options.result = args[++i];
+                break;
+        }
+    }
+
+    return options;
+}
+
+// Copy one row and its image; returns false when the row was skipped
+async function copyRow(source, target, table, row, dryRun) {
+    if (await target.get(table, row.id)) {
+        return false;
+    }
+
+    const storagePath = source.storagePath(row.file_url);
+    if (!storagePath) {
+        throw new Error(`file_url is not in the ${source.name} library: ${row.file_url}`);
+    }
+
+    console.log(`   📄 ${row.file_name} (${row.id})`);
+    if (dryRun) return true;
+
+    const buffer = await source.readFile(row.file_url);
+    const fileUrl = await target.uploadFile(storagePath, buffer, imageMimeType(row.file_name));
+    await target.insert(table, { ...row, file_url: fileUrl });
+
+    return true;
+}
+
+// Main sync function
+export async function runLibrarySync(options) {
+    console.log('\n🔄 Library Sync');
+    console.log('━'.repeat(50));
+
+    if (!options.from || !options.to) {
+        console.log('Usage:');
+        console.log('  node library-sync.js --from supabase --to local');
+        throw new Error('Error: --from and --to are required');
+    }
+    if (options.from === options.to) {
+        throw new Error('Error: --from and --to must be different backends');
+    }
+    const unknown = options.tables.filter(table => !TABLES.includes(table));
+    if (unknown.length > 0) {
+        throw new Error(`Error: Unknown libraries: ${unknown.join(', ')}. Available: ${TABLES.join(', ')}`);
+    }
+
+    let source;
+    let target;
+    try {
+        source = getStorage(options.from);
+        target = getStorage(options.to);
+    } catch (error) {
+        throw new Error(`Error: ${error.message}`);
+    }
+
+    console.log(`📤 From: ${source.description}`);
+    console.log(`📥 To: ${target.description}`);
+    if (options.dryRun) console.log('🧪 Dry run: nothing will be written');
+    console.log('━'.repeat(50));
+
+    const summary = {};
+    for (const table of options.tables) {
+        console.log(`\n📚 ${table}`);
+        const rows = await source.list(table);
+        summary[table] = { copied: 0, skipped: 0, failed: 0 };
+
+        // Oldest first, so created_at order is the same in the target
+        for (const row of [...rows].reverse()) {
+            try {
+                const copied = await copyRow(source, target, table, row, options.dryRun);
+                summary[table][copied ? 'copied' : 'skipped']++;
+            } catch (error) {
+                summary[table].failed++;
+                console.error(`   ❌ ${row.file_name} (${row.id}): ${error.message}`);
+            }
+        }
+    }
+
+    console.log('\n' + '━'.repeat(50));
+    for (const [table, counts] of Object.entries(summary)) {
+        console.log(`📊 ${table}: ${counts.copied} ${options.dryRun ? 'to copy' : 'copied'}, ${counts.skipped} already present, ${counts.failed} failed`);
+    }
+    console.log('');
+
+    const failed = Object.values(summary).reduce((total, counts) => total + counts.failed, 0);
+    if (failed > 0) {
+        throw new Error(`${failed} item${failed === 1 ? '' : 's'} could not be copied`);
+    }
+
+    return summary;
+}
+
+// Run the sync when invoked directly
+if (path.resolve(process.argv[1]) === __filename) {
+    const options = parseArgs();
+    runMain('library-sync', () => runLibrarySync(options), options);
+}
@@ -0,0 +1,181 @@
+/**
+ * Browser sessions: log in, check login health, list sessions
+ *
+ * Each session is its own browser profile with its own ChatGPT and Google logins (see
+ * lib/sessions.js). Log a new account in once with this script; after that the job
+ * queue spreads browser jobs over the healthy sessions and moves a job that hits a
+ * usage cap to the next one.
+ *
+ * Usage:
+ *   # Log in to ChatGPT and Gemini in a new session (opens a browser window)
+ *   node login.js --session studio2
+ *
+ *   # Only ChatGPT
+ *   node login.js --session studio2 --provider chatgpt-browser
+ *
+ *   # Headless health check: is the session still logged in?
+ *   node login.js --session studio2 --check
+ *
+ *   # Every session with its last known health
+ *   node login.js --list
+ *
+ * Options:
+ *   --session   Session name (default: BROWSER_SESSION or default)
+ *   --provider  Comma-separated browser providers (default: chatgpt-browser,gemini-browser)
+ *   --check     Check the logins headlessly without waiting for one; fails with exit code 2
+ *               (LOGIN_REQUIRED) when a provider is logged out
+ *   --timeout   Minutes to wait for each login (default: 10)
+ *   --list      List the sessions and their health
+ *   --output    Folder for the result record (default: .)
+ *   --daemon    Non-interactive: JSON progress events on stdout, log on stderr (needs --check or --list)
+ *   --result    Result record of the run (default with --daemon: <output>/result.json)
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { launchBrowser } from './lib/browser.js';
+import { getProvider } from './lib/providers/index.js';
+import {
+    BROWSER_PROVIDERS, useSession, currentSessionName, listSessions, setSessionStatus, isSessionAvailable
+} from './lib/sessions.js';
+import { runMain, failure } from './lib/daemon.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        session: null,
+        providers: BROWSER_PROVIDERS,
+        check: false,
+        timeout: 10,
+        list: false,
+        output: '',
+        daemon: false,
+        result: ''
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--session':
+                options.session = args[++i];
+                break;
+            case '--provider':
+                options.providers = args[++i].split(',').map(p => p.trim()).filter(Boolean);
+                break;
+            case '--check':
+                options.check = true;
+                break;
+            case '--timeout':
+                options.timeout = parseFloat(args[++i]);
+                break;
+            case '--list':
+                options.list = true;
+                break;
+            case '--output':
+                options.output = args[++i];
+                break;
+            case '--daemon':
+                options.daemon = true;
+                break;
+            case '--result':
+                options.result = args[++i];
+                break;
+        }
+    }
+
+    return options;
+}
+
+// One line per session and provider
+function printSessions(sessions) {
+    for (const session of sessions) {
+        console.log(`\n🧑‍💻 ${session.name}${session.exists ? '' : ' (no browser profile yet)'}`);
+        console.log(`   ${session.dir}`);
+        for (const provider of BROWSER_PROVIDERS) {
+            const health = session.providers[provider];
+            const icon = !health ? '❔' : { ok: '✅', limited: '⏳', 'login-required': '🔒' }[health.status] || '❌';
+            const detail = !health
+                ? 'never checked'
+                : `${health.status}${health.limitedUntil ? ` until ${health.limitedUntil}` : ''} (${health.checkedAt})`;
+            console.log(`   ${icon} ${provider.padEnd(16)} ${detail}${isSessionAvailable(session, provider) ? '' : ' — unavailable'}`);
+        }
+    }
+    console.log('');
+}
+
+// Main function
+export async function runLogin(options) {
+    console.log('\n🔑 Browser Sessions');
+    console.log('━'.repeat(50));
+
+    // Browser session (account) to log in or check
+    if (options.session) useSession(options.session);
+
+    if (options.list) {
+        const sessions = listSessions();
+        printSessions(sessions);
+        return sessions;
+    }
+
+    const unknown = options.providers.filter(provider => !BROWSER_PROVIDERS.includes(provider));
+    if (unknown.length > 0) {
+        throw new Error(`Error: Not browser providers: ${unknown.join(', ')}. Available: ${BROWSER_PROVIDERS.join(', ')}`);
+    }
+    if (options.daemon && !options.check) {
+        throw new Error('Error: Logging in needs a browser window; use --check with --daemon');
+    }
+
+    const session = currentSessionName();
+    console.log(`🧑‍💻 Session: ${session}`);
+    console.log(`🔌 Providers: ${options.providers.join(', ')}`);
+    console.log(options.check ? '🩺 Checking logins (headless)' : `⏳ Waiting up to ${options.timeout} min for each login`);
+    console.log('━'.repeat(50));
+
+    const browser = await launchBrowser({ headless: options.check });
+    const results = {};
+    try {
+        for (const name of options.providers) {
+            console.log(`\n🔌 ${name}`);
+            let health;
+            try {
+                health = await getProvider(name).checkSession({
+                    browser,
+                    waitForLogin: !options.check,
+                    timeout: options.timeout * 60 * 1000
+                });
+            } catch (error) {
+                health = { status: 'error', message: `Check failed: ${error.message}` };
+            }
+
+            const limitedUntil = health.cooldownMs ? new Date(Date.now() + health.cooldownMs).toISOString() : null;
+            setSessionStatus(session, name, { status: health.status, message: health.message, limitedUntil });
+            results[name] = health.status;
+
+            const icon = { ok: '✅', limited: '⏳', 'login-required': '🔒' }[health.status] || '❌';
+            console.log(`   ${icon} ${health.status}${health.message ? `: ${health.message}` : ''}`);
+        }
+    } finally {
+        await browser.close();
+    }
+
+    console.log('\n' + '━'.repeat(50));
+    const loggedOut = Object.keys(results).filter(name => results[name] === 'login-required');
+    if (loggedOut.length > 0) {
+        throw failure('LOGIN_REQUIRED', `Session ${session} is not logged in to ${loggedOut.join(', ')}: run node login.js --session ${session}`);
+    }
+    const errored = Object.keys(results).filter(name => results[name] === 'error');
+    if (errored.length > 0) {
+        throw new Error(`Could not check ${errored.join(', ')} for session ${session}`);
+    }
+    console.log(`✅ Session ${session} is ready\n`);
+
+    return { session, providers: results };
+}
+
+// Run when invoked directly
+if (path.resolve(process.argv[1]) === __filename) {
+    const options = parseArgs();
+    runMain('login', () => runLogin(options), options);
+}
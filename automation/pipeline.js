@@ -0,0 +1,353 @@
+/**
+ * Pipeline: Inspiration → Step 1 → Step 2 → Step 3
+ *
+ * Turns one inspiration into embossed listing images for every target notebook colour:
+ *   1. Step 1 creates a mockup of the inspiration on the base colour (ChatGPT)
+ *   2. The mockup is stored in the Design Library
+ *   3. Step 2 translates the mockup onto each other colour's template (Gemini);
+ *      each colourway is stored in the Design Library too
+ *   4. Step 3 runs emboss tuning on every colourway (Gemini) and stores the results
+ *
+ * Every stored design records the one it was made from (source_design_id), so the
+ * library can show the whole lineage: inspiration → mockup → colourways → emboss.
+ *
+ * Every intermediate image is kept in a per-run folder together with a manifest.json
+ * recording which step produced which file.
+ *
+ * Usage:
+ *   node pipeline.js --inspirationId "abc123-uuid"
+ *   node pipeline.js --inspirationId "abc123-uuid" --colors blue,pink --color pink
+ *
+ * Options:
+ *   --inspirationId  Inspiration Library ID (required)
+ *   --colors         Comma-separated target bases from catalog/products.json
+ *                    (default: every base of the first product, i.e. blue,grey,pink,purple)
+ *   --color          Base colour for the Step 1 mockup (default: first target colour)
+ *   --reference      Step 1 emboss reference ID, or "none" (default: the inspiration category's reference)
+ *   --placement      Design placement as JSON for Step 1 and every Step 2 colourway (see lib/placement.js)
+ *   --thickness      Step 3 embossing thickness
+ *   --elements       Step 3 elements to be embossed
+ *   --exclude        Step 3 areas NOT to emboss
+ *   --provider       Image provider for every step (default: each step's own default)
+ *   --retries        Regenerate an image that fails the quality check up to this many times (default: 0)
+ *   --keep-failed    Keep images that fail the quality check instead of auto-rejecting them
+ *   --no-quality     Skip the quality check (see lib/quality.js)
+ *   --no-upload      Don't store the mockup, colourways and emboss outputs in the Design Library
+ *   --output         Folder that holds the per-run folders (default: ./output/runs)
+ *   --headless       Run in headless mode (default: false)
+ *   --session        Browser session (account) to use, see login.js (default: BROWSER_SESSION or default)
+ *   --daemon         Non-interactive: JSON progress events on stdout, log on stderr
+ *   --result         Result record with the output paths (default with --daemon: <output>/result.json)
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { fetchInspiration } from './lib/storage/index.js';
+import { downloadImage } from './lib/download.js';
+import { embossDefaults } from './lib/prompts.js';
+import { baseIds, validateBaseIds } from './lib/catalog.js';
+import { readOutputRecord } from './lib/output.js';
+import { runStep1Automation } from './step1-chatgpt.js';
+import { runStep2Automation } from './step2-translate.js';
+import { runStep3Automation } from './step3-emboss.js';
+import { useSession } from './lib/sessions.js';
+import { runMain } from './lib/daemon.js';
+import { validateOptions, FIELDS } from './lib/validate.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        inspirationId: '',
+        colors: baseIds(),
+        color: '',
+        reference: '',
+        placement: null,
+        thickness: embossDefaults.thickness,
+        elements: embossDefaults.elements,
+        exclude: '',
+        provider: '',
+        upload: true,
+        quality: true,
+        retries: 0,
+        keepFailed: false,
+        output: path.join(__dirname, 'output', 'runs'),
+        headless: process.env.HEADLESS === 'true',
+        session: null,
+        daemon: false,
+        result: ''
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--inspirationId':
+                options.inspirationId = args[++i];
+                break;
+            case '--colors':
+                options.colors = args[++i].split(',').map(c => c.trim()).filter(Boolean);
+                break;
+            case '--color':
+                options.color = args[++i];
+                break;
+            case '--reference':
+                options.reference = args[++i];
+                break;
+            case '--placement':
+                options.placement = args[++i];
+                break;
+            case '--thickness':
+                options.thickness = args[++i];
+                break;
+            case '--elements':
+                options.elements = args[++i];
+                break;
+            case '--exclude':
+                options.exclude = args[++i];
+                break;
+            case '--provider':
+                options.provider = args[++i];
+                break;
+            case '--no-upload':
+                options.upload = false;
+                break;
+            case '--retries':
+                options.retries = args[++i];
+                break;
+            case '--keep-failed':
+                options.keepFailed = true;
+                break;
+            case '--no-quality':
+                options.quality = false;
+                break;
+            case '--output':
+                options.output = args[++i];
+                break;
+            case '--session':
+                options.session = args[++i];
+                break;
+            case '--headless':
+                options.headless = args[++i] === 'true';
+                break;
+            case '--daemon':
+                options.daemon = true;
+                break;
+            case '--result':
+                options.result = args[++i];
+                break;
+        }
+    }
+
+    return options;
+}
+
+// Write the manifest after every step so partial runs can be inspected
+function writeManifest(runDir, manifest) {
+    fs.writeFileSync(path.join(runDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+}
+
+// Record a file in the manifest (paths are stored relative to the run folder).
+// Generated images also carry the provider and prompt template version from their output record.
+function recordFile(runDir, manifest, entry) {
+    const record = readOutputRecord(entry.file);
+    manifest.files.push({
+        ...entry,
+        file: path.relative(runDir, entry.file),
+        source: entry.source ? path.relative(runDir, entry.source) : null,
+        provider: record ? record.provider : null,
+        promptTemplate: record ? record.promptTemplate : null,
+        promptVersion: record ? record.promptVersion : null,
+        designId: record ? record.designId : null,
+        quality: record && record.quality ? { score: record.quality.score, passed: record.quality.passed } : null
+    });
+    writeManifest(runDir, manifest);
+}
+
+// Main pipeline function
+export async function runPipeline(options) {
+    console.log('\n🏭 Pipeline: Inspiration → Mockup → Colourways → Emboss');
+    console.log('━'.repeat(50));
+
+    validateOptions(options, {
+        inspirationId: FIELDS.inspirationId, colors: FIELDS.colors, color: FIELDS.color, reference: FIELDS.reference,
+        placement: FIELDS.placement, thickness: FIELDS.thickness, elements: FIELDS.elements, exclude: FIELDS.exclude,
+        provider: FIELDS.provider, retries: FIELDS.retries, session: FIELDS.session
+    });
+
+    // Browser session (account) for this run
+    if (options.session) useSession(options.session);
+
+    if (!options.inspirationId) {
+        console.log('Usage:');
+        console.log('  node pipeline.js --inspirationId "uuid-from-library" --colors blue,pink');
+        throw new Error('Error: --inspirationId is required');
+    }
+
+    const baseColor = options.color || options.colors[0];
+    validateBaseIds(options.colors);
+    validateBaseIds([baseColor]);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const runId = `pipeline_${timestamp}`;
+    const runDir = path.join(options.output, runId);
+    fs.mkdirSync(runDir, { recursive: true });
+
+    const manifest = {
+        runId,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        error: null,
+        inspirationId: options.inspirationId,
+        baseColor,
+        colors: options.colors,
+        designId: null,
+        files: []
+    };
+    writeManifest(runDir, manifest);
+
+    console.log(`🆔 Run: ${runId}`);
+    console.log(`📓 Base Color: ${baseColor}`);
+    console.log(`🎨 Target Colors: ${options.colors.join(', ')}`);
+    console.log(`📁 Run Folder: ${runDir}`);
+    console.log('━'.repeat(50));
+
+    // Every step runs non-interactively so the next one can start
+    const stepOptions = {
+        output: runDir,
+        headless: options.headless,
+        keepOpen: false,
+        upload: options.upload,
+        quality: options.quality,
+        retries: options.retries,
+        keepFailed: options.keepFailed,
+        runId
+    };
+    const providerFor = (defaultProvider) => options.provider || defaultProvider;
+
+    try {
+        // Inspiration
+        console.log(`\n📥 Fetching inspiration: ${options.inspirationId}`);
+        const inspiration = await fetchInspiration(options.inspirationId);
+        console.log(`   ✅ Found: "${inspiration.description}"`);
+        manifest.inspiration = {
+            description: inspiration.description,
+            category: inspiration.category,
+            designer: inspiration.designer
+        };
+
+        // Uploaded designs carry the inspiration's category, designer and ID
+        Object.assign(stepOptions, {
+            category: inspiration.category,
+            designer: inspiration.designer,
+            sourceInspirationId: inspiration.id
+        });
+
+        const inspirationPath = path.join(runDir, 'inspiration.png');
+        await downloadImage(inspiration.file_url, inspirationPath);
+        recordFile(runDir, manifest, { step: 'inspiration', file: inspirationPath });
+
+        // Step 1: mockup on the base colour
+        const mockupPath = await runStep1Automation({
+            ...stepOptions,
+            color: baseColor,
+            design: inspiration.description,
+            designImage: inspirationPath,
+            designUrl: '',
+            inspirationId: '',
+            reference: options.reference,
+            placement: options.placement,
+            provider: providerFor('chatgpt-browser')
+        });
+        if (!mockupPath) {
+            throw new Error('Step 1 did not produce an image');
+        }
+        recordFile(runDir, manifest, {
+            step: 'step1',
+            color: baseColor,
+            file: mockupPath,
+            source: inspirationPath
+        });
+
+        // Step 1 stored the mockup in the Design Library
+        manifest.designId = readOutputRecord(mockupPath)?.designId || null;
+        writeManifest(runDir, manifest);
+
+        // Step 2: translate onto every other colour (the base colour already has the mockup)
+        const colourways = {};
+        const description = `${baseColor} notebook with ${inspiration.description} design`;
+
+        for (const color of options.colors) {
+            if (color === baseColor) {
+                colourways[color] = mockupPath;
+                continue;
+            }
+
+            const translatedPath = await runStep2Automation({
+                ...stepOptions,
+                color,
+                designId: '',
+                designImage: mockupPath,
+                sourceDesignId: manifest.designId || '',
+                description,
+                placement: options.placement,
+                provider: providerFor('gemini-browser')
+            });
+            if (!translatedPath) {
+                throw new Error(`Step 2 did not produce an image for ${color}`);
+            }
+            colourways[color] = translatedPath;
+            recordFile(runDir, manifest, {
+                step: 'step2',
+                color,
+                file: translatedPath,
+                source: mockupPath
+            });
+        }
+
+        // Step 3: emboss tuning on every colourway
+        for (const color of options.colors) {
+            const embossedPath = await runStep3Automation({
+                ...stepOptions,
+                color,
+                designId: '',
+                designImage: colourways[color],
+                sourceDesignId: readOutputRecord(colourways[color])?.designId || '',
+                thickness: options.thickness,
+                elements: options.elements,
+                exclude: options.exclude,
+                provider: providerFor('gemini-browser')
+            });
+            if (!embossedPath) {
+                throw new Error(`Step 3 did not produce an image for ${color}`);
+            }
+            recordFile(runDir, manifest, {
+                step: 'step3',
+                color,
+                file: embossedPath,
+                source: colourways[color]
+            });
+        }
+
+        manifest.status = 'completed';
+    } catch (error) {
+        manifest.status = 'failed';
+        manifest.error = error.message;
+        throw error;
+    } finally {
+        manifest.finishedAt = new Date().toISOString();
+        writeManifest(runDir, manifest);
+    }
+
+    console.log('\n🎉 Pipeline complete!');
+    console.log(`   Manifest: ${path.join(runDir, 'manifest.json')}\n`);
+
+    return manifest;
+}
+
+// Run the pipeline
+const options = parseArgs();
+runMain('pipeline', () => runPipeline(options), options, { requireOutput: true });
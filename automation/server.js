@@ -2,41 +2,225 @@
  * Local Automation Server
  *
  * Provides an API for the web UI to trigger Playwright automation.
+ * Runs go through a persistent job queue with live log streaming.
+ *
+ * Every API route except login, config and health needs a session token from
+ * POST /api/auth/login, and changes need the right role (see lib/auth.js). Uploads,
+ * changes, deletes and runs are recorded in the audit log (see lib/audit.js).
+ *
+ * Every route checks its params, query and body against a schema (see lib/validate.js)
+ * before anything reaches a script's arguments or the storage backend. Errors are
+ * answered as { error, code, field }; code is INVALID_INPUT for bad input.
  *
  * Usage:
+ *   node users.js --add alice --role admin   # create the first user
  *   node server.js
+ *   JOB_CONCURRENCY=2 node server.js   # allow two jobs at once
+ *   STORAGE_BACKEND=local node server.js  # keep the libraries on disk instead of Supabase
+ *   HOST=0.0.0.0 node server.js        # accept connections from other machines
  *
  * Then open http://localhost:3000 in your browser.
  */
 
 import express from 'express';
-import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import cors from 'cors';
+import { createJobQueue, parseConcurrency } from './lib/jobs.js';
+import {
+    TEMPLATE_DIR, loadCatalog, createBase, listEmbossReferences, createEmbossReference, updateEmbossReference, removeEmbossReference
+} from './lib/catalog.js';
+import {
+    getStorage, addToLibrary, updateLibraryRow, deleteLibraryRow, restoreLibraryRow, purgeLibraryRow, TABLES, SORTS,
+    EDITABLE_COLUMNS
+} from './lib/storage/index.js';
+import { findDuplicates } from './lib/phash.js';
+import { TRACKER_TABLE, TRACKER_STAGES, listCards, createCard, updateCard, removeCard } from './lib/tracker.js';
+import { FILES_DIR, FILES_URL_PREFIX } from './lib/storage/local.js';
+import { servePublicFiles } from './lib/public-files.js';
+import { BROWSER_PROVIDERS, listSessions, isSessionAvailable, validateSessionName } from './lib/sessions.js';
+import { listCandidates, getCandidate, approveCandidate, rejectCandidate, regenerateArgs } from './lib/review.js';
+import { login, logout, userForToken, hasRole, listUsers } from './lib/auth.js';
+import { recordAudit, listAudit } from './lib/audit.js';
+import { providers } from './lib/providers/index.js';
+import { validate, FIELDS } from './lib/validate.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = 3000;
+// Only this machine by default; HOST=0.0.0.0 opens the server to the network
+const HOST = process.env.HOST || '127.0.0.1';
+const REPO_ROOT = path.join(__dirname, '..');
+const OUTPUT_ROOT = path.join(__dirname, 'output');
+
+// Browsers may call the API from the page itself, a local dev server or index.html opened
+// as a file (origin "null"); CORS_ORIGINS adds comma-separated origins
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({
+    origin: (origin, callback) => callback(null, !origin || origin === 'null' ||
+        /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin) || CORS_ORIGINS.includes(origin))
+}));
+// Large enough for images posted to /api/catalog and /api/library
+app.use(express.json({ limit: '25mb' }));
+
+// API routes anyone may call; the rest need a session token
+const PUBLIC_ROUTES = ['/auth/login', '/config', '/health'];
+
+// Session token of a request (EventSource, <img> and links can't send headers, so
+// /api/jobs/events and the output and library files take ?token=)
+function requestToken(req) {
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    return match ? match[1] : req.query.token || null;
+}
+
+// Only logged-in users; sets req.user
+function requireLogin(req, res, next) {
+    const user = userForToken(requestToken(req));
+    if (!user) {
+        return res.status(401).json({ error: 'Log in first', code: 'UNAUTHORIZED' });
+    }
+    req.user = user;
+    next();
+}
+
+// Run outputs and local library images are only served to logged-in users
+app.use('/automation/output', requireLogin, express.static(OUTPUT_ROOT, { dotfiles: 'ignore' }));
+app.use(FILES_URL_PREFIX, requireLogin, express.static(FILES_DIR));
+// The web UI: index.html, prompts, catalogue and templates from the parent directory, and
+// nothing else of the repo (see lib/public-files.js)
+app.use(servePublicFiles(REPO_ROOT, ['prompts', 'catalog', path.relative(REPO_ROOT, TEMPLATE_DIR)]));
+
+// Library storage backend (STORAGE_BACKEND=supabase|local)
+const storage = getStorage();
+
+app.use('/api', (req, res, next) => {
+    if (PUBLIC_ROUTES.includes(req.path)) return next();
+    requireLogin(req, res, next);
+});
+
+// Only users with this role or a higher one (see lib/auth.js)
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!hasRole(req.user, role)) {
+            return res.status(403).json({ error: `This needs the ${role} role (you are ${req.user.role})`, code: 'FORBIDDEN' });
+        }
+        next();
+    };
+}
+
+// JSON body of an error: { error, code, field } (code and field when the error has them)
+function errorBody(error) {
+    return { error: error.message, code: error.code, field: error.field };
+}
+
+// Check a request's params, query and/or body against schemas (see lib/validate.js); the
+// handler gets the converted values. Unknown body fields are rejected; `changes` keeps
+// empty body fields as null so they clear their column.
+function checkInput({ params, query, body, changes = false }) {
+    return (req, res, next) => {
+        try {
+            if (params) Object.assign(req.params, validate(params, req.params));
+            if (query) req.query = validate(query, req.query);
+            if (body) req.body = validate(body, req.body || {}, { strict: true, keepEmpty: changes });
+        } catch (error) {
+            return res.status(400).json(errorBody(error));
+        }
+        next();
+    };
+}
 
-// Enable CORS for local development
-app.use(cors());
-app.use(express.json());
+// Shared rules for the routes below
+const PROVIDER = { type: 'slug', oneOf: Object.keys(providers) };
+// Base template IDs (the catalogue can change while the server runs)
+const BASE_ID = { type: 'slug', oneOf: () => loadCatalog().bases.map(base => base.id) };
+const BASE_IDS = { ...FIELDS.colors, of: BASE_ID };
+const ROW_ID = { params: { id: { type: 'uuid', required: true } } };
+// Local images a run may start from: earlier outputs or local library files
+const DESIGN_IMAGE = { type: 'path', within: [OUTPUT_ROOT, FILES_DIR], mustExist: true };
+// Uploaded images: the content must be a raster image, whatever the data URL or file name claim
+const IMAGE_DATA_URL = { type: 'dataUrl', image: true, max: 20 * 1024 * 1024 };
+const PAGING = {
+    limit: { type: 'integer', min: 0, max: 500 },
+    offset: { type: 'integer', min: 0 }
+};
 
-// Serve the main index.html from parent directory
-app.use(express.static(path.join(__dirname, '..')));
+// Job queue: at most JOB_CONCURRENCY automation runs at once (default 1); browser runs
+// also wait for a free browser session (see login.js). History and logs are kept in
+// .jobs/ across restarts.
+const jobQueue = createJobQueue({
+    dir: path.join(__dirname, '.jobs'),
+    cwd: __dirname,
+    outputRoot: path.join(OUTPUT_ROOT, 'jobs'),
+    concurrency: parseConcurrency(process.env.JOB_CONCURRENCY)
+});
+
+// Echo job output to the server console as well
+jobQueue.events.on('log', ({ text }) => process.stdout.write(text));
+jobQueue.events.on('job', (job) => {
+    if (job.finishedAt && job.status !== 'queued') {
+        console.log(`\n🏁 ${job.label} job ${job.id} ${job.status}${job.exitCode !== null ? ` (exit code ${job.exitCode})` : ''}`);
+    }
+});
+
+// URL of a file the server serves (local library files under FILES_URL_PREFIX, the rest
+// of the repo as it is laid out); null for files outside it
+function fileUrl(filePath) {
+    if (!filePath) return null;
+    const library = path.relative(FILES_DIR, path.resolve(filePath));
+    if (!library.startsWith('..') && !path.isAbsolute(library)) {
+        return FILES_URL_PREFIX + library.split(path.sep).map(encodeURIComponent).join('/');
+    }
+    const relative = path.relative(REPO_ROOT, path.resolve(filePath));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+    return '/' + relative.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+// URL of a job output file
+function outputFileUrl(job, file) {
+    return fileUrl(path.join(job.outputDir, file));
+}
 
-// Store running processes
-const runningProcesses = new Map();
+// Public view of a job for the API
+function describeJob(job) {
+    return {
+        ...job,
+        outputFiles: job.outputFiles.map(file => ({ file, url: outputFileUrl(job, file) }))
+    };
+}
+
+// Queue an automation script as a job for the logged-in user
+function startAutomation(type, label, args, req, res) {
+    const job = jobQueue.enqueue({ type, label, args, user: req.user.username });
+
+    console.log(`\n📋 Queued ${label} job ${job.id} for ${req.user.username}`);
+    console.log(`   Command: node ${job.args.join(' ')}`);
+    recordAudit('run', { user: req.user.username, id: job.id, details: { label, args } });
+
+    res.json({
+        success: true,
+        runId: job.id,
+        job: describeJob(job),
+        message: job.status === 'running'
+            ? 'Automation started. Browser window should open shortly.'
+            : 'Automation queued. It will start when the current job finishes.'
+    });
+}
 
 // API: Run Step 1 automation
-app.post('/api/run-step1', (req, res) => {
-    const { color, design, inspirationId, designUrl } = req.body;
+app.post('/api/run-step1', requireRole('designer'), checkInput({
+    body: {
+        color: BASE_ID, design: FIELDS.design, inspirationId: FIELDS.inspirationId, designUrl: FIELDS.designUrl,
+        reference: FIELDS.reference, placement: FIELDS.placement, provider: PROVIDER, upload: FIELDS.upload,
+        variants: FIELDS.variants, session: FIELDS.session
+    }
+}), (req, res) => {
+    const { color, design, inspirationId, designUrl, reference, placement, provider, upload, variants, session } = req.body;
 
     // Build command arguments
     const args = ['step1-chatgpt.js', '--color', color || 'blue'];
+    if (reference) args.push('--reference', reference);
 
     if (inspirationId) {
         args.push('--inspirationId', inspirationId);
@@ -45,56 +229,757 @@ app.post('/api/run-step1', (req, res) => {
     } else if (design) {
         args.push('--design', design);
     } else {
-        return res.status(400).json({ error: 'Missing design or inspirationId' });
+        return res.status(400).json({ error: 'Missing design or inspirationId', code: 'INVALID_INPUT', field: 'design' });
     }
 
-    console.log(`\n🚀 Starting Step 1 automation...`);
-    console.log(`   Command: node ${args.join(' ')}`);
+    if (placement) args.push('--placement', JSON.stringify(placement));
+    if (provider) args.push('--provider', provider);
+    if (session) args.push('--session', session);
+    if (upload === false) args.push('--no-upload');
+    if (variants > 1) args.push('--variants', String(variants));
 
-    // Generate a unique ID for this run
-    const runId = Date.now().toString();
+    startAutomation('step1', 'Step 1', args, req, res);
+});
 
-    // Spawn the process
-    const child = spawn('node', args, {
-        cwd: __dirname,
-        stdio: ['ignore', 'pipe', 'pipe']
-    });
+// API: Run Step 2 automation
+app.post('/api/run-step2', requireRole('designer'), checkInput({
+    body: {
+        color: BASE_ID, designId: FIELDS.designId, designImage: DESIGN_IMAGE, description: FIELDS.description,
+        placement: FIELDS.placement, provider: PROVIDER, upload: FIELDS.upload, variants: FIELDS.variants,
+        session: FIELDS.session
+    }
+}), (req, res) => {
+    const { color, designId, designImage, description, placement, provider, upload, variants, session } = req.body;
+
+    const args = ['step2-translate.js', '--color', color || 'blue'];
+
+    if (designId) {
+        args.push('--designId', designId);
+    } else if (designImage) {
+        args.push('--designImage', designImage);
+    } else {
+        return res.status(400).json({ error: 'Missing designId or designImage', code: 'INVALID_INPUT', field: 'designId' });
+    }
+
+    if (!description) {
+        return res.status(400).json({ error: 'Missing description', code: 'INVALID_INPUT', field: 'description' });
+    }
+    args.push('--description', description);
+
+    if (placement) args.push('--placement', JSON.stringify(placement));
+    if (provider) args.push('--provider', provider);
+    if (session) args.push('--session', session);
+    if (upload === false) args.push('--no-upload');
+    if (variants > 1) args.push('--variants', String(variants));
+
+    startAutomation('step2', 'Step 2', args, req, res);
+});
+
+// API: Run Step 3 automation
+app.post('/api/run-step3', requireRole('designer'), checkInput({
+    body: {
+        designId: FIELDS.designId, designImage: DESIGN_IMAGE, color: BASE_ID, thickness: FIELDS.thickness,
+        elements: FIELDS.elements, exclude: FIELDS.exclude, provider: PROVIDER, upload: FIELDS.upload, session: FIELDS.session
+    }
+}), (req, res) => {
+    const { designId, designImage, color, thickness, elements, exclude, provider, upload, session } = req.body;
+
+    const args = ['step3-emboss.js'];
+
+    if (designId) {
+        args.push('--designId', designId);
+    } else if (designImage) {
+        args.push('--designImage', designImage);
+    } else {
+        return res.status(400).json({ error: 'Missing designId or designImage', code: 'INVALID_INPUT', field: 'designId' });
+    }
+
+    if (thickness) args.push('--thickness', thickness);
+    if (elements) args.push('--elements', elements);
+    if (exclude) args.push('--exclude', exclude);
+    if (color) args.push('--color', color);
+    if (provider) args.push('--provider', provider);
+    if (session) args.push('--session', session);
+    if (upload === false) args.push('--no-upload');
+
+    startAutomation('step3', 'Step 3', args, req, res);
+});
+
+// API: Run Step 4 automation
+app.post('/api/run-step4', requireRole('designer'), checkInput({
+    body: {
+        scenes: FIELDS.scenes, inspirationId: FIELDS.inspirationId, designIds: FIELDS.designIds, description: FIELDS.description,
+        provider: PROVIDER, upload: FIELDS.upload, variants: FIELDS.variants, session: FIELDS.session
+    }
+}), (req, res) => {
+    const { scenes, inspirationId, designIds, description, provider, upload, variants, session } = req.body;
+
+    const args = ['step4-lifestyle.js'];
+
+    if (Array.isArray(designIds) && designIds.length > 0) {
+        args.push('--designId', designIds.join(','));
+    } else if (inspirationId) {
+        args.push('--inspirationId', inspirationId);
+    } else {
+        return res.status(400).json({ error: 'Missing designIds or inspirationId', code: 'INVALID_INPUT', field: 'designIds' });
+    }
+
+    if (Array.isArray(scenes) && scenes.length > 0) args.push('--scene', scenes.join(','));
+    if (description) args.push('--description', description);
+    if (provider) args.push('--provider', provider);
+    if (session) args.push('--session', session);
+    if (upload === false) args.push('--no-upload');
+    if (variants > 1) args.push('--variants', String(variants));
+
+    startAutomation('step4', 'Step 4', args, req, res);
+});
+
+// API: Run the full Step 1 → Step 2 → Step 3 pipeline
+app.post('/api/run-pipeline', requireRole('designer'), checkInput({
+    body: {
+        inspirationId: { ...FIELDS.inspirationId, required: true }, colors: BASE_IDS, color: BASE_ID,
+        reference: FIELDS.reference, placement: FIELDS.placement, provider: PROVIDER, upload: FIELDS.upload,
+        session: FIELDS.session
+    }
+}), (req, res) => {
+    const { inspirationId, colors, color, reference, placement, provider, upload, session } = req.body;
+
+    const args = ['pipeline.js', '--inspirationId', inspirationId];
+
+    if (Array.isArray(colors) && colors.length > 0) {
+        args.push('--colors', colors.join(','));
+    }
+    if (color) {
+        args.push('--color', color);
+    }
+    if (reference) {
+        args.push('--reference', reference);
+    }
+    if (placement) {
+        args.push('--placement', JSON.stringify(placement));
+    }
+    if (provider) {
+        args.push('--provider', provider);
+    }
+    if (session) {
+        args.push('--session', session);
+    }
+    if (upload === false) {
+        args.push('--no-upload');
+    }
+
+    startAutomation('pipeline', 'Pipeline', args, req, res);
+});
+
+// API: Export marketplace listing packs from the Design Library
+app.post('/api/export', requireRole('designer'), checkInput({
+    body: {
+        designIds: FIELDS.designIds, inspirationId: FIELDS.inspirationId, category: FIELDS.category, designer: FIELDS.designer,
+        channels: FIELDS.channels, sku: FIELDS.sku, lifestyle: { type: 'boolean' }
+    }
+}), (req, res) => {
+    const { designIds, inspirationId, category, designer, channels, sku, lifestyle } = req.body;
+
+    const args = ['export.js'];
+
+    if (Array.isArray(designIds) && designIds.length > 0) {
+        args.push('--designId', designIds.join(','));
+    } else if (inspirationId) {
+        args.push('--inspirationId', inspirationId);
+    } else if (category || designer) {
+        if (category) args.push('--category', category);
+        if (designer) args.push('--designer', designer);
+    } else {
+        return res.status(400).json({ error: 'Missing designIds, inspirationId, category or designer', code: 'INVALID_INPUT', field: 'designIds' });
+    }
+
+    if (Array.isArray(channels) && channels.length > 0) args.push('--channels', channels.join(','));
+    if (sku) args.push('--sku', sku);
+    if (lifestyle === false) args.push('--no-lifestyle');
 
-    let output = '';
+    startAutomation('export', 'Listing export', args, req, res);
+});
+
+// API: Render a short product video from a design (or every colourway of an inspiration)
+app.post('/api/video', requireRole('designer'), checkInput({
+    body: {
+        designId: FIELDS.designId, inspirationId: FIELDS.inspirationId, template: FIELDS.template,
+        formats: FIELDS.formats, container: FIELDS.container
+    }
+}), (req, res) => {
+    const { designId, inspirationId, template, formats, container } = req.body;
 
-    child.stdout.on('data', (data) => {
-        const text = data.toString();
-        output += text;
-        console.log(text);
+    const args = ['video.js'];
+
+    if (designId) {
+        args.push('--designId', designId);
+    } else if (inspirationId) {
+        args.push('--inspirationId', inspirationId);
+    } else {
+        return res.status(400).json({ error: 'Missing designId or inspirationId', code: 'INVALID_INPUT', field: 'designId' });
+    }
+
+    if (template) args.push('--template', template);
+    if (Array.isArray(formats) && formats.length > 0) args.push('--format', formats.join(','));
+    if (container) args.push('--container', container);
+
+    startAutomation('video', 'Video', args, req, res);
+});
+
+// API: Check automation status (kept for older clients; see /api/jobs/:id)
+app.get('/api/status/:runId', checkInput({ params: { runId: { type: 'slug', required: true } } }), (req, res) => {
+    const job = jobQueue.get(req.params.runId);
+    if (!job) {
+        return res.status(404).json({ error: 'Run not found', code: 'NOT_FOUND' });
+    }
+    const running = job.status === 'queued' || job.status === 'running';
+    res.json({
+        running,
+        completed: !running,
+        status: job.status,
+        exitCode: job.exitCode,
+        output: jobQueue.readLog(job.id)
     });
+});
+
+// API: List jobs (newest first)
+app.get('/api/jobs', (req, res) => {
+    res.json({ concurrency: jobQueue.concurrency, jobs: jobQueue.list().map(describeJob) });
+});
+
+// API: Live job updates and log output (Server-Sent Events).
+// Optional ?jobId= limits the stream to one job.
+app.get('/api/jobs/events', checkInput({ query: { jobId: { type: 'slug' } } }), (req, res) => {
+    const { jobId } = req.query;
 
-    child.stderr.on('data', (data) => {
-        const text = data.toString();
-        output += text;
-        console.error(text);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
     });
+    res.flushHeaders();
 
-    child.on('close', (code) => {
-        console.log(`\n✅ Step 1 automation finished with code ${code}`);
-        runningProcesses.delete(runId);
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const onJob = (job) => {
+        if (!jobId || job.id === jobId) send('job', describeJob(job));
+    };
+    const onLog = (entry) => {
+        if (!jobId || entry.id === jobId) send('log', entry);
+    };
+
+    jobQueue.events.on('job', onJob);
+    jobQueue.events.on('log', onLog);
+
+    // Comment line every 15 s keeps proxies from closing the stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        jobQueue.events.off('job', onJob);
+        jobQueue.events.off('log', onLog);
     });
+});
 
-    runningProcesses.set(runId, { child, output: '' });
+// API: Job details with full log
+const JOB_ID = { params: { id: { type: 'slug', required: true } } };
 
+app.get('/api/jobs/:id', checkInput(JOB_ID), (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found', code: 'NOT_FOUND' });
+    }
+    res.json({ ...describeJob(job), log: jobQueue.readLog(job.id) });
+});
+
+// API: Cancel a queued or running job
+app.post('/api/jobs/:id/cancel', requireRole('designer'), checkInput(JOB_ID), (req, res) => {
+    const job = jobQueue.cancel(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, job: describeJob(job) });
+});
+
+// API: Retry a job with the same arguments (creates a new job)
+app.post('/api/jobs/:id/retry', requireRole('designer'), checkInput(JOB_ID), (req, res) => {
+    const job = jobQueue.retry(req.params.id, req.user.username);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, job: describeJob(job) });
+});
+
+// API: Browser sessions with their login health per provider
+app.get('/api/sessions', (req, res) => {
+    const busy = jobQueue.list().filter(job => job.status === 'running' && job.session).map(job => job.session);
     res.json({
-        success: true,
-        runId,
-        message: 'Automation started. Browser window should open shortly.'
+        sessions: listSessions().map(session => ({
+            ...session,
+            busy: busy.includes(session.name),
+            available: Object.fromEntries(BROWSER_PROVIDERS.map(provider => [provider, isSessionAvailable(session, provider)]))
+        }))
     });
 });
 
-// API: Check automation status
-app.get('/api/status/:runId', (req, res) => {
-    const process = runningProcesses.get(req.params.runId);
-    if (!process) {
-        return res.json({ running: false, completed: true });
+// API: Check a session's logins headlessly (queued, since it opens the session's browser)
+app.post('/api/sessions/:name/check', requireRole('designer'), checkInput({
+    body: { provider: { type: 'slug', oneOf: BROWSER_PROVIDERS } }
+}), (req, res) => {
+    const { name } = req.params;
+    try {
+        validateSessionName(name);
+    } catch (error) {
+        return res.status(400).json({ error: error.message, code: 'INVALID_INPUT', field: 'name' });
+    }
+
+    const args = ['login.js', '--session', name, '--check'];
+    if (req.body.provider) args.push('--provider', req.body.provider);
+
+    startAutomation('session-check', `Session check (${name})`, args, req, res);
+});
+
+// Public view of a review candidate for the API
+function describeCandidate({ id, record }) {
+    return {
+        id,
+        url: fileUrl(record.file),
+        step: record.step,
+        provider: record.provider,
+        promptTemplate: record.promptTemplate,
+        promptVersion: record.promptVersion,
+        createdAt: record.createdAt,
+        designId: record.designId,
+        inspirationId: record.library ? record.library.inspirationId : null,
+        sourceDesignId: record.library ? record.library.sourceDesignId || null : null,
+        group: record.candidate ? record.candidate.group : id,
+        variant: record.candidate ? record.candidate.variant : 1,
+        color: record.inputs.color || (record.inputs.colors || []).filter(Boolean).join(', '),
+        description: record.inputs.design || record.inputs.description,
+        category: record.library ? record.library.category : null,
+        designer: record.library ? record.library.designer : null,
+        templateUrl: fileUrl(record.inputs.base),
+        sourceUrl: fileUrl(record.inputs.designImage || (record.inputs.designImages || [])[0]),
+        review: record.review,
+        quality: record.quality ? {
+            score: record.quality.score,
+            passed: record.quality.passed,
+            flags: record.quality.flags.map(flag => flag.message)
+        } : null
+    };
+}
+
+// Look up the candidate named in the request body, or answer 404
+function findCandidate(req, res) {
+    const candidate = getCandidate(OUTPUT_ROOT, req.body.id);
+    if (!candidate) {
+        res.status(404).json({ error: 'Candidate not found', code: 'NOT_FOUND' });
+    }
+    return candidate;
+}
+
+// API: Candidates under review (newest first)
+app.get('/api/review', (req, res) => {
+    res.json({ candidates: listCandidates(OUTPUT_ROOT).map(describeCandidate) });
+});
+
+// API: Approve a candidate and add it to the Design Library
+// Candidate IDs are output record paths relative to output/ (see lib/review.js)
+const CANDIDATE_ID = { type: 'string', required: true, max: 500 };
+
+app.post('/api/review/approve', requireRole('reviewer'), checkInput({
+    body: { id: CANDIDATE_ID, category: FIELDS.category, designer: FIELDS.designer }
+}), async (req, res) => {
+    const candidate = findCandidate(req, res);
+    if (!candidate) return;
+
+    try {
+        const record = await approveCandidate(candidate, req.body, req.user.username);
+        recordAudit('approve', { user: req.user.username, table: 'designs', id: record.designId, details: { candidate: candidate.id } });
+        res.json({ success: true, candidate: describeCandidate({ id: candidate.id, record }) });
+    } catch (error) {
+        res.status(400).json(errorBody(error));
+    }
+});
+
+// API: Reject a candidate
+app.post('/api/review/reject', requireRole('reviewer'), checkInput({
+    body: { id: CANDIDATE_ID, note: { type: 'string', max: 1000, multiline: true } }
+}), (req, res) => {
+    const candidate = findCandidate(req, res);
+    if (!candidate) return;
+
+    const record = rejectCandidate(candidate, req.body.note || null, req.user.username);
+    recordAudit('reject', { user: req.user.username, details: { candidate: candidate.id, note: req.body.note || null } });
+    res.json({ success: true, candidate: describeCandidate({ id: candidate.id, record }) });
+});
+
+// API: Reject a candidate and queue a replacement (held for review)
+app.post('/api/review/regenerate', requireRole('reviewer'), checkInput({ body: { id: CANDIDATE_ID } }), (req, res) => {
+    const candidate = findCandidate(req, res);
+    if (!candidate) return;
+
+    let args;
+    try {
+        args = regenerateArgs(candidate.record);
+    } catch (error) {
+        return res.status(400).json(errorBody(error));
+    }
+
+    rejectCandidate(candidate, 'Regenerated', req.user.username);
+    const label = `Step ${candidate.record.step.replace('step', '')}`;
+    startAutomation(candidate.record.step, `${label} (regenerate)`, args, req, res);
+});
+
+// API: Add a base template to catalog/products.json
+app.post('/api/catalog/bases', requireRole('admin'), checkInput({
+    body: {
+        id: { type: 'slug', required: true },
+        product: { type: 'slug', required: true },
+        name: { type: 'string', required: true, max: 100 },
+        swatch: { type: 'string', max: 20, pattern: /^#[0-9a-f]{3,8}$/i },
+        mockupDescription: { type: 'string', max: 2000, multiline: true },
+        translateDescription: { type: 'string', max: 2000, multiline: true },
+        templateImage: { ...IMAGE_DATA_URL, required: true, label: 'Template image' }
+    }
+}), async (req, res) => {
+    const { templateImage, ...fields } = req.body;
+
+    try {
+        const base = await createBase(fields, templateImage.buffer);
+        console.log(`\n📓 Added base ${base.id} (${base.product}) to the catalogue`);
+        recordAudit('catalog', { user: req.user.username, id: base.id, details: { change: 'add base' } });
+        res.json({ success: true, base });
+    } catch (error) {
+        res.status(400).json(errorBody(error));
+    }
+});
+
+// API: Emboss references for Step 1's Image C, with whether each photo exists
+app.get('/api/catalog/references', (req, res) => {
+    res.json({ references: listEmbossReferences().map(({ imagePath, ...reference }) => reference) });
+});
+
+// API: Add an emboss reference ({ id, name, description, categories, default, image (data URL) })
+const REFERENCE_FIELDS = {
+    name: { type: 'string', max: 100 },
+    description: { type: 'string', max: 2000, multiline: true },
+    categories: { type: 'list', of: { type: 'string', max: 100 }, max: 50 },
+    default: { type: 'boolean' }
+};
+
+app.post('/api/catalog/references', requireRole('admin'), checkInput({
+    body: {
+        id: { type: 'slug', required: true },
+        ...REFERENCE_FIELDS,
+        image: { ...IMAGE_DATA_URL, required: true, label: 'Reference image' }
+    }
+}), async (req, res) => {
+    const { image, ...fields } = req.body;
+
+    try {
+        const reference = await createEmbossReference(fields, image.buffer);
+        console.log(`\n🔦 Added emboss reference ${reference.id} to the catalogue`);
+        recordAudit('catalog', { user: req.user.username, id: reference.id, details: { change: 'add emboss reference' } });
+        res.json({ success: true, reference });
+    } catch (error) {
+        res.status(400).json(errorBody(error));
+    }
+});
+
+// API: Change an emboss reference's name, description, default categories or default flag
+const REFERENCE_ID = { params: { id: { type: 'slug', required: true } } };
+
+app.patch('/api/catalog/references/:id', requireRole('admin'), checkInput({ ...REFERENCE_ID, body: REFERENCE_FIELDS }), (req, res) => {
+    try {
+        const reference = updateEmbossReference(req.params.id, req.body);
+        recordAudit('catalog', { user: req.user.username, id: reference.id, details: { change: 'edit emboss reference', ...req.body } });
+        res.json({ success: true, reference });
+    } catch (error) {
+        res.status(error.message.startsWith('Unknown emboss reference') ? 404 : 400).json(errorBody(error));
+    }
+});
+
+// API: Remove an emboss reference and its photo
+app.delete('/api/catalog/references/:id', requireRole('admin'), checkInput(REFERENCE_ID), (req, res) => {
+    try {
+        removeEmbossReference(req.params.id);
+        recordAudit('catalog', { user: req.user.username, id: req.params.id, details: { change: 'remove emboss reference' } });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.message.startsWith('Unknown emboss reference') ? 404 : 400).json(errorBody(error));
+    }
+});
+
+// API: Log in ({ username, password }); the token goes in `Authorization: Bearer <token>`
+app.post('/api/auth/login', checkInput({
+    body: {
+        username: { type: 'string', required: true, max: 64 },
+        password: { type: 'string', required: true, max: 200 }
+    }
+}), (req, res) => {
+    try {
+        const session = login(req.body.username, req.body.password);
+        console.log(`\n🔐 ${session.user.username} logged in`);
+        recordAudit('login', { user: session.user.username });
+        res.json({ success: true, ...session });
+    } catch (error) {
+        res.status(401).json(errorBody(error));
+    }
+});
+
+// API: End the current session
+app.post('/api/auth/logout', (req, res) => {
+    logout(requestToken(req));
+    res.json({ success: true });
+});
+
+// API: The logged-in user
+app.get('/api/auth/me', (req, res) => {
+    res.json({ user: req.user });
+});
+
+// API: Settings the web UI needs (which library backend to talk to)
+app.get('/api/config', (req, res) => {
+    res.json({ storage: storage.name });
+});
+
+// API: Categories, designers and tags used in either library
+app.get('/api/library/filters', async (req, res) => {
+    try {
+        const rows = (await Promise.all(TABLES.map(table => storage.list(table)))).flat();
+        const distinct = (values) => [...new Set(values.filter(Boolean))].sort();
+        res.json({
+            categories: distinct(rows.map(row => row.category)),
+            designers: distinct(rows.map(row => row.designer)),
+            tags: distinct(rows.flatMap(row => row.tags || []))
+        });
+    } catch (error) {
+        res.status(500).json(errorBody(error));
+    }
+});
+
+// Reject unknown library names before they reach the backend
+app.param('table', (req, res, next, table) => {
+    if (!TABLES.includes(table)) {
+        return res.status(404).json({ error: `Unknown library: ${table}`, code: 'NOT_FOUND' });
+    }
+    next();
+});
+
+// API: Library rows, filtered by ?category=&designer=&notebook=&tag=&q= and paged with
+// ?sort=newest|oldest|name&limit=&offset= (every match, newest first, without them).
+// ?deleted=1 lists the deleted rows instead (admins only)
+app.get('/api/library/:table', checkInput({
+    query: {
+        category: FIELDS.category,
+        designer: FIELDS.designer,
+        notebook: { type: 'slug' },
+        tag: { type: 'string', max: 100 },
+        q: { type: 'string', max: 200 },
+        sort: { type: 'string', oneOf: Object.keys(SORTS) },
+        deleted: { type: 'boolean' },
+        ...PAGING
+    }
+}), async (req, res) => {
+    const { category, designer, notebook, tag, q, sort, deleted = false, limit = 0, offset = 0 } = req.query;
+    if (deleted && !hasRole(req.user, 'admin')) {
+        return res.status(403).json({ error: 'Deleted rows are only shown to admins', code: 'FORBIDDEN' });
+    }
+    try {
+        res.json(await storage.page(req.params.table, { category, designer, notebook, tag, search: q, deleted }, { sort, limit, offset }));
+    } catch (error) {
+        res.status(500).json(errorBody(error));
+    }
+});
+
+// API: Rows whose image duplicates the given hashes (?phash=&content_hash=, see lib/phash.js)
+app.get('/api/library/:table/duplicates', checkInput({
+    query: {
+        phash: { type: 'string', max: 64, pattern: /^[0-9a-f]+$/i },
+        content_hash: { type: 'string', max: 64, pattern: /^[0-9a-f]+$/i }
+    }
+}), async (req, res) => {
+    const { phash, content_hash } = req.query;
+    if (!phash && !content_hash) {
+        return res.status(400).json({ error: 'Missing phash or content_hash', code: 'INVALID_INPUT', field: 'phash' });
+    }
+    try {
+        const rows = await storage.list(req.params.table);
+        const matches = findDuplicates(rows, { phash, content_hash });
+        res.json({ matches: matches.map(({ row, match, distance }) => ({ match, distance, item: row })) });
+    } catch (error) {
+        res.status(500).json(errorBody(error));
+    }
+});
+
+// API: One library row (a deleted one for admins only, as in the list)
+app.get('/api/library/:table/:id', checkInput(ROW_ID), async (req, res) => {
+    try {
+        const item = await storage.get(req.params.table, req.params.id);
+        if (!item || (item.deleted_at && !hasRole(req.user, 'admin'))) {
+            return res.status(404).json({ error: 'Not found', code: 'NOT_FOUND' });
+        }
+        res.json({ item });
+    } catch (error) {
+        res.status(500).json(errorBody(error));
+    }
+});
+
+// Rules for the library columns the API writes; each library takes its EDITABLE_COLUMNS
+const COLUMN_RULES = {
+    category: FIELDS.category,
+    designer: FIELDS.designer,
+    description: FIELDS.description,
+    base_notebooks: { type: 'list', of: { type: 'slug' }, max: 20 },
+    tags: { type: 'list', of: { type: 'string', max: 50 }, max: 50 }
+};
+
+function libraryColumns(table) {
+    return Object.fromEntries((EDITABLE_COLUMNS[table] || []).map(column => [column, COLUMN_RULES[column]]));
+}
+
+// checkInput() with the column rules of the request's library added to the body
+function checkLibraryInput({ params, body = {}, changes = false }) {
+    return (req, res, next) => checkInput({ params, body: { ...body, ...libraryColumns(req.params.table) }, changes })(req, res, next);
+}
+
+// API: Add an image to a library ({ file (data URL), file_name, ...columns })
+app.post('/api/library/:table', requireRole('designer'), checkLibraryInput({
+    body: {
+        file: { ...IMAGE_DATA_URL, required: true },
+        file_name: { type: 'string', required: true, max: 200 }
+    }
+}), async (req, res) => {
+    const { file, file_name: fileName, ...fields } = req.body;
+
+    try {
+        const item = await addToLibrary(req.params.table, { fileName, buffer: file.buffer, fields: { ...fields, created_by: req.user.username } });
+        console.log(`\n📚 ${req.user.username} added ${item.file_name} to ${req.params.table}`);
+        recordAudit('upload', { user: req.user.username, table: req.params.table, id: item.id, details: { file_name: item.file_name } });
+        res.json({ success: true, item });
+    } catch (error) {
+        res.status(400).json(errorBody(error));
+    }
+});
+
+// API: Change a library row's editable columns (EDITABLE_COLUMNS: category, designer, tags, and
+// base notebooks for designs or the description for inspirations); deleted rows can't be changed
+app.patch('/api/library/:table/:id', requireRole('designer'), checkLibraryInput({ ...ROW_ID, changes: true }), async (req, res) => {
+    try {
+        const item = await updateLibraryRow(req.params.table, req.params.id, req.body);
+        recordAudit('update', { user: req.user.username, table: req.params.table, id: item.id, details: req.body });
+        res.json({ success: true, item });
+    } catch (error) {
+        libraryRowError(res, error);
+    }
+});
+
+// Answer a failed library row change or soft-delete action (see lib/storage/index.js)
+function libraryRowError(res, error) {
+    res.status(error.message.startsWith('Not found') ? 404 : 400).json({ ...errorBody(error), ...(error.message.startsWith('Not found') && { code: 'NOT_FOUND' }) });
+}
+
+// API: Delete a library row (it can be restored until it is purged)
+app.delete('/api/library/:table/:id', requireRole('admin'), checkInput(ROW_ID), async (req, res) => {
+    try {
+        const item = await deleteLibraryRow(req.params.table, req.params.id, req.user.username);
+        console.log(`\n🗑️  ${req.user.username} deleted ${item.file_name} from ${req.params.table}`);
+        recordAudit('delete', { user: req.user.username, table: req.params.table, id: item.id, details: { file_name: item.file_name } });
+        res.json({ success: true });
+    } catch (error) {
+        libraryRowError(res, error);
+    }
+});
+
+// API: Restore a deleted library row
+app.post('/api/library/:table/:id/restore', requireRole('admin'), checkInput(ROW_ID), async (req, res) => {
+    try {
+        const item = await restoreLibraryRow(req.params.table, req.params.id);
+        recordAudit('restore', { user: req.user.username, table: req.params.table, id: item.id, details: { file_name: item.file_name } });
+        res.json({ success: true, item });
+    } catch (error) {
+        libraryRowError(res, error);
+    }
+});
+
+// API: Remove a deleted library row and its image for good
+app.post('/api/library/:table/:id/purge', requireRole('admin'), checkInput(ROW_ID), async (req, res) => {
+    try {
+        const item = await purgeLibraryRow(req.params.table, req.params.id);
+        recordAudit('purge', { user: req.user.username, table: req.params.table, id: item.id, details: { file_name: item.file_name } });
+        res.json({ success: true });
+    } catch (error) {
+        libraryRowError(res, error);
+    }
+});
+
+// API: Pipeline tracker cards, newest first (see lib/tracker.js)
+app.get('/api/tracker', async (req, res) => {
+    try {
+        res.json({ cards: await listCards() });
+    } catch (error) {
+        res.status(500).json(errorBody(error));
+    }
+});
+
+// API: New tracker card ({ title, inspiration_id, stage, designer, due_date, notes, ... })
+const TRACKER_FIELDS = {
+    title: { type: 'string', max: 200 },
+    inspiration_id: { type: 'uuid' },
+    stage: { type: 'slug', oneOf: TRACKER_STAGES.map(stage => stage.id) },
+    progress: { type: 'object' },
+    designer: FIELDS.designer,
+    due_date: { type: 'date' },
+    notes: { type: 'string', max: 2000, multiline: true },
+    image_url: { type: 'string', max: 2048 }
+};
+
+app.post('/api/tracker', requireRole('designer'), checkInput({ body: TRACKER_FIELDS }), async (req, res) => {
+    try {
+        const card = await createCard(req.body);
+        recordAudit('tracker', { user: req.user.username, table: TRACKER_TABLE, id: card.id, details: { change: 'add', title: card.title } });
+        res.json({ success: true, card });
+    } catch (error) {
+        res.status(400).json(errorBody(error));
+    }
+});
+
+// API: Move a tracker card or change its assignee, due date or notes
+app.patch('/api/tracker/:id', requireRole('designer'), checkInput({ ...ROW_ID, body: TRACKER_FIELDS, changes: true }), async (req, res) => {
+    try {
+        if (!await storage.get(TRACKER_TABLE, req.params.id)) {
+            return res.status(404).json({ error: 'Not found', code: 'NOT_FOUND' });
+        }
+        const card = await updateCard(req.params.id, req.body);
+        recordAudit('tracker', { user: req.user.username, table: TRACKER_TABLE, id: card.id, details: { change: 'edit', ...req.body } });
+        res.json({ success: true, card });
+    } catch (error) {
+        res.status(400).json(errorBody(error));
+    }
+});
+
+// API: Delete a tracker card (its designs stay in the library)
+app.delete('/api/tracker/:id', requireRole('admin'), checkInput(ROW_ID), async (req, res) => {
+    try {
+        await removeCard(req.params.id);
+        recordAudit('tracker', { user: req.user.username, table: TRACKER_TABLE, id: req.params.id, details: { change: 'remove' } });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.message.startsWith('Card not found') ? 404 : 500).json(errorBody(error));
+    }
+});
+
+// API: Audit log, newest first (?limit=&offset=, default the last 100 entries)
+app.get('/api/audit', requireRole('admin'), checkInput({ query: PAGING }), async (req, res) => {
+    const { limit = 100, offset = 0 } = req.query;
+    try {
+        res.json(await listAudit({ limit, offset }));
+    } catch (error) {
+        res.status(500).json(errorBody(error));
     }
-    res.json({ running: true, output: process.output });
 });
 
 // API: Health check
@@ -103,7 +988,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+app.listen(PORT, HOST, () => {
     console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║                                                            ║
@@ -115,4 +1000,11 @@ app.listen(PORT, () => {
 ║                                                            ║
 ╚════════════════════════════════════════════════════════════╝
 `);
+    console.log(`⚙️  Job concurrency: ${jobQueue.concurrency}`);
+    console.log(`🗄️  Library storage: ${storage.description}`);
+    console.log(`🔐 Listening on ${HOST}; ${listUsers().length} user(s)`);
+    if (listUsers().length === 0) {
+        console.log('⚠️  No users yet: nobody can log in. Create an admin with');
+        console.log('   node users.js --add <name> --role admin');
+    }
 });
@@ -1,7 +1,8 @@
 /**
  * Step 1 Automation: Design to Product Mockup
  *
- * This script automates the ChatGPT interaction for generating embossed notebook mockups.
+ * This script automates generating embossed notebook mockups. By default it drives
+ * ChatGPT in a browser; --provider switches to another image-generation backend.
  *
  * Usage:
  *   # Text-only (ChatGPT imagines the design):
@@ -13,33 +14,79 @@
  *   # From Inspiration Library (fetches image + description automatically):
  *   node step1-chatgpt.js --color blue --inspirationId "abc123-uuid"
  *
- *   # With design URL (from Supabase or any URL):
+ *   # With design URL (from the library or any URL):
  *   node step1-chatgpt.js --color purple --designUrl "https://..." --design "floral pattern"
  *
+ *   # With a particular emboss reference as Image C (default: the design category's own):
+ *   node step1-chatgpt.js --color blue --inspirationId "abc123-uuid" --reference blue-dog
+ *
+ *   # With a fixed placement (set it in the web UI's placement editor and copy the command):
+ *   node step1-chatgpt.js --color blue --inspirationId "abc123-uuid" --placement '{"left":0.3,"top":0.3,"width":0.4,"height":0.4,"rotation":0}'
+ *
+ *   # Four candidates to compare in the web UI's Review tab:
+ *   node step1-chatgpt.js --color blue --inspirationId "abc123-uuid" --variants 4
+ *
+ *   # Offline test run with the mock provider:
+ *   node step1-chatgpt.js --color blue --design "cute cat" --designImage "./my-design.png" --provider mock --no-upload
+ *
+ *   # Check the ChatGPT selectors against the live page (nothing is sent), or the offline fixture:
+ *   node step1-chatgpt.js --selftest
+ *   node step1-chatgpt.js --selftest --fixture
+ *
+ * Successful mockups are uploaded to the Design Library (category and designer from the
+ * inspiration, base notebook from --color) unless --no-upload is given.
+ *
  * Options:
- *   --color          Notebook color: blue, grey, pink, purple (default: blue)
+ *   --color          Base template ID from catalog/products.json, e.g. blue, grey, pink, purple (default: blue)
  *   --design         Description of the design for Image B
  *   --designImage    Path to local design image file
  *   --designUrl      URL to design image (will be downloaded)
- *   --inspirationId  Supabase inspiration ID (fetches image + description)
+ *   --inspirationId  Inspiration Library ID (fetches image + description)
+ *   --reference      Emboss reference ID from catalog/products.json for Image C, or "none" to send
+ *                    no reference (default: the design category's reference, else the default one)
+ *   --provider       Image provider: chatgpt-browser, gemini-browser, openai-images, gemini-api, mock
+ *                    (default: chatgpt-browser)
+ *   --placement      Design placement as JSON: position, size and rotation of the design and the
+ *                    region that may change (see lib/placement.js); adds it to the prompt, uploads a
+ *                    placement guide image and stores it with the design (default: none)
+ *   --category       Design Library category (default: from the inspiration)
+ *   --designer       Design Library designer (default: from the inspiration)
+ *   --sourceInspirationId  Inspiration ID stored with the uploaded design (set automatically with --inspirationId)
+ *   --runId          Run ID stored with the uploaded design (default: step1_<timestamp>)
+ *   --variants       Number of candidates to generate (default: 1); more than one implies --review
+ *   --review         Hold results for review in the web UI instead of uploading them
+ *   --retries        Regenerate a result that fails the quality check up to this many times (default: 0)
+ *   --keep-failed    Upload/review results that fail the quality check instead of auto-rejecting them
+ *   --no-quality     Skip the quality check (see lib/quality.js)
+ *   --no-upload      Don't upload the mockup to the Design Library
  *   --output         Output folder for downloaded images (default: ./output)
  *   --headless       Run in headless mode (default: false for first run to login)
+ *   --session        Browser session (account) to use, see login.js (default: BROWSER_SESSION or default)
+ *   --selftest       Check every selector of the provider's selector profile and report which broke
+ *   --fixture        With --selftest: run against a saved page instead of the live site
+ *                    (default: fixtures/<provider>.html)
+ *   --keep-open      Leave the browser open for review after a successful run
+ *   --daemon         Non-interactive: JSON progress events on stdout, log on stderr, no login wait
+ *   --result         Result record with the output paths (default with --daemon: <output>/result.json)
  */
 
-import { chromium } from 'playwright';
 import path from 'path';
 import fs from 'fs';
-import https from 'https';
-import http from 'http';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { fetchInspiration } from './lib/storage/index.js';
+import { downloadImage } from './lib/download.js';
+import { generateMockupPrompt } from './lib/prompts.js';
+import { getBase, getEmbossReference, defaultEmbossReference } from './lib/catalog.js';
+import { getProvider } from './lib/providers/index.js';
+import { generateCandidates, recordCandidates, bestCandidate } from './lib/candidates.js';
+import { renderPlacementImages, formatPlacement } from './lib/placement.js';
+import { useSession } from './lib/sessions.js';
+import { runMain, failure } from './lib/daemon.js';
+import { validateOptions, FIELDS } from './lib/validate.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Supabase config (same as web UI)
-const SUPABASE_URL = 'https://jyosixwjbsahcctyakdi.supabase.co';
-const SUPABASE_ANON_KEY = 'sb_publishable_S5JGtvltlC1Q314L50QR4A_zYvzDjCR';
-
 // Parse command line arguments
 function parseArgs() {
     const args = process.argv.slice(2);
@@ -49,8 +96,27 @@ function parseArgs() {
         designImage: '',
         designUrl: '',
         inspirationId: '',
+        reference: '',
+        provider: 'chatgpt-browser',
+        placement: null,
+        category: '',
+        designer: '',
+        sourceInspirationId: '',
+        runId: '',
+        upload: true,
+        variants: 1,
+        review: false,
+        quality: true,
+        retries: 0,
+        keepFailed: false,
         output: path.join(__dirname, 'output'),
-        headless: process.env.HEADLESS === 'true'
+        headless: process.env.HEADLESS === 'true',
+        selftest: false,
+        fixture: '',
+        keepOpen: false,
+        session: null,
+        daemon: false,
+        result: ''
     };
 
     for (let i = 0; i < args.length; i++) {
@@ -70,233 +136,136 @@ function parseArgs() {
             case '--inspirationId':
                 options.inspirationId = args[++i];
                 break;
+            case '--reference':
+                options.reference = args[++i];
+                break;
+            case '--provider':
+                options.provider = args[++i];
+                break;
+            case '--placement':
+                options.placement = args[++i];
+                break;
+            case '--category':
+                options.category = args[++i];
+                break;
+            case '--designer':
+                options.designer = args[++i];
+                break;
+            case '--sourceInspirationId':
+                options.sourceInspirationId = args[++i];
+                break;
+            case '--runId':
+                options.runId = args[++i];
+                break;
+            case '--no-upload':
+                options.upload = false;
+                break;
+            case '--variants':
+                options.variants = args[++i];
+                break;
+            case '--review':
+                options.review = true;
+                break;
+            case '--retries':
+                options.retries = args[++i];
+                break;
+            case '--keep-failed':
+                options.keepFailed = true;
+                break;
+            case '--no-quality':
+                options.quality = false;
+                break;
             case '--output':
                 options.output = args[++i];
                 break;
+            case '--session':
+                options.session = args[++i];
+                break;
             case '--headless':
                 options.headless = args[++i] === 'true';
                 break;
+            case '--selftest':
+                options.selftest = true;
+                break;
+            case '--fixture':
+                // The path is optional: default to the provider's saved page
+                options.fixture = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : 'default';
+                break;
+            case '--keep-open':
+                options.keepOpen = true;
+                break;
+            case '--daemon':
+                options.daemon = true;
+                break;
+            case '--result':
+                options.result = args[++i];
+                break;
         }
     }
 
     return options;
 }
 
-// Fetch inspiration from Supabase
-async function fetchInspiration(id) {
-    const url = `${SUPABASE_URL}/rest/v1/inspirations?id=eq.${id}&select=*`;
+// The emboss reference for Image C: --reference, else the design category's default;
+// null for no reference. A default whose photo is missing is skipped with a warning.
+function resolveReference(reference, category) {
+    if (reference === 'none') return null;
 
-    const response = await fetch(url, {
-        headers: {
-            'apikey': SUPABASE_ANON_KEY,
-            'Authorization': `Bearer ${SUPABASE_ANON_KEY}`
+    if (reference) {
+        const chosen = getEmbossReference(reference);
+        if (!chosen.imageExists) {
+            throw new Error(`Emboss reference image not found: ${chosen.imagePath}`);
         }
-    });
-
-    if (!response.ok) {
-        throw new Error(`Failed to fetch inspiration: ${response.statusText}`);
+        return chosen;
     }
 
-    const data = await response.json();
-    if (!data || data.length === 0) {
-        throw new Error(`Inspiration not found: ${id}`);
+    const fallback = defaultEmbossReference(category);
+    if (fallback && !fallback.imageExists) {
+        console.log(`⚠️  Emboss reference "${fallback.id}" has no image (${fallback.imagePath}): sending no Image C`);
+        console.log('   (add the photo, or pick another reference in the web UI\'s Catalogue tab)');
+        return null;
     }
-
-    return data[0];
+    return fallback;
 }
 
-// Download image from URL to temp file
-async function downloadImage(url, outputPath) {
-    return new Promise((resolve, reject) => {
-        const protocol = url.startsWith('https') ? https : http;
-        const file = fs.createWriteStream(outputPath);
-
-        protocol.get(url, (response) => {
-            if (response.statusCode === 301 || response.statusCode === 302) {
-                // Follow redirect
-                downloadImage(response.headers.location, outputPath)
-                    .then(resolve)
-                    .catch(reject);
-                return;
-            }
+// Main automation function
+export async function runStep1Automation(options) {
+    console.log('\n🎨 Step 1: Design to Product Mockup Automation');
+    console.log('━'.repeat(50));
 
-            response.pipe(file);
-            file.on('finish', () => {
-                file.close();
-                resolve(outputPath);
-            });
-        }).on('error', (err) => {
-            fs.unlink(outputPath, () => {});
-            reject(err);
-        });
+    validateOptions(options, {
+        color: FIELDS.color, design: FIELDS.design, designUrl: FIELDS.designUrl, inspirationId: FIELDS.inspirationId,
+        reference: FIELDS.reference, provider: FIELDS.provider, placement: FIELDS.placement, category: FIELDS.category,
+        designer: FIELDS.designer, sourceInspirationId: FIELDS.inspirationId, runId: FIELDS.runId,
+        variants: FIELDS.variants, retries: FIELDS.retries, session: FIELDS.session
     });
-}
 
-// Generate the prompt for Step 1
-function generatePrompt(color, designDescription) {
-    const colorDescriptions = {
-        blue: 'A PLAIN blue PU-leather notebook',
-        grey: 'A PLAIN grey PU-leather notebook',
-        pink: 'A PLAIN pink PU-leather notebook',
-        purple: 'A PLAIN purple PU-leather notebook'
-    };
+    // Browser session (account) for this run
+    if (options.session) useSession(options.session);
 
-    const imageA = colorDescriptions[color] || colorDescriptions.blue;
-    const imageB = designDescription || '[Describe Image B]';
-    const imageC = 'A blue PU notebook with an embossed dog design';
-
-    return `Create the image using the instructions below. Do not use python.
-
-IMAGE A — BASE NOTEBOOK (EDIT THIS IMAGE)
-Describe Image A in one sentence:
-${imageA}
-
-IMAGE B — DESIGN SOURCE (ARTWORK ONLY)
-Describe Image B in one sentence:
-${imageB}
-
-IMAGE C — EMBOSSING & LIGHTING REFERENCE (REFERENCE ONLY)
-Describe Image C in one sentence:
-${imageC}
-
-HOW EACH IMAGE MAY BE USED
-
-IMAGE A (Base Notebook)
-This image defines and must retain:
-• notebook shape, size, thickness, proportions
-• camera angle, perspective, framing
-• lighting direction and shadows
-• background and props
-• surface material and texture (smooth PU leather)
-
-⚠️ Image A must remain visually identical except for:
-• the design that gets translated onto the cover
-
-IMAGE B (Design Source)
-Use only:
-• the artwork
-• the colour palette for the notebook cover
-
-❌ Do NOT copy from Image B:
-• lighting
-• texture
-• background
-• composition
-• notebook geometry or notebook size or notebook features or stitching or any other effects
-
-IMAGE C (Reference Only)
-Image C exists ONLY to teach:
-• how strong embossing should look in photography
-• how lighting reveals raised texture
-• how shadows and highlights prove depth
-
-❌ NEVER copy from Image C:
-• any artwork or motif
-• any colours
-• any layout or composition
-• any props or objects
-
-If any design cue from Image C appears in the output, the result is INVALID.
-
-CORE TASK
-Edit IMAGE A so that:
-• The notebook cover colour matches the colour from IMAGE B
-• The artwork from IMAGE B is applied to the notebook cover
-• The artwork appears as a REAL, MANUFACTURED, UV-EMBOSSED / TESSELLATED PRINT
-• The notebook surface remains smooth everywhere except the embossed design
-
-This is a photorealistic image edit, not a new generation.
-
-NON-NEGOTIABLE EMBOSSING RULES
-• This is NOT flat printing.
-• You MUST exaggerate embossing depth so it is clearly visible in photos
-• Embossing must read as ~4–6mm at normal viewing distance
-• Embossing must be obvious without zooming
-• If embossing is subtle, the result is WRONG
-
-HEIGHT VARIATION IS REQUIRED
-• Primary edges / outer silhouette → highest relief
-• Major internal forms → medium relief
-• Minor details → shallow relief
-• Background leather → zero relief
-
-The design must appear PRESSED INTO the leather via pressure and UV curing — not painted or stuck on top.
-
-EDGE & SHADOW BEHAVIOUR (PROOF OF EMBOSS)
-To prove embossing, you MUST show:
-• Clear contact shadows where raised ink meets flat leather
-• Shadow falloff on the down-light side of raised edges
-• Bright highlight bands on the light-facing edges
-• Micro self-shadowing between overlapping raised forms
-• Soft, rounded, organically pressed edges (no sharp cutouts)
-
-If there are no visible shadows hugging the artwork edges, embossing is not convincing.
-
-LEATHER INTERACTION (REALISM)
-• PU leather grain must continue seamlessly through embossed areas
-• Grain compresses slightly near raised edges
-• Base leather stays smooth everywhere except the design
-
-❌ No stickers
-❌ No decals
-❌ No floating layers
-❌ No white outlines
-
-LIGHTING (DO NOT IGNORE)
-Use strong raking light similar to Image C:
-• Catch raised edges with specular highlights
-• Cast visible micro-shadows across the surface
-• Increase local contrast around embossed regions
-• Make depth obvious even at thumbnail size
-
-Flat lighting = failure.
-
-POSITION & GEOMETRY (LOCKED)
-• Keep notebook geometry, camera angle, perspective, and placement identical to Image A
-• Do NOT change notebook thickness, edges, spine, ribbons, or page block
-• Apply the design in a natural, premium placement on the cover
-• Do NOT move, rotate, or resize the design arbitrarily
-
-RENDERING CONSTRAINTS
-• Photorealistic product photography (not illustration)
-• No painterly textures
-• No canvas or paper grain
-• No CAD bevels or uniform extrusion
-
-FINAL SELF-VALIDATION (MANDATORY)
-Before outputting, ask yourself:
-• Does the notebook still look exactly like Image A?
-• Is the artwork ONLY from Image B?
-• Does the embossing read clearly at normal viewing distance?
-• Would a customer believe they could feel this with their fingertips?
-
-If any answer is "no", fix it before outputting.
-If not, increase embossing depth, edge highlights, and contact shadows until it passes.
-
-Ensure the output is a high quality 4k resolution image with absolutely no fuzziness or grain.`;
-}
+    const provider = getProvider(options.provider);
 
-// Main automation function
-async function runStep1Automation(options) {
-    console.log('\n🎨 Step 1: Design to Product Mockup Automation');
-    console.log('━'.repeat(50));
+    // The base template (colour) comes from the product catalogue
+    const base = getBase(options.color);
 
     // Ensure output directory exists
     if (!fs.existsSync(options.output)) {
         fs.mkdirSync(options.output, { recursive: true });
     }
 
-    // Handle inspiration ID - fetch from Supabase
+    // Handle inspiration ID - fetch from the Inspiration Library
     if (options.inspirationId) {
         console.log(`📥 Fetching inspiration: ${options.inspirationId}`);
         try {
             const inspiration = await fetchInspiration(options.inspirationId);
             options.design = inspiration.description;
             options.designUrl = inspiration.file_url;
+            options.category = options.category || inspiration.category;
+            options.designer = options.designer || inspiration.designer;
+            options.sourceInspirationId = inspiration.id;
             console.log(`   ✅ Found: "${inspiration.description}"`);
         } catch (error) {
-            console.error(`\n❌ Error fetching inspiration: ${error.message}`);
-            process.exit(1);
+            throw new Error(`Error fetching inspiration: ${error.message}`);
         }
     }
 
@@ -314,42 +283,43 @@ async function runStep1Automation(options) {
             imageBPath = tempFile;
             console.log(`   ✅ Downloaded to temp file`);
         } catch (error) {
-            console.error(`\n❌ Error downloading image: ${error.message}`);
-            process.exit(1);
+            throw failure('DOWNLOAD_FAILED', `Error downloading image: ${error.message}`);
         }
     }
 
+    let reference;
+    try {
+        reference = resolveReference(options.reference, options.category);
+    } catch (error) {
+        throw new Error(`Error: ${error.message}`);
+    }
+
     console.log(`📓 Notebook Color: ${options.color}`);
     console.log(`🖼️  Design: ${options.design}`);
     if (imageBPath) {
         console.log(`📷 Design Image: ${imageBPath}`);
     }
+    console.log(`🔦 Emboss Reference: ${reference ? `${reference.name} (${reference.id})` : 'none'}`);
+    console.log(`📐 Placement: ${options.placement ? formatPlacement(options.placement) : 'left to the model'}`);
+    console.log(`🔌 Provider: ${provider.name}`);
     console.log(`📁 Output: ${options.output}`);
     console.log('━'.repeat(50));
 
     // Validate inputs
     if (!options.design) {
-        console.error('\n❌ Error: --design is required (or use --inspirationId)');
         console.log('Usage:');
         console.log('  node step1-chatgpt.js --color blue --design "your design description"');
         console.log('  node step1-chatgpt.js --color blue --inspirationId "uuid-from-library"');
-        process.exit(1);
+        throw new Error('Error: --design is required (or use --inspirationId)');
     }
 
-    // Set up paths to template images
-    const templateDir = path.join(__dirname, '..', 'Template Images for Product Listing');
-    const imageAPath = path.join(templateDir, `${options.color}.png`);
-    const imageCPath = path.join(templateDir, 'bluedog.png');
+    // Template images from the catalogue
+    const imageAPath = base.imagePath;
+    const imageCPath = reference ? reference.imagePath : null;
 
-    // Verify template images exist
+    // Verify the template image exists
     if (!fs.existsSync(imageAPath)) {
-        console.error(`\n❌ Error: Base notebook image not found: ${imageAPath}`);
-        console.log(`Available colors: blue, grey, pink, purple`);
-        process.exit(1);
-    }
-    if (!fs.existsSync(imageCPath)) {
-        console.error(`\n❌ Error: Emboss reference image not found: ${imageCPath}`);
-        process.exit(1);
+        throw new Error(`Error: Base notebook image not found: ${imageAPath}`);
     }
 
     // Check for local design image
@@ -357,232 +327,143 @@ async function runStep1Automation(options) {
         imageBPath = options.designImage;
     }
     if (imageBPath && !fs.existsSync(imageBPath)) {
-        console.error(`\n❌ Error: Design image not found: ${imageBPath}`);
-        process.exit(1);
+        throw new Error(`Error: Design image not found: ${imageBPath}`);
     }
 
-    // Generate the prompt
-    const prompt = generatePrompt(options.color, options.design);
-
-    // Set up browser with persistent context (to keep login session)
-    const userDataDir = path.join(__dirname, '.browser-data');
-
-    console.log('\n🚀 Launching browser...');
-
-    const browser = await chromium.launchPersistentContext(userDataDir, {
-        headless: options.headless,
-        viewport: { width: 1280, height: 900 },
-        args: ['--disable-blink-features=AutomationControlled']
-    });
-
-    const page = browser.pages()[0] || await browser.newPage();
-
-    try {
-        // Navigate to ChatGPT
-        console.log('🌐 Opening ChatGPT...');
-        await page.goto('https://chat.openai.com/', { waitUntil: 'networkidle' });
-
-        // Wait a moment for page to stabilize
-        await page.waitForTimeout(2000);
-
-        // Check if we need to log in
-        const needsLogin = await page.locator('button:has-text("Log in")').isVisible().catch(() => false);
-
-        if (needsLogin) {
-            console.log('\n⚠️  Please log in to ChatGPT in the browser window.');
-            console.log('   After logging in, the automation will continue automatically.\n');
-
-            // Wait for the chat interface to appear (indicates successful login)
-            await page.waitForSelector('[data-testid="send-button"], button[data-testid="send-button"], form textarea, #prompt-textarea', {
-                timeout: 300000 // 5 minutes to log in
-            });
-            console.log('✅ Login detected, continuing...\n');
-        }
+    // Generate the prompt (text plus template version)
+    const prompt = generateMockupPrompt(base, options.design, reference, options.placement);
 
-        // Wait for chat interface to fully load
-        console.log('⏳ Waiting for chat interface...');
-
-        // Give the page more time to stabilize
-        await page.waitForTimeout(3000);
-
-        // Try to dismiss any popups or overlays by clicking outside
-        try {
-            await page.click('body', { position: { x: 10, y: 10 } });
-            await page.waitForTimeout(500);
-        } catch (e) {
-            // Ignore click errors
-        }
-
-        // Try to close any "What's new" or onboarding modals
-        try {
-            const closeButtons = await page.$$('button[aria-label="Close"], [data-testid="close-button"], button:has-text("Close"), button:has-text("Got it"), button:has-text("Dismiss")');
-            for (const btn of closeButtons) {
-                await btn.click().catch(() => {});
-                await page.waitForTimeout(300);
-            }
-        } catch (e) {
-            // Ignore
-        }
-
-        await page.waitForTimeout(1000);
-
-        // Find the message input area with multiple strategies
-        console.log('🔍 Looking for input area...');
-
-        // Use Playwright's locator API for better reliability
-        const inputLocator = page.locator('#prompt-textarea, textarea[placeholder*="Ask"], textarea[placeholder*="Message"], div[contenteditable="true"]').first();
-
-        // Wait for it to be available
-        await inputLocator.waitFor({ state: 'attached', timeout: 10000 });
-        console.log('   ✅ Found input area');
+    // The placement guide goes with the images, the mask to providers that take one
+    let placementFiles = null;
+    if (options.placement) {
+        const tempDir = path.join(options.output, '.temp');
+        fs.mkdirSync(tempDir, { recursive: true });
+        placementFiles = await renderPlacementImages(imageAPath, options.placement, base,
+            path.join(tempDir, `guide_${options.color}_${Date.now()}.png`));
+    }
 
-        // Upload images first (using the attachment button)
-        console.log('📎 Uploading images...');
+    // Images in upload order: A (base), B (design, optional), C (reference, optional), placement guide (optional)
+    const images = [{ path: imageAPath, role: 'base', label: 'Image A (Base)' }];
+    if (imageBPath) {
+        images.push({ path: imageBPath, role: 'design', label: 'Image B (Design)' });
+    } else {
+        console.log(`   🎨 Image B (Design): [No image - using description only]`);
+    }
+    if (imageCPath) {
+        images.push({ path: imageCPath, role: 'reference', label: 'Image C (Reference)' });
+    }
+    if (placementFiles) {
+        images.push({ path: placementFiles.guidePath, role: 'guide', label: 'Placement Guide' });
+    }
 
-        // Prepare images to upload
-        const imagesToUpload = [imageAPath, imageCPath];
-        if (imageBPath) {
-            imagesToUpload.splice(1, 0, imageBPath); // Insert design image as Image B
-        }
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const outputPath = path.join(options.output, `mockup_${options.color}_${timestamp}.png`);
 
-        console.log(`   📷 Image A (Base): ${path.basename(imageAPath)}`);
-        if (imageBPath) {
-            console.log(`   🎨 Image B (Design): ${path.basename(imageBPath)}`);
-        } else {
-            console.log(`   🎨 Image B (Design): [No image - using description only]`);
-        }
-        console.log(`   📐 Image C (Reference): ${path.basename(imageCPath)}`);
-
-        // Find file input - it might be hidden, so we look for any input[type="file"]
-        let fileInput = await page.$('input[type="file"]');
-
-        if (!fileInput) {
-            // Try clicking the attachment/plus button to reveal file input
-            const attachButton = await page.$('button[aria-label*="Attach"], button[aria-label*="Upload"], button:has-text("+")');
-            if (attachButton) {
-                await attachButton.click();
-                await page.waitForTimeout(500);
-                fileInput = await page.$('input[type="file"]');
-            }
+    const count = options.variants || 1;
+    const candidates = await generateCandidates(provider, {
+        prompt: prompt.text,
+        images,
+        mask: placementFiles ? placementFiles.maskPath : null,
+        outputPath,
+        count,
+        headless: options.headless,
+        keepOpen: options.keepOpen,
+        browser: options.browser,
+        quality: options.quality === false ? null : {
+            base: imageAPath,
+            coverArea: base.coverArea,
+            retries: options.retries || 0
         }
+    });
 
-        if (fileInput) {
-            // Upload all images
-            await fileInput.setInputFiles(imagesToUpload);
-
-            // Wait for uploads to process
-            await page.waitForTimeout(4000);
-            console.log('✅ Images uploaded');
-        } else {
-            console.log('⚠️  Could not find file upload input');
-            console.log('   You may need to manually upload images after the prompt is entered');
-        }
+    // Upload to the Design Library (or hold for review) and record which provider and
+    // prompt template version produced each candidate
+    await recordCandidates(candidates, {
+        step: 'step1',
+        provider: provider.name,
+        prompt,
+        inputs: {
+            color: options.color,
+            design: options.design,
+            designImage: imageBPath || null,
+            inspirationId: options.sourceInspirationId || null,
+            base: imageAPath,
+            reference: imageCPath,
+            referenceId: reference ? reference.id : null,
+            placement: options.placement || null
+        },
+        library: {
+            category: options.category,
+            designer: options.designer,
+            color: options.color,
+            inspirationId: options.sourceInspirationId || null,
+            runId: options.runId || `step1_${timestamp}`,
+            placement: options.placement || null
+        },
+        upload: options.upload,
+        review: options.review || count > 1,
+        outputPath,
+        count,
+        autoReject: !options.keepFailed
+    });
 
-        // Type the prompt
-        console.log('✍️  Entering prompt...');
+    // Prefer a candidate that passed the quality check; fail when all were auto-rejected
+    return bestCandidate(candidates, { autoReject: !options.keepFailed });
+}
 
-        // Click on the input area to focus it
-        await inputLocator.click();
-        await page.waitForTimeout(500);
+// Check the provider's selectors against its page; resolves to true when none broke
+export async function runStep1SelfTest(options) {
+    console.log('\n🩺 Step 1: Provider Self-Test');
+    console.log('━'.repeat(50));
 
-        // Try multiple methods to enter text
-        try {
-            // Method 1: Use fill() - most reliable for textareas
-            await inputLocator.fill(prompt);
-        } catch (e) {
-            console.log('   Trying alternative input method...');
-            // Method 2: Use clipboard
-            await page.evaluate((text) => {
-                navigator.clipboard.writeText(text);
-            }, prompt);
-            await page.keyboard.press('Control+v');
-        }
+    validateOptions(options, { color: FIELDS.color, provider: FIELDS.provider, session: FIELDS.session });
 
-        await page.waitForTimeout(1000);
+    // Browser session (account) for this run
+    if (options.session) useSession(options.session);
 
-        // Send the message
-        console.log('📤 Sending message...');
+    const provider = getProvider(options.provider);
+    if (!provider.selftest) {
+        throw new Error(`Error: The ${provider.name} provider has no self-test`);
+    }
 
-        // Look for the send button with various selectors
-        const sendButtonLocator = page.locator('button[data-testid="send-button"], button[aria-label*="Send"], button:has-text("Send")').first();
+    const base = getBase(options.color);
 
-        try {
-            await sendButtonLocator.click({ timeout: 5000 });
-        } catch (e) {
-            // Fallback: press Enter or Ctrl+Enter
-            console.log('   Send button not found, trying Enter key...');
-            await page.keyboard.press('Enter');
-            await page.waitForTimeout(500);
-            // Some UIs need Ctrl+Enter
-            await page.keyboard.press('Control+Enter');
+    // The fixture runs the whole generation offline; the live page is never sent anything
+    let url = null;
+    if (options.fixture) {
+        const fixturePath = options.fixture === 'default'
+            ? path.join(__dirname, 'fixtures', `${provider.name}.html`)
+            : path.resolve(options.fixture);
+        if (!fs.existsSync(fixturePath)) {
+            throw new Error(`Error: Fixture not found: ${fixturePath}`);
         }
+        url = pathToFileURL(fixturePath).href;
+    }
 
-        console.log('\n⏳ Waiting for ChatGPT to generate image...');
-        console.log('   (This may take 30-60 seconds)\n');
-
-        // Wait for response - look for an image in the response
-        await page.waitForSelector('img[alt*="image"], img[src*="oaidalleapiprodscus"], div[data-message-author-role="assistant"] img', {
-            timeout: 120000 // 2 minutes
-        });
-
-        console.log('✅ Image generated!');
-
-        // Wait a bit more for the image to fully load
-        await page.waitForTimeout(3000);
-
-        // Find and download the generated image
-        console.log('💾 Downloading generated image...');
-
-        const generatedImages = await page.$$('div[data-message-author-role="assistant"] img');
-
-        if (generatedImages.length > 0) {
-            // Get the last image (most recent generation)
-            const lastImage = generatedImages[generatedImages.length - 1];
-            const imageSrc = await lastImage.getAttribute('src');
-
-            if (imageSrc) {
-                // Generate output filename
-                const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-                const outputFilename = `mockup_${options.color}_${timestamp}.png`;
-                const outputPath = path.join(options.output, outputFilename);
+    if (!fs.existsSync(options.output)) {
+        fs.mkdirSync(options.output, { recursive: true });
+    }
 
-                // Download the image
-                const imageResponse = await page.request.get(imageSrc);
-                const imageBuffer = await imageResponse.body();
-                fs.writeFileSync(outputPath, imageBuffer);
+    return provider.selftest({
+        images: [{ path: base.imagePath, role: 'base', label: 'Image A (Base)' }],
+        url,
+        send: Boolean(url),
+        headless: options.headless,
+        outputDir: options.output
+    });
+}
 
-                console.log(`\n🎉 Success! Image saved to:`);
-                console.log(`   ${outputPath}\n`);
+// Run the automation when invoked directly (the pipeline imports runStep1Automation)
+if (path.resolve(process.argv[1]) === __filename) {
+    const options = parseArgs();
+    if (options.selftest) {
+        runMain('step1-selftest', async () => {
+            if (!await runStep1SelfTest(options)) {
+                throw new Error('Error: The self-test found broken selectors');
             }
-        } else {
-            console.log('\n⚠️  Could not find generated image. Please download manually from the browser.');
-        }
-
-        // Keep browser open for review unless in headless mode
-        if (!options.headless) {
-            console.log('📺 Browser will stay open for review.');
-            console.log('   Press Ctrl+C to close.\n');
-
-            // Keep the script running
-            await new Promise(() => {});
-        }
-
-    } catch (error) {
-        console.error('\n❌ Error:', error.message);
-
-        // Take a screenshot for debugging
-        const screenshotPath = path.join(options.output, 'error-screenshot.png');
-        await page.screenshot({ path: screenshotPath });
-        console.log(`📸 Error screenshot saved to: ${screenshotPath}`);
-
-        throw error;
-    } finally {
-        if (options.headless) {
-            await browser.close();
-        }
+            return true;
+        }, options);
+    } else {
+        runMain('step1', () => runStep1Automation(options), options, { requireOutput: true });
     }
 }
-
-// Run the automation
-const options = parseArgs();
-runStep1Automation(options).catch(console.error);
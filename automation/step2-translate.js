@@ -0,0 +1,316 @@
+/**
+ * Step 2 Automation: Translate Design to Base
+ *
+ * This script automates transferring a finished design onto a different base notebook
+ * colour. By default it drives Gemini in a browser; --provider switches backend.
+ *
+ * Usage:
+ *   # From Design Library (downloads the design image automatically):
+ *   node step2-translate.js --color pink --designId "abc123-uuid" --description "purple notebook with all over cat design"
+ *
+ *   # With local design image:
+ *   node step2-translate.js --color grey --designImage "./output/mockup_blue.png" --description "blue notebook with floral design"
+ *
+ * A library design made with a placement (see lib/placement.js) is translated with the same
+ * placement, so every colourway matches; --placement sets or overrides it.
+ *
+ * Results are uploaded to the Design Library (category and designer from the source
+ * design, base notebook from --color) unless --no-upload is given.
+ *
+ * Options:
+ *   --color          Target base template ID from catalog/products.json, e.g. blue, grey, pink, purple (default: blue)
+ *   --designId       Design Library ID (Image 1, downloaded automatically)
+ *   --designImage    Path to local design image file (Image 1)
+ *   --description    Description of the design notebook in Image 1
+ *   --provider       Image provider: gemini-browser, chatgpt-browser, openai-images, gemini-api, mock
+ *                    (default: gemini-browser)
+ *   --placement      Design placement as JSON (see lib/placement.js); adds it to the prompt and
+ *                    uploads a placement guide image as Image 3 (default: the source design's placement)
+ *   --category       Design Library category (default: from the source design)
+ *   --designer       Design Library designer (default: from the source design)
+ *   --sourceInspirationId  Inspiration ID stored with the uploaded design (set automatically from a library design)
+ *   --sourceDesignId Design the result was generated from, stored as its lineage parent
+ *                    (set automatically with --designId)
+ *   --runId          Run ID stored with the uploaded design (default: step2_<timestamp>)
+ *   --variants       Number of candidates to generate (default: 1); more than one implies --review
+ *   --review         Hold results for review in the web UI instead of uploading them
+ *   --retries        Regenerate a result that fails the quality check up to this many times (default: 0)
+ *   --keep-failed    Upload/review results that fail the quality check instead of auto-rejecting them
+ *   --no-quality     Skip the quality check (see lib/quality.js)
+ *   --no-upload      Don't upload the result to the Design Library
+ *   --output         Output folder for downloaded images (default: ./output)
+ *   --headless       Run in headless mode (default: false for first run to login)
+ *   --session        Browser session (account) to use, see login.js (default: BROWSER_SESSION or default)
+ *   --keep-open      Leave the browser open for review after a successful run
+ *   --daemon         Non-interactive: JSON progress events on stdout, log on stderr, no login wait
+ *   --result         Result record with the output paths (default with --daemon: <output>/result.json)
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { generateTranslatePrompt } from './lib/prompts.js';
+import { getBase } from './lib/catalog.js';
+import { resolveDesignImage } from './lib/design-source.js';
+import { getProvider } from './lib/providers/index.js';
+import { generateCandidates, recordCandidates, bestCandidate } from './lib/candidates.js';
+import { renderPlacementImages, formatPlacement } from './lib/placement.js';
+import { useSession } from './lib/sessions.js';
+import { runMain } from './lib/daemon.js';
+import { validateOptions, FIELDS } from './lib/validate.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        color: 'blue',
+        designId: '',
+        designImage: '',
+        description: '',
+        provider: 'gemini-browser',
+        placement: null,
+        category: '',
+        designer: '',
+        sourceInspirationId: '',
+        sourceDesignId: '',
+        runId: '',
+        upload: true,
+        variants: 1,
+        review: false,
+        quality: true,
+        retries: 0,
+        keepFailed: false,
+        output: path.join(__dirname, 'output'),
+        headless: process.env.HEADLESS === 'true',
+        keepOpen: false,
+        session: null,
+        daemon: false,
+        result: ''
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--color':
+                options.color = args[++i];
+                break;
+            case '--designId':
+                options.designId = args[++i];
+                break;
+            case '--designImage':
+                options.designImage = args[++i];
+                break;
+            case '--description':
+                options.description = args[++i];
+                break;
+            case '--provider':
+                options.provider = args[++i];
+                break;
+            case '--placement':
+                options.placement = args[++i];
+                break;
+            case '--category':
+                options.category = args[++i];
+                break;
+            case '--designer':
+                options.designer = args[++i];
+                break;
+            case '--sourceInspirationId':
+                options.sourceInspirationId = args[++i];
+                break;
+            case '--sourceDesignId':
+                options.sourceDesignId = args[++i];
+                break;
+            case '--runId':
+                options.runId = args[++i];
+                break;
+            case '--no-upload':
+                options.upload = false;
+                break;
+            case '--variants':
+                options.variants = args[++i];
+                break;
+            case '--review':
+                options.review = true;
+                break;
+            case '--retries':
+                options.retries = args[++i];
+                break;
+            case '--keep-failed':
+                options.keepFailed = true;
+                break;
+            case '--no-quality':
+                options.quality = false;
+                break;
+            case '--output':
+                options.output = args[++i];
+                break;
+            case '--session':
+                options.session = args[++i];
+                break;
+            case '--headless':
+                options.headless = args[++i] === 'true';
+                break;
+            case '--keep-open':
+                options.keepOpen = true;
+                break;
+            case '--daemon':
+                options.daemon = true;
+                break;
+            case '--result':
+                options.result = args[++i];
+                break;
+        }
+    }
+
+    return options;
+}
+
+// Main automation function
+export async function runStep2Automation(options) {
+    console.log('\n🎨 Step 2: Translate Design to Base Automation');
+    console.log('━'.repeat(50));
+
+    validateOptions(options, {
+        color: FIELDS.color, designId: FIELDS.designId, description: FIELDS.description, provider: FIELDS.provider,
+        placement: FIELDS.placement, category: FIELDS.category, designer: FIELDS.designer,
+        sourceInspirationId: FIELDS.inspirationId, sourceDesignId: FIELDS.designId, runId: FIELDS.runId,
+        variants: FIELDS.variants, retries: FIELDS.retries, session: FIELDS.session
+    });
+
+    // Browser session (account) for this run
+    if (options.session) useSession(options.session);
+
+    const provider = getProvider(options.provider);
+
+    // The base template (colour) comes from the product catalogue
+    const base = getBase(options.color);
+
+    // Ensure output directory exists
+    if (!fs.existsSync(options.output)) {
+        fs.mkdirSync(options.output, { recursive: true });
+    }
+
+    // Validate inputs
+    if (!options.designId && !options.designImage) {
+        console.log('Usage:');
+        console.log('  node step2-translate.js --color pink --designId "uuid-from-library" --description "your design notebook"');
+        console.log('  node step2-translate.js --color pink --designImage "./design.png" --description "your design notebook"');
+        throw new Error('Error: --designId or --designImage is required');
+    }
+    if (!options.description) {
+        throw new Error('Error: --description is required (describe the design notebook in Image 1)');
+    }
+
+    // Resolve Image 1 (design) from the library or a local file
+    let image1Path;
+    let sourceDesign;
+    try {
+        ({ imagePath: image1Path, design: sourceDesign } = await resolveDesignImage(options));
+    } catch (error) {
+        throw new Error(`Error loading design: ${error.message}`);
+    }
+
+    // The result inherits category, designer, source inspiration and placement from a
+    // library design, which becomes its lineage parent
+    if (sourceDesign) {
+        options.placement = options.placement || sourceDesign.placement || null;
+        options.category = options.category || sourceDesign.category;
+        options.designer = options.designer || sourceDesign.designer;
+        options.sourceInspirationId = options.sourceInspirationId || sourceDesign.source_inspiration_id;
+        options.sourceDesignId = options.sourceDesignId || sourceDesign.id;
+    }
+
+    // Image 2 is the target base notebook template
+    const image2Path = base.imagePath;
+
+    if (!fs.existsSync(image2Path)) {
+        throw new Error(`Error: Base notebook image not found: ${image2Path}`);
+    }
+
+    console.log(`📓 Target Color: ${options.color}`);
+    console.log(`🖼️  Design: ${options.description}`);
+    console.log(`📷 Design Image: ${image1Path}`);
+    console.log(`📐 Placement: ${options.placement ? formatPlacement(options.placement) : 'left to the model'}`);
+    console.log(`🔌 Provider: ${provider.name}`);
+    console.log(`📁 Output: ${options.output}`);
+    console.log('━'.repeat(50));
+
+    const prompt = generateTranslatePrompt(options.description, base.translateDescription, base, options.placement);
+
+    // Image 3 is the placement guide; the mask goes to providers that take one
+    const images = [
+        { path: image1Path, role: 'design', label: 'Image 1 (Design)' },
+        { path: image2Path, role: 'base', label: 'Image 2 (Base)' }
+    ];
+    let placementFiles = null;
+    if (options.placement) {
+        const tempDir = path.join(options.output, '.temp');
+        fs.mkdirSync(tempDir, { recursive: true });
+        placementFiles = await renderPlacementImages(image2Path, options.placement, base,
+            path.join(tempDir, `guide_${options.color}_${Date.now()}.png`));
+        images.push({ path: placementFiles.guidePath, role: 'guide', label: 'Image 3 (Placement Guide)' });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const outputPath = path.join(options.output, `translate_${options.color}_${timestamp}.png`);
+
+    const count = options.variants || 1;
+    const candidates = await generateCandidates(provider, {
+        prompt: prompt.text,
+        images,
+        mask: placementFiles ? placementFiles.maskPath : null,
+        outputPath,
+        count,
+        headless: options.headless,
+        keepOpen: options.keepOpen,
+        browser: options.browser,
+        quality: options.quality === false ? null : {
+            base: image2Path,
+            coverArea: base.coverArea,
+            retries: options.retries || 0
+        }
+    });
+
+    // Upload to the Design Library (or hold for review) and record which provider and
+    // prompt template version produced each candidate
+    await recordCandidates(candidates, {
+        step: 'step2',
+        provider: provider.name,
+        prompt,
+        inputs: {
+            color: options.color,
+            description: options.description,
+            designId: options.designId || null,
+            designImage: image1Path,
+            inspirationId: options.sourceInspirationId || null,
+            base: image2Path,
+            placement: options.placement || null
+        },
+        library: {
+            category: options.category,
+            designer: options.designer,
+            color: options.color,
+            inspirationId: options.sourceInspirationId || null,
+            sourceDesignId: options.sourceDesignId || null,
+            runId: options.runId || `step2_${timestamp}`,
+            placement: options.placement || null
+        },
+        upload: options.upload,
+        review: options.review || count > 1,
+        outputPath,
+        count,
+        autoReject: !options.keepFailed
+    });
+
+    // Prefer a candidate that passed the quality check; fail when all were auto-rejected
+    return bestCandidate(candidates, { autoReject: !options.keepFailed });
+}
+
+// Run the automation when invoked directly (the pipeline imports runStep2Automation)
+if (path.resolve(process.argv[1]) === __filename) {
+    const options = parseArgs();
+    runMain('step2', () => runStep2Automation(options), options, { requireOutput: true });
+}
@@ -0,0 +1,293 @@
+/**
+ * Step 3 Automation: Embossment Tuning
+ *
+ * This script automates adding heavy UV embossing to a design that has already been
+ * translated onto a base notebook. By default it drives Gemini in a browser;
+ * --provider switches backend.
+ *
+ * Usage:
+ *   # From Design Library:
+ *   node step3-emboss.js --designId "abc123-uuid"
+ *
+ *   # With local notebook image and custom thickness:
+ *   node step3-emboss.js --designImage "./output/translate_pink.png" --thickness "three stacked 1-p coins (2.3 mm total height)"
+ *
+ * Results are uploaded to the Design Library (category, designer and source inspiration
+ * from the source design, which becomes the result's lineage parent) unless --no-upload
+ * is given.
+ *
+ * Options:
+ *   --designId       Design Library ID (downloaded automatically)
+ *   --designImage    Path to local notebook image file
+ *   --thickness      Embossing thickness (default: two stacked 1-p coins (1.5 mm total height))
+ *   --elements       Elements to be embossed (default: the design artifacts on the notebook's cover)
+ *   --exclude        Areas NOT to emboss (optional)
+ *   --provider       Image provider: gemini-browser, chatgpt-browser, openai-images, gemini-api, mock
+ *                    (default: gemini-browser)
+ *   --color          Base template ID of the notebook image; the result is quality-checked against
+ *                    that template and stored with it (default: the library design's base notebook;
+ *                    no check or upload without it)
+ *   --category       Design Library category (default: from the source design)
+ *   --designer       Design Library designer (default: from the source design)
+ *   --sourceInspirationId  Inspiration ID stored with the uploaded design (set automatically from a library design)
+ *   --sourceDesignId Design the result was generated from, stored as its lineage parent
+ *                    (set automatically with --designId)
+ *   --runId          Run ID stored with the uploaded design (default: step3_<timestamp>)
+ *   --review         Hold the result for review in the web UI instead of uploading it
+ *   --retries        Regenerate a result that fails the quality check up to this many times (default: 0)
+ *   --keep-failed    Upload/review a result that fails the quality check instead of auto-rejecting it
+ *   --no-quality     Skip the quality check (see lib/quality.js)
+ *   --no-upload      Don't upload the result to the Design Library
+ *   --output         Output folder for downloaded images (default: ./output)
+ *   --headless       Run in headless mode (default: false for first run to login)
+ *   --session        Browser session (account) to use, see login.js (default: BROWSER_SESSION or default)
+ *   --keep-open      Leave the browser open for review after a successful run
+ *   --daemon         Non-interactive: JSON progress events on stdout, log on stderr, no login wait
+ *   --result         Result record with the output paths (default with --daemon: <output>/result.json)
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { generateEmbossPrompt, embossDefaults } from './lib/prompts.js';
+import { resolveDesignImage } from './lib/design-source.js';
+import { getProvider } from './lib/providers/index.js';
+import { getBase } from './lib/catalog.js';
+import { generateCandidates, recordCandidates, bestCandidate } from './lib/candidates.js';
+import { useSession } from './lib/sessions.js';
+import { runMain } from './lib/daemon.js';
+import { validateOptions, FIELDS } from './lib/validate.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        designId: '',
+        designImage: '',
+        thickness: embossDefaults.thickness,
+        elements: embossDefaults.elements,
+        exclude: '',
+        provider: 'gemini-browser',
+        color: '',
+        category: '',
+        designer: '',
+        sourceInspirationId: '',
+        sourceDesignId: '',
+        runId: '',
+        upload: true,
+        review: false,
+        quality: true,
+        retries: 0,
+        keepFailed: false,
+        output: path.join(__dirname, 'output'),
+        headless: process.env.HEADLESS === 'true',
+        keepOpen: false,
+        session: null,
+        daemon: false,
+        result: ''
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--designId':
+                options.designId = args[++i];
+                break;
+            case '--designImage':
+                options.designImage = args[++i];
+                break;
+            case '--thickness':
+                options.thickness = args[++i];
+                break;
+            case '--elements':
+                options.elements = args[++i];
+                break;
+            case '--exclude':
+                options.exclude = args[++i];
+                break;
+            case '--provider':
+                options.provider = args[++i];
+                break;
+            case '--color':
+                options.color = args[++i];
+                break;
+            case '--category':
+                options.category = args[++i];
+                break;
+            case '--designer':
+                options.designer = args[++i];
+                break;
+            case '--sourceInspirationId':
+                options.sourceInspirationId = args[++i];
+                break;
+            case '--sourceDesignId':
+                options.sourceDesignId = args[++i];
+                break;
+            case '--runId':
+                options.runId = args[++i];
+                break;
+            case '--review':
+                options.review = true;
+                break;
+            case '--retries':
+                options.retries = args[++i];
+                break;
+            case '--keep-failed':
+                options.keepFailed = true;
+                break;
+            case '--no-quality':
+                options.quality = false;
+                break;
+            case '--no-upload':
+                options.upload = false;
+                break;
+            case '--output':
+                options.output = args[++i];
+                break;
+            case '--session':
+                options.session = args[++i];
+                break;
+            case '--headless':
+                options.headless = args[++i] === 'true';
+                break;
+            case '--keep-open':
+                options.keepOpen = true;
+                break;
+            case '--daemon':
+                options.daemon = true;
+                break;
+            case '--result':
+                options.result = args[++i];
+                break;
+        }
+    }
+
+    return options;
+}
+
+// Main automation function
+export async function runStep3Automation(options) {
+    console.log('\n🎨 Step 3: Embossment Tuning Automation');
+    console.log('━'.repeat(50));
+
+    validateOptions(options, {
+        designId: FIELDS.designId, thickness: FIELDS.thickness, elements: FIELDS.elements, exclude: FIELDS.exclude,
+        provider: FIELDS.provider, color: FIELDS.color, category: FIELDS.category, designer: FIELDS.designer,
+        sourceInspirationId: FIELDS.inspirationId, sourceDesignId: FIELDS.designId, runId: FIELDS.runId,
+        retries: FIELDS.retries, session: FIELDS.session
+    });
+
+    // Browser session (account) for this run
+    if (options.session) useSession(options.session);
+
+    const provider = getProvider(options.provider);
+
+    // Ensure output directory exists
+    if (!fs.existsSync(options.output)) {
+        fs.mkdirSync(options.output, { recursive: true });
+    }
+
+    // Validate inputs
+    if (!options.designId && !options.designImage) {
+        console.log('Usage:');
+        console.log('  node step3-emboss.js --designId "uuid-from-library"');
+        console.log('  node step3-emboss.js --designImage "./translated-notebook.png"');
+        throw new Error('Error: --designId or --designImage is required');
+    }
+
+    let imagePath;
+    let sourceDesign;
+    try {
+        ({ imagePath, design: sourceDesign } = await resolveDesignImage(options));
+    } catch (error) {
+        throw new Error(`Error loading design: ${error.message}`);
+    }
+
+    // The result inherits category, designer, colour and source inspiration from a library
+    // design, which becomes its lineage parent
+    if (sourceDesign) {
+        options.category = options.category || sourceDesign.category;
+        options.designer = options.designer || sourceDesign.designer;
+        options.sourceInspirationId = options.sourceInspirationId || sourceDesign.source_inspiration_id;
+        options.sourceDesignId = options.sourceDesignId || sourceDesign.id;
+        if (!options.color && (sourceDesign.base_notebooks || []).length === 1) {
+            options.color = sourceDesign.base_notebooks[0];
+        }
+    }
+
+    // The plain base template is what the quality check compares the result with
+    let base = null;
+    if (options.color) {
+        base = getBase(options.color);
+    }
+
+    console.log(`📷 Notebook Image: ${imagePath}`);
+    console.log(`📏 Thickness: ${options.thickness}`);
+    console.log(`✨ Elements: ${options.elements}`);
+    if (options.exclude) {
+        console.log(`🚫 Exclude: ${options.exclude}`);
+    }
+    console.log(`🔌 Provider: ${provider.name}`);
+    console.log(`📁 Output: ${options.output}`);
+    console.log('━'.repeat(50));
+
+    const prompt = generateEmbossPrompt(options.thickness, options.elements, options.exclude);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const outputPath = path.join(options.output, `emboss_${timestamp}.png`);
+
+    const candidates = await generateCandidates(provider, {
+        prompt: prompt.text,
+        images: [{ path: imagePath, role: 'base', label: 'Notebook' }],
+        outputPath,
+        headless: options.headless,
+        keepOpen: options.keepOpen,
+        browser: options.browser,
+        quality: options.quality === false || !base ? null : {
+            base: base.imagePath,
+            coverArea: base.coverArea,
+            retries: options.retries || 0
+        }
+    });
+
+    // Upload to the Design Library (or hold for review) and record which provider and
+    // prompt template version produced the image
+    await recordCandidates(candidates, {
+        step: 'step3',
+        provider: provider.name,
+        prompt,
+        inputs: {
+            designId: options.designId || null,
+            designImage: imagePath,
+            thickness: options.thickness,
+            elements: options.elements,
+            exclude: options.exclude,
+            color: options.color || null,
+            base: base ? base.imagePath : null
+        },
+        library: {
+            category: options.category,
+            designer: options.designer,
+            color: options.color || null,
+            inspirationId: options.sourceInspirationId || null,
+            sourceDesignId: options.sourceDesignId || null,
+            runId: options.runId || `step3_${timestamp}`
+        },
+        upload: options.upload,
+        review: options.review,
+        outputPath,
+        count: 1,
+        autoReject: !options.keepFailed
+    });
+
+    // Fail when the only candidate was auto-rejected
+    return bestCandidate(candidates, { autoReject: !options.keepFailed });
+}
+
+// Run the automation when invoked directly (the pipeline imports runStep3Automation)
+if (path.resolve(process.argv[1]) === __filename) {
+    const options = parseArgs();
+    runMain('step3', () => runStep3Automation(options), options, { requireOutput: true });
+}
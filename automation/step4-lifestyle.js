@@ -0,0 +1,392 @@
+/**
+ * Step 4 Automation: Lifestyle Scenes
+ *
+ * This script places finished (embossed) notebook designs into the product's lifestyle
+ * scene templates (catalog/products.json): an open book, hands holding notebooks, a
+ * collection shot of several colourways side by side, and so on. By default it drives
+ * Gemini in a browser; --provider switches backend.
+ *
+ * Each scene has one or more notebook positions. The designs fill them in order, so pass
+ * one design per colourway for a collection shot; with fewer designs than positions the
+ * designs are repeated.
+ *
+ * Usage:
+ *   # Every scene, with the newest finished design of each colour made from an inspiration:
+ *   node step4-lifestyle.js --inspirationId "abc123-uuid"
+ *
+ *   # Collection shot of three colourways from the Design Library:
+ *   node step4-lifestyle.js --scene collection --designId "id1,id2,id3" --description "cute bunny holding a strawberry"
+ *
+ *   # With local images:
+ *   node step4-lifestyle.js --scene hand-holding --designImage "./output/emboss_pink.png,./output/emboss_blue.png" --colors pink,blue --description "cute bunny"
+ *
+ * Results are uploaded to the Design Library (category and designer from the source
+ * designs, base notebooks from their colours) unless --no-upload is given.
+ *
+ * Options:
+ *   --scene          Comma-separated scene IDs (default: every scene of the product)
+ *   --product        Product whose scenes to use (default: the product of the first design's colour)
+ *   --inspirationId  Use the newest design of every colour made from this inspiration (Step 3 results first)
+ *   --designId       Comma-separated Design Library IDs, one per colourway
+ *   --designImage    Comma-separated local image paths, one per colourway
+ *   --colors         Comma-separated base colour of each local image (library designs use their own)
+ *   --description    Description of the design (default: the inspiration's description)
+ *   --provider       Image provider: gemini-browser, chatgpt-browser, openai-images, gemini-api, mock
+ *                    (default: gemini-browser)
+ *   --category       Design Library category (default: from the source designs)
+ *   --designer       Design Library designer (default: from the source designs)
+ *   --sourceInspirationId  Inspiration ID stored with the uploaded scenes (set automatically from library designs)
+ *   --runId          Run ID stored with the uploaded scenes (default: step4_<timestamp>)
+ *   --variants       Number of candidates per scene (default: 1); more than one implies --review
+ *   --review         Hold results for review in the web UI instead of uploading them
+ *   --no-upload      Don't upload the results to the Design Library
+ *   --output         Output folder for downloaded images (default: ./output)
+ *   --headless       Run in headless mode (default: false for first run to login)
+ *   --session        Browser session (account) to use, see login.js (default: BROWSER_SESSION or default)
+ *   --keep-open      Leave the browser open for review after a successful run
+ *   --daemon         Non-interactive: JSON progress events on stdout, log on stderr, no login wait
+ *   --result         Result record with the output paths (default with --daemon: <output>/result.json)
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { generateLifestylePrompt } from './lib/prompts.js';
+import { loadCatalog, getBase, getProduct } from './lib/catalog.js';
+import { resolveDesignImage } from './lib/design-source.js';
+import { getStorage, fetchInspiration } from './lib/storage/index.js';
+import { getProvider } from './lib/providers/index.js';
+import { launchBrowser } from './lib/browser.js';
+import { generateCandidates, recordCandidates } from './lib/candidates.js';
+import { useSession } from './lib/sessions.js';
+import { runMain } from './lib/daemon.js';
+import { validateOptions, FIELDS } from './lib/validate.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        scenes: [],
+        product: '',
+        inspirationId: '',
+        designIds: [],
+        designImages: [],
+        colors: [],
+        description: '',
+        provider: 'gemini-browser',
+        category: '',
+        designer: '',
+        sourceInspirationId: '',
+        runId: '',
+        upload: true,
+        variants: 1,
+        review: false,
+        output: path.join(__dirname, 'output'),
+        headless: process.env.HEADLESS === 'true',
+        keepOpen: false,
+        session: null,
+        daemon: false,
+        result: ''
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--scene':
+                options.scenes = splitList(args[++i]);
+                break;
+            case '--product':
+                options.product = args[++i];
+                break;
+            case '--inspirationId':
+                options.inspirationId = args[++i];
+                break;
+            case '--designId':
+                options.designIds = splitList(args[++i]);
+                break;
+            case '--designImage':
+                options.designImages = splitList(args[++i]);
+                break;
+            case '--colors':
+                options.colors = splitList(args[++i]);
+                break;
+            case '--description':
+                options.description = args[++i];
+                break;
+            case '--provider':
+                options.provider = args[++i];
+                break;
+            case '--category':
+                options.category = args[++i];
+                break;
+            case '--designer':
+                options.designer = args[++i];
+                break;
+            case '--sourceInspirationId':
+                options.sourceInspirationId = args[++i];
+                break;
+            case '--runId':
+                options.runId = args[++i];
+                break;
+            case '--no-upload':
+                options.upload = false;
+                break;
+            case '--variants':
+                options.variants = args[++i];
+                break;
+            case '--review':
+                options.review = true;
+                break;
+            case '--output':
+                options.output = args[++i];
+                break;
+            case '--session':
+                options.session = args[++i];
+                break;
+            case '--headless':
+                options.headless = args[++i] === 'true';
+                break;
+            case '--keep-open':
+                options.keepOpen = true;
+                break;
+            case '--daemon':
+                options.daemon = true;
+                break;
+            case '--result':
+                options.result = args[++i];
+                break;
+        }
+    }
+
+    return options;
+}
+
+function splitList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Newest design of every colour made from an inspiration, Step 3 (embossed) results first,
+// in catalogue order
+async function inspirationDesignIds(inspirationId) {
+    const designs = (await getStorage().list('designs'))
+        .filter(design => design.source_inspiration_id === inspirationId && design.source_step !== 'step4');
+
+    // The list is newest first; a Step 3 result replaces a newer design of another step
+    const perColour = new Map();
+    for (const design of designs) {
+        const color = (design.base_notebooks || [])[0];
+        const current = perColour.get(color);
+        if (!current || (design.source_step === 'step3' && current.source_step !== 'step3')) {
+            perColour.set(color, design);
+        }
+    }
+
+    const baseOrder = loadCatalog().bases.map(base => base.id);
+    const rank = (color) => (baseOrder.includes(color) ? baseOrder.indexOf(color) : baseOrder.length);
+    return [...perColour.entries()]
+        .sort(([a], [b]) => rank(a) - rank(b))
+        .map(([, design]) => design.id);
+}
+
+// Download/resolve every notebook image: [{ path, color, design }]
+async function resolveNotebooks(options) {
+    if (options.designIds.length > 0) {
+        const notebooks = [];
+        for (const designId of options.designIds) {
+            const { imagePath, design } = await resolveDesignImage({ designId, output: options.output });
+            notebooks.push({ path: imagePath, color: (design.base_notebooks || [])[0] || null, design });
+        }
+        return notebooks;
+    }
+
+    return options.designImages.map((designImage, i) => {
+        if (!fs.existsSync(designImage)) {
+            throw new Error(`Design image not found: ${designImage}`);
+        }
+        return { path: designImage, color: options.colors[i] || null, design: null };
+    });
+}
+
+// Main automation function
+export async function runStep4Automation(options) {
+    console.log('\n🏞️  Step 4: Lifestyle Scenes Automation');
+    console.log('━'.repeat(50));
+
+    validateOptions(options, {
+        scenes: { ...FIELDS.scenes, label: '--scene' }, product: { type: 'slug' }, inspirationId: FIELDS.inspirationId,
+        designIds: { ...FIELDS.designIds, label: '--designId' }, colors: FIELDS.colors, description: FIELDS.description,
+        provider: FIELDS.provider, category: FIELDS.category, designer: FIELDS.designer,
+        sourceInspirationId: FIELDS.inspirationId, runId: FIELDS.runId, variants: FIELDS.variants, session: FIELDS.session
+    });
+
+    // Browser session (account) for this run
+    if (options.session) useSession(options.session);
+
+    const provider = getProvider(options.provider);
+
+    // Ensure output directory exists
+    if (!fs.existsSync(options.output)) {
+        fs.mkdirSync(options.output, { recursive: true });
+    }
+
+    // Validate inputs
+    if (!options.inspirationId && options.designIds.length === 0 && options.designImages.length === 0) {
+        console.log('Usage:');
+        console.log('  node step4-lifestyle.js --inspirationId "uuid-from-library"');
+        console.log('  node step4-lifestyle.js --scene collection --designId "id1,id2,id3" --description "your design"');
+        throw new Error('Error: --inspirationId, --designId or --designImage is required');
+    }
+
+    if (options.inspirationId && options.designIds.length === 0 && options.designImages.length === 0) {
+        options.designIds = await inspirationDesignIds(options.inspirationId);
+        if (options.designIds.length === 0) {
+            throw new Error(`Error: No designs made from inspiration ${options.inspirationId}`);
+        }
+    }
+
+    let notebooks;
+    try {
+        notebooks = await resolveNotebooks(options);
+    } catch (error) {
+        throw new Error(`Error loading design: ${error.message}`);
+    }
+
+    // Scenes inherit category, designer and source inspiration from library designs
+    const sourceDesign = notebooks.find(notebook => notebook.design)?.design;
+    if (sourceDesign) {
+        options.category = options.category || sourceDesign.category;
+        options.designer = options.designer || sourceDesign.designer;
+        options.sourceInspirationId = options.sourceInspirationId || sourceDesign.source_inspiration_id;
+    }
+    options.sourceInspirationId = options.sourceInspirationId || options.inspirationId;
+
+    if (!options.description && options.sourceInspirationId) {
+        try {
+            options.description = (await fetchInspiration(options.sourceInspirationId)).description;
+        } catch (error) {
+            console.warn(`⚠️  Could not load inspiration ${options.sourceInspirationId}: ${error.message}`);
+        }
+    }
+    if (!options.description) {
+        throw new Error('Error: --description is required (describe the design on the notebooks)');
+    }
+
+    // Scene templates come from the product catalogue
+    let scenes;
+    try {
+        const firstColor = notebooks.find(notebook => notebook.color)?.color;
+        const product = getProduct(options.product || (firstColor ? getBase(firstColor).product : loadCatalog().products[0].id));
+        const unknown = options.scenes.filter(id => !product.lifestyle.some(scene => scene.id === id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown scenes: ${unknown.join(', ')}. Available scenes: ${product.lifestyle.map(s => s.id).join(', ')}`);
+        }
+        scenes = options.scenes.length > 0
+            ? options.scenes.map(id => product.lifestyle.find(scene => scene.id === id))
+            : product.lifestyle;
+    } catch (error) {
+        throw new Error(`Error: ${error.message}`);
+    }
+    if (scenes.length === 0) {
+        throw new Error('Error: The product has no lifestyle scenes (add them to catalog/products.json)');
+    }
+
+    console.log(`🖼️  Design: ${options.description}`);
+    console.log(`📓 Notebooks: ${notebooks.map(notebook => notebook.color || path.basename(notebook.path)).join(', ')}`);
+    console.log(`🏞️  Scenes: ${scenes.map(scene => scene.id).join(', ')}`);
+    console.log(`🔌 Provider: ${provider.name}`);
+    console.log(`📁 Output: ${options.output}`);
+    console.log('━'.repeat(50));
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const count = options.variants || 1;
+    const results = [];
+
+    // Browser providers share one browser for every scene
+    let browser = options.browser;
+    const ownsBrowser = provider.usesBrowser && !browser && scenes.length > 1;
+    if (ownsBrowser) {
+        browser = await launchBrowser({ headless: options.headless });
+    }
+
+    try {
+        for (const scene of scenes) {
+            if (!fs.existsSync(scene.imagePath)) {
+                console.error(`\n❌ ${scene.name}: scene template not found: ${scene.imagePath}`);
+                continue;
+            }
+
+            // Fill the scene's positions in order, repeating designs when there are fewer
+            const placed = scene.positions.map((position, i) => ({ ...notebooks[i % notebooks.length], position }));
+            if (notebooks.length > scene.positions.length) {
+                console.log(`\n⚠️  ${scene.name} has ${scene.positions.length} notebook position(s); using the first ${scene.positions.length} design(s)`);
+            }
+            const colors = [...new Set(placed.map(notebook => notebook.color).filter(Boolean))];
+
+            console.log(`\n🏞️  ${scene.name}: ${placed.map(notebook => `${notebook.color || 'notebook'} → ${notebook.position}`).join(', ')}`);
+
+            const prompt = generateLifestylePrompt(scene, placed, options.description);
+            const outputPath = path.join(options.output, `lifestyle_${scene.id}_${timestamp}.png`);
+
+            const candidates = await generateCandidates(provider, {
+                prompt: prompt.text,
+                images: [
+                    { path: scene.imagePath, role: 'base', label: 'Image 1 (Scene)' },
+                    ...placed.map((notebook, i) => ({ path: notebook.path, role: 'design', label: `Image ${i + 2} (${notebook.color || 'Notebook'})` }))
+                ],
+                outputPath,
+                count,
+                headless: options.headless,
+                keepOpen: options.keepOpen && !ownsBrowser,
+                browser
+            });
+
+            // Upload to the Design Library (or hold for review) and record which provider and
+            // prompt template version produced each candidate
+            await recordCandidates(candidates, {
+                step: 'step4',
+                provider: provider.name,
+                prompt,
+                inputs: {
+                    scene: scene.id,
+                    description: options.description,
+                    designIds: placed.map(notebook => notebook.design?.id || null),
+                    designImages: placed.map(notebook => notebook.path),
+                    colors: placed.map(notebook => notebook.color),
+                    inspirationId: options.sourceInspirationId || null,
+                    base: scene.imagePath
+                },
+                library: {
+                    category: options.category,
+                    designer: options.designer,
+                    color: colors,
+                    inspirationId: options.sourceInspirationId || null,
+                    runId: options.runId || `step4_${timestamp}`
+                },
+                upload: options.upload,
+                review: options.review || count > 1,
+                outputPath,
+                count
+            });
+
+            results.push(...candidates.map(candidate => candidate.path));
+        }
+    } finally {
+        if (ownsBrowser && !options.keepOpen) {
+            await browser.close();
+        }
+    }
+
+    if (results.length === 0) {
+        throw new Error('No lifestyle scenes were generated');
+    }
+
+    return results;
+}
+
+// Run the automation when invoked directly
+if (path.resolve(process.argv[1]) === __filename) {
+    const options = parseArgs();
+    runMain('step4', () => runStep4Automation(options), options, { requireOutput: true });
+}
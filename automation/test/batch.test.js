@@ -0,0 +1,72 @@
+/**
+ * Batch exit codes: a batch with failed rows fails, so the job queue and callers see it
+ * (see batch.js).
+ *
+ * Runs a batch with the mock provider: one row with a design, which passes, and one
+ * with an empty design, which the quality check always fails.
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { EXIT_CODES } from '../lib/daemon.js';
+
+const AUTOMATION_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+let tempDir;
+
+// Run a batch with the mock provider in daemon mode; resolves to { exitCode, result }
+function runBatch(batchFile, output) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [
+            'batch.js', '--batch', batchFile, '--colors', 'blue',
+            '--provider', 'mock', '--no-upload', '--output', output, '--daemon'
+        ], {
+            cwd: AUTOMATION_DIR,
+            env: { ...process.env, STORAGE_BACKEND: 'local', LOCAL_LIBRARY_DIR: path.join(tempDir, 'library') },
+            timeout: 180000
+        }, (error) => {
+            const resultPath = path.join(output, 'result.json');
+            resolve({
+                exitCode: error ? error.code : 0,
+                result: fs.existsSync(resultPath) ? JSON.parse(fs.readFileSync(resultPath, 'utf8')) : null
+            });
+        });
+    });
+}
+
+before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-test-'));
+    await sharp({ create: { width: 64, height: 64, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+        .png().toFile(path.join(tempDir, 'empty.png'));
+    await sharp({ create: { width: 64, height: 64, channels: 4, background: { r: 200, g: 40, b: 90, alpha: 1 } } })
+        .png().toFile(path.join(tempDir, 'design.png'));
+    fs.writeFileSync(path.join(tempDir, 'mockups.csv'), 'design,designImage\na pink square,design.png\nnothing,empty.png\n');
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('a batch with a failed row exits with FAILED', async () => {
+    const output = path.join(tempDir, 'batches');
+    const { exitCode, result } = await runBatch(path.join(tempDir, 'mockups.csv'), output);
+
+    assert.equal(exitCode, EXIT_CODES.FAILED);
+    assert.equal(result.failure, 'FAILED');
+    assert.match(result.error, /1 of 2 mockups failed/);
+
+    // The batch still ran every row and can be resumed
+    const [batchName] = fs.readdirSync(output).filter(name => name.startsWith('batch_'));
+    const state = JSON.parse(fs.readFileSync(path.join(output, batchName, 'batch.json'), 'utf8'));
+    assert.equal(state.status, 'completed_with_errors');
+    assert.deepEqual(state.tasks.map(task => task.status), ['succeeded', 'failed']);
+});
@@ -0,0 +1,97 @@
+/**
+ * Quality failures: a step whose candidates were all auto-rejected fails with
+ * QUALITY_FAILED instead of handing a rejected image on (see lib/candidates.js).
+ *
+ * Runs Step 1 with the mock provider and an empty design, which the quality check
+ * always fails ("No design found on the cover").
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { bestCandidate } from '../lib/candidates.js';
+import { EXIT_CODES } from '../lib/daemon.js';
+import { readOutputRecord } from '../lib/output.js';
+
+const AUTOMATION_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const PASSED = { score: 90, passed: true, flags: [] };
+const FAILED = { score: 40, passed: false, flags: [{ id: 'no-design' }] };
+
+let tempDir;
+let designPath;
+
+// Run Step 1 with the mock provider in daemon mode; resolves to { exitCode, result }
+function runStep1(output, ...args) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [
+            'step1-chatgpt.js', '--color', 'blue', '--design', 'nothing', '--designImage', designPath,
+            '--provider', 'mock', '--no-upload', '--output', output, '--daemon', ...args
+        ], {
+            cwd: AUTOMATION_DIR,
+            env: { ...process.env, STORAGE_BACKEND: 'local', LOCAL_LIBRARY_DIR: path.join(tempDir, 'library') },
+            timeout: 120000
+        }, (error) => {
+            const resultPath = path.join(output, 'result.json');
+            resolve({
+                exitCode: error ? error.code : 0,
+                result: fs.existsSync(resultPath) ? JSON.parse(fs.readFileSync(resultPath, 'utf8')) : null
+            });
+        });
+    });
+}
+
+before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'candidates-test-'));
+    designPath = path.join(tempDir, 'empty.png');
+    await sharp({ create: { width: 64, height: 64, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } }).png().toFile(designPath);
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('prefers the first candidate that passed', () => {
+    assert.equal(bestCandidate([{ path: 'a.png', quality: FAILED }, { path: 'b.png', quality: PASSED }]), 'b.png');
+    assert.equal(bestCandidate([{ path: 'a.png' }]), 'a.png');
+    assert.equal(bestCandidate([]), null);
+    assert.equal(bestCandidate([{ path: 'a.png', quality: FAILED }], { autoReject: false }), 'a.png');
+});
+
+test('fails when every candidate was auto-rejected', () => {
+    assert.throws(() => bestCandidate([{ path: 'a.png', quality: FAILED }]), (error) => {
+        assert.equal(error.failure, 'QUALITY_FAILED');
+        assert.deepEqual(error.candidates, [{ path: 'a.png', quality: FAILED }]);
+        return true;
+    });
+});
+
+test('a step whose only candidate failed the quality check exits with QUALITY_FAILED', async () => {
+    const output = path.join(tempDir, 'rejected');
+    const { exitCode, result } = await runStep1(output);
+
+    assert.equal(exitCode, EXIT_CODES.QUALITY_FAILED);
+    assert.equal(result.failure, 'QUALITY_FAILED');
+    assert.equal(result.value, null);
+
+    // The rejected image stays on disk, marked as such
+    assert.equal(result.outputs.length, 1);
+    assert.equal(readOutputRecord(result.outputs[0]).review.status, 'rejected');
+});
+
+test('--keep-failed hands on a candidate that failed the quality check', async () => {
+    const output = path.join(tempDir, 'kept');
+    const { exitCode, result } = await runStep1(output, '--keep-failed');
+
+    assert.equal(exitCode, EXIT_CODES.OK);
+    assert.equal(result.value, result.outputs[0]);
+    assert.equal(readOutputRecord(result.value).quality.passed, false);
+});
@@ -0,0 +1,154 @@
+/**
+ * downloadImage() against a local HTTP stub: limits, redirects, content checks and
+ * format conversion (see lib/download.js).
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { downloadImage } from '../lib/download.js';
+import { detectImageFormat } from '../lib/mime.js';
+
+let server;
+let baseUrl;
+let tempDir;
+let png;
+let webp;
+
+// Stub routes: path → (req, res) handler
+const routes = {
+    '/image.png': (req, res) => send(res, 'image/png', png),
+    '/image.webp': (req, res) => send(res, 'image/webp', webp),
+    '/untyped': (req, res) => send(res, 'application/octet-stream', png),
+    '/page.html': (req, res) => send(res, 'text/html', Buffer.from('<html></html>')),
+    '/fake.png': (req, res) => send(res, 'image/png', Buffer.from('not really a png')),
+    '/missing.png': (req, res) => send(res, 'text/plain', Buffer.from('Not found'), 404),
+    '/redirect-relative': (req, res) => redirect(res, 302, '/redirect-absolute'),
+    '/redirect-absolute': (req, res) => redirect(res, 301, `${baseUrl}/image.png`),
+    '/redirect-loop': (req, res) => redirect(res, 307, '/redirect-loop'),
+    '/redirect-file': (req, res) => redirect(res, 302, 'file:///etc/passwd'),
+    '/redirect-nowhere': (req, res) => {
+        res.writeHead(302);
+        res.end();
+    },
+    '/large-declared': (req, res) => send(res, 'image/png', Buffer.alloc(2048)),
+    '/large-chunked': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.write(png);
+        res.end(Buffer.alloc(4096));
+    },
+    '/slow': () => {}
+};
+
+function send(res, contentType, body, status = 200) {
+    res.writeHead(status, { 'Content-Type': contentType, 'Content-Length': body.length });
+    res.end(body);
+}
+
+function redirect(res, status, location) {
+    res.writeHead(status, { Location: location });
+    res.end();
+}
+
+before(async () => {
+    png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#3366cc' } }).png().toBuffer();
+    webp = await sharp(png).webp().toBuffer();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-test-'));
+
+    server = http.createServer((req, res) => (routes[req.url] || routes['/missing.png'])(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Download to a fresh temp file; resolves to its path
+let fileCount = 0;
+const download = (route, extension = '.png', limits = {}) =>
+    downloadImage(`${baseUrl}${route}`, path.join(tempDir, `file_${++fileCount}${extension}`), limits);
+
+// Assert a download fails with a DOWNLOAD_FAILED error of the given code
+async function assertFails(promise, code) {
+    await assert.rejects(promise, (error) => {
+        assert.equal(error.failure, 'DOWNLOAD_FAILED');
+        assert.equal(error.code, code);
+        return true;
+    });
+}
+
+test('saves a PNG as it is', async () => {
+    const saved = await download('/image.png');
+    assert.deepEqual(fs.readFileSync(saved), png);
+});
+
+test('converts other formats to the output extension', async () => {
+    const saved = await download('/image.webp', '.png');
+    assert.equal(detectImageFormat(fs.readFileSync(saved)).format, 'png');
+
+    const jpeg = await download('/image.png', '.jpg');
+    assert.equal(detectImageFormat(fs.readFileSync(jpeg)).format, 'jpeg');
+});
+
+test('detects the format from the content, not the content type', async () => {
+    const saved = await download('/untyped');
+    assert.deepEqual(fs.readFileSync(saved), png);
+
+    await assertFails(download('/fake.png'), 'DOWNLOAD_NOT_AN_IMAGE');
+});
+
+test('rejects responses that are not images', async () => {
+    await assertFails(download('/page.html'), 'DOWNLOAD_NOT_AN_IMAGE');
+});
+
+test('rejects error statuses', async () => {
+    await assertFails(download('/missing.png'), 'DOWNLOAD_HTTP_STATUS');
+    await assertFails(download('/redirect-nowhere'), 'DOWNLOAD_HTTP_STATUS');
+});
+
+test('follows relative and absolute redirects up to the limit', async () => {
+    const saved = await download('/redirect-relative');
+    assert.deepEqual(fs.readFileSync(saved), png);
+
+    await assertFails(download('/redirect-relative', '.png', { maxRedirects: 1 }), 'DOWNLOAD_TOO_MANY_REDIRECTS');
+    await assertFails(download('/redirect-loop', '.png', { maxRedirects: 3 }), 'DOWNLOAD_TOO_MANY_REDIRECTS');
+});
+
+test('only fetches http and https URLs', async () => {
+    await assertFails(downloadImage('file:///etc/passwd', path.join(tempDir, 'passwd.png')), 'DOWNLOAD_BAD_URL');
+    await assertFails(download('/redirect-file'), 'DOWNLOAD_BAD_URL');
+});
+
+test('stops at the size limit, declared or not', async () => {
+    await assertFails(download('/large-declared', '.png', { maxBytes: 1024 }), 'DOWNLOAD_TOO_LARGE');
+    await assertFails(download('/large-chunked', '.png', { maxBytes: 1024 }), 'DOWNLOAD_TOO_LARGE');
+});
+
+test('gives up on servers that do not answer', async () => {
+    await assertFails(download('/slow', '.png', { timeout: 200 }), 'DOWNLOAD_TIMEOUT');
+});
+
+test('reports connection failures', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    await assertFails(downloadImage(`http://127.0.0.1:${port}/image.png`, path.join(tempDir, 'refused.png')), 'DOWNLOAD_NETWORK');
+});
+
+test('leaves no file behind when a download fails', async () => {
+    const outputPath = path.join(tempDir, 'failed.png');
+    await assert.rejects(downloadImage(`${baseUrl}/page.html`, outputPath));
+    assert.equal(fs.existsSync(outputPath), false);
+});
@@ -0,0 +1,38 @@
+/**
+ * Job queue settings (see lib/jobs.js).
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJobQueue, parseConcurrency, DEFAULT_CONCURRENCY } from '../lib/jobs.js';
+
+test('parses JOB_CONCURRENCY', () => {
+    assert.equal(parseConcurrency(undefined), DEFAULT_CONCURRENCY);
+    assert.equal(parseConcurrency(''), DEFAULT_CONCURRENCY);
+    assert.equal(parseConcurrency(' 3 '), 3);
+});
+
+test('falls back to the default when JOB_CONCURRENCY is not a whole number', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.equal(parseConcurrency('two'), DEFAULT_CONCURRENCY);
+    assert.equal(parseConcurrency('1.5'), DEFAULT_CONCURRENCY);
+    assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test('refuses a concurrency below 1', () => {
+    assert.throws(() => parseConcurrency('0'), /at least 1/);
+    assert.throws(() => parseConcurrency('-2'), /at least 1/);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+    try {
+        assert.throws(() => createJobQueue({ dir, cwd: dir, outputRoot: dir, concurrency: NaN }), /at least 1/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
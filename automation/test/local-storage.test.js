@@ -0,0 +1,104 @@
+/**
+ * Local storage backend: writes from several processes at once (see lib/storage/local.js),
+ * which files addToLibrary() takes and what can be done with deleted rows (see lib/storage/index.js).
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+const LOCAL_MODULE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'lib', 'storage', 'local.js');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-test-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_LIBRARY_DIR = tempDir;
+
+// Imported after the environment is set: the backend reads LOCAL_LIBRARY_DIR on load
+const { default: local } = await import('../lib/storage/local.js');
+const { addToLibrary, fetchDesign, updateLibraryRow, deleteLibraryRow, restoreLibraryRow } = await import('../lib/storage/index.js');
+
+// Insert `count` audit rows from a separate process, one after another
+function insertFromProcess(name, count) {
+    const script = `
+        const { default: local } = await import(${JSON.stringify(LOCAL_MODULE)});
+        for (let i = 0; i < ${count}; i++) {
+            await local.insert('audit_log', { user_name: ${JSON.stringify(name)}, action: 'run', details: { i } });
+        }
+    `;
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, ['--input-type=module', '-e', script], {
+            env: { ...process.env, LOCAL_LIBRARY_DIR: tempDir },
+            timeout: 60000
+        }, (error) => (error ? reject(error) : resolve()));
+    });
+}
+
+before(() => {
+    fs.mkdirSync(tempDir, { recursive: true });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('keeps every row when several processes write at once', async () => {
+    await Promise.all([
+        insertFromProcess('a', 20),
+        insertFromProcess('b', 20),
+        insertFromProcess('c', 20),
+        // And this process, in parallel with itself
+        ...Array.from({ length: 20 }, (_, i) => local.insert('audit_log', { user_name: 'd', action: 'run', details: { i } }))
+    ]);
+
+    const rows = await local.list('audit_log');
+    assert.equal(rows.length, 80);
+    for (const name of ['a', 'b', 'c', 'd']) {
+        assert.equal(rows.filter(row => row.user_name === name).length, 20, `rows from ${name}`);
+    }
+    assert.deepEqual(fs.readdirSync(tempDir), ['library.json'], 'no lock or temporary file is left behind');
+});
+
+test('saves nothing when a change fails', async () => {
+    const before = fs.readFileSync(path.join(tempDir, 'library.json'), 'utf8');
+    await assert.rejects(local.update('audit_log', 'missing', { action: 'login' }), /not found/);
+    assert.equal(fs.readFileSync(path.join(tempDir, 'library.json'), 'utf8'), before);
+
+    // The lock was released
+    const row = await local.insert('audit_log', { user_name: 'e', action: 'run' });
+    assert.equal((await local.update('audit_log', row.id, { action: 'login' })).action, 'login');
+});
+
+test('only adds raster images to a library, named after their real format', async () => {
+    const jpeg = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+    const item = await addToLibrary('designs', { fileName: 'photo.html', buffer: jpeg, fields: { category: 'Floral' } });
+    assert.equal(item.file_name, 'photo.jpg');
+    assert.match(item.file_url, /_photo\.jpg$/);
+
+    await assert.rejects(
+        addToLibrary('designs', { fileName: 'evil.html', buffer: Buffer.from('<script>alert(1)</script>'), fields: { category: 'Floral' } }),
+        (error) => error.code === 'INVALID_INPUT' && /not a PNG, JPEG/.test(error.message)
+    );
+    assert.equal((await local.list('designs')).length, 1);
+});
+
+test('deleted rows can be neither used nor changed until they are restored', async () => {
+    const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#996633' } }).png().toBuffer();
+    const design = await addToLibrary('designs', { fileName: 'gone.png', buffer: png, fields: { category: 'Floral' } });
+    await deleteLibraryRow('designs', design.id, 'admin');
+
+    await assert.rejects(fetchDesign(design.id), /is deleted/);
+    await assert.rejects(updateLibraryRow('designs', design.id, { designer: 'Helen' }), /already deleted/);
+    assert.equal((await local.get('designs', design.id)).designer, undefined);
+
+    await restoreLibraryRow('designs', design.id);
+    assert.equal((await updateLibraryRow('designs', design.id, { designer: 'Helen' })).designer, 'Helen');
+    assert.equal((await fetchDesign(design.id)).designer, 'Helen');
+});
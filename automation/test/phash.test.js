@@ -0,0 +1,52 @@
+/**
+ * Duplicate groups in the libraries (see lib/phash.js): copies are grouped, the steps
+ * of one lineage are not.
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { groupDuplicates, isLineagePair } from '../lib/phash.js';
+
+// One image's hash; every row below looks the same
+const PHASH = 'f0f0f0f0f0f0f0f0336699';
+
+const ids = (groups) => groups.map(group => group.map(row => row.id).sort());
+
+test('groups rows with the same image', () => {
+    const rows = [
+        { id: 'a', phash: PHASH },
+        { id: 'b', phash: PHASH },
+        { id: 'c', phash: '0f0f0f0f0f0f0f0f336699' }
+    ];
+    assert.deepEqual(ids(groupDuplicates(rows)), [['a', 'b']]);
+});
+
+test('never groups a design with the designs made from it', () => {
+    const rows = [
+        { id: 'step1', phash: PHASH, run_id: 'run1', source_step: 'step1' },
+        { id: 'step2', phash: PHASH, run_id: 'run1', source_step: 'step2', source_design_id: 'step1' },
+        { id: 'step3', phash: PHASH, run_id: 'run1', source_step: 'step3', source_design_id: 'step2' }
+    ];
+    assert.deepEqual(groupDuplicates(rows), []);
+
+    // A copy is grouped with one of them only: merging the group must not delete a step
+    assert.deepEqual(ids(groupDuplicates([...rows, { id: 'copy', phash: PHASH }])), [['copy', 'step1']]);
+});
+
+test('knows the steps of one lineage', () => {
+    const step1 = { id: 'step1', run_id: 'run1', source_step: 'step1' };
+    const step2 = { id: 'step2', run_id: 'run1', source_step: 'step2', source_design_id: 'step1' };
+    const step3 = { id: 'step3', run_id: 'run2', source_step: 'step3', source_design_id: 'step2' };
+    const byId = new Map([step1, step2, step3].map(row => [row.id, row]));
+
+    assert.equal(isLineagePair(step2, step1), true);
+    assert.equal(isLineagePair(step1, step3, byId), true, 'made from it two steps back');
+    assert.equal(isLineagePair(step1, step3), false, 'without the step in between');
+    assert.equal(isLineagePair(step1, { id: 'x', run_id: 'run1', source_step: 'step3' }), true, 'another step of the run');
+
+    // Mockups of one batch share a run but are separate designs
+    assert.equal(isLineagePair(step1, { id: 'y', run_id: 'run1', source_step: 'step1' }), false);
+});
@@ -0,0 +1,90 @@
+/**
+ * Design placement: checking, prompt text and the guide and mask images (see lib/placement.js).
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { normalizePlacement, describePlacement, renderPlacementImages } from '../lib/placement.js';
+import { renderTemplate } from '../lib/prompts.js';
+import { validate, FIELDS } from '../lib/validate.js';
+
+const BASE = { coverArea: { left: 0.25, top: 0.1, width: 0.5, height: 0.8 } };
+const PLACEMENT = { left: 0.3, top: 0.3, width: 0.4, height: 0.2 };
+
+let tempDir;
+let basePath;
+
+before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'placement-test-'));
+    basePath = path.join(tempDir, 'base.png');
+    await sharp({ create: { width: 100, height: 200, channels: 3, background: '#3366cc' } }).png().toFile(basePath);
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('normalises a placement from JSON', () => {
+    assert.deepEqual(
+        normalizePlacement('{"left":0.33333333,"top":"0.3","width":0.4,"height":0.2}'),
+        { left: 0.3333, top: 0.3, width: 0.4, height: 0.2, rotation: 0 }
+    );
+    assert.deepEqual(
+        normalizePlacement({ ...PLACEMENT, rotation: -15, region: BASE.coverArea }).region,
+        BASE.coverArea
+    );
+});
+
+test('rejects placements outside the template or out of range', () => {
+    assert.throws(() => normalizePlacement('{left: 1}'), /must be JSON/);
+    assert.throws(() => normalizePlacement({ ...PLACEMENT, left: 0.8 }), /inside the template/);
+    assert.throws(() => normalizePlacement({ ...PLACEMENT, width: 0 }), /too small/);
+    assert.throws(() => normalizePlacement({ ...PLACEMENT, rotation: 270 }), /rotation/);
+    assert.throws(() => normalizePlacement({ ...PLACEMENT, region: { left: 0.1 } }), /placement\.region\.top/);
+});
+
+test('reports bad placements as INVALID_INPUT', () => {
+    assert.throws(() => validate({ placement: FIELDS.placement }, { placement: { top: 0.1 } }, { prefix: '--' }), (error) => {
+        assert.equal(error.code, 'INVALID_INPUT');
+        assert.equal(error.field, 'placement');
+        assert.match(error.message, /^--placement\.left must be a number/);
+        return true;
+    });
+});
+
+test('describes the placement for the prompt', () => {
+    const text = describePlacement({ ...PLACEMENT, rotation: -10 }, BASE, 'Image A');
+    assert.match(text, /centre 50% from the left and 40% from the top of Image A/);
+    assert.match(text, /40% of the image width and 20% of its height/);
+    assert.match(text, /Rotate the artwork 10° anticlockwise/);
+    assert.match(text, /\(25% to 75% across, 10% to 90% down\)/);
+    assert.match(describePlacement({ ...PLACEMENT, rotation: 0 }, BASE, 'Image A'), /Keep the artwork upright/);
+});
+
+test('keeps inverted template blocks only without the variable', () => {
+    const template = { body: '${^placement}anywhere${/placement}${#placement}at ${placement}${/placement}' };
+    assert.equal(renderTemplate(template, { placement: '' }), 'anywhere');
+    assert.equal(renderTemplate(template, { placement: 'the centre' }), 'at the centre');
+});
+
+test('renders a guide over the template and a mask that only opens the region', async () => {
+    const { guidePath, maskPath } = await renderPlacementImages(basePath, normalizePlacement(PLACEMENT), BASE, path.join(tempDir, 'guide.png'));
+    assert.equal(maskPath, path.join(tempDir, 'guide_mask.png'));
+
+    const guide = await sharp(guidePath).metadata();
+    assert.deepEqual([guide.width, guide.height], [100, 200]);
+
+    const { data, info } = await sharp(maskPath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const alpha = (x, y) => data[(y * info.width + x) * info.channels + 3];
+    assert.deepEqual([info.width, info.height], [100, 200]);
+    assert.equal(alpha(50, 100), 0, 'inside the region is transparent');
+    assert.equal(alpha(5, 100), 255, 'outside the region is opaque');
+    assert.equal(alpha(50, 5), 255, 'above the region is opaque');
+});
@@ -0,0 +1,81 @@
+/**
+ * Files the server hands out without a login (see lib/public-files.js): the web UI's
+ * files only, however the path is encoded.
+ *
+ * Runs an express app on a free local port over a temporary repo layout.
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { servePublicFiles, pathSegments } from '../lib/public-files.js';
+
+let root;
+let server;
+let baseUrl;
+
+// Create a file (and its folders) under the temporary repo
+function write(relativePath, content) {
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+}
+
+before(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'public-files-test-'));
+    write('index.html', '<html>ui</html>');
+    write('prompts/step1.md', 'prompt');
+    write('Template Images/blue.png', 'template');
+    write('automation/server.js', 'source');
+    write('automation/library/library.json', '{"audit_log":[]}');
+    write('automation/output/run/mockup.png', 'output');
+    write('prompts/.secret', 'hidden');
+
+    const app = express();
+    // Like server.js: outputs need a login, then the public files
+    app.use('/automation/output', (req, res) => res.status(401).end());
+    app.use(servePublicFiles(root, ['prompts', 'Template Images']));
+    app.use((req, res) => res.status(404).end());
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+const status = async (urlPath) => (await fetch(baseUrl + urlPath)).status;
+
+test('serves the web UI files', async () => {
+    assert.equal(await status('/'), 200);
+    assert.equal(await status('/index.html'), 200);
+    assert.equal(await status('/prompts/step1.md'), 200);
+    assert.equal(await status('/Template%20Images/blue.png'), 200);
+});
+
+test('never serves automation/, however the slash is encoded', async () => {
+    for (const slash of ['/', '%2f', '%2F', '%5c', '%5C']) {
+        assert.equal(await status(`/automation${slash}server.js`), 404, `server.js with ${slash}`);
+        assert.equal(await status(`/automation${slash}library${slash}library.json`), 404, `library.json with ${slash}`);
+    }
+    assert.equal(await status('/automation/output/run/mockup.png'), 401);
+    assert.equal(await status('/automation%2foutput/run/mockup.png'), 404);
+    assert.equal(await status('/automation%2Foutput%2Frun%2Fmockup.png'), 404);
+});
+
+test('keeps to the public folders', async () => {
+    assert.equal(await status('/prompts/%2e%2e/automation/server.js'), 404);
+    assert.equal(await status('/prompts%2f..%2fautomation%2fserver.js'), 404);
+    assert.equal(await status('/prompts/.secret'), 404);
+    assert.equal(pathSegments('/%E0%A4%A'), null);
+    assert.deepEqual(pathSegments('/a%2Fb'), ['a', 'b']);
+});
@@ -0,0 +1,106 @@
+/**
+ * Candidate review: approving, rejecting and regenerating candidates held for review
+ * (see lib/review.js).
+ *
+ * Runs against a local library in a temporary folder.
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-test-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_LIBRARY_DIR = path.join(tempDir, 'library');
+
+// Imported after the environment is set: the local backend reads LOCAL_LIBRARY_DIR on load
+const { getCandidate, approveCandidate, rejectCandidate, regenerateArgs } = await import('../lib/review.js');
+const { writeOutputRecord, readOutputRecord } = await import('../lib/output.js');
+const { getStorage } = await import('../lib/storage/index.js');
+
+const outputRoot = path.join(tempDir, 'output');
+
+// Write a pending candidate image with its output record
+async function writeCandidate(name, library = {}) {
+    const filePath = path.join(outputRoot, 'step1', name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    await sharp({ create: { width: 32, height: 32, channels: 3, background: '#3366cc' } }).png().toFile(filePath);
+    writeOutputRecord(filePath, {
+        step: 'step1',
+        provider: 'mock',
+        prompt: { id: 'step1-mockup', version: 3 },
+        inputs: { color: 'blue' },
+        library: { color: 'blue', ...library },
+        review: { status: 'pending', reviewedAt: null, note: null }
+    });
+    return getCandidate(outputRoot, path.join('step1', name));
+}
+
+before(() => {
+    fs.mkdirSync(outputRoot, { recursive: true });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('approving uploads the candidate once and records the decision', async () => {
+    const candidate = await writeCandidate('approve.png', { category: 'florals', designer: 'ana' });
+
+    const record = await approveCandidate(candidate, {}, 'reviewer');
+    assert.equal(record.review.status, 'approved');
+    assert.equal(record.review.reviewedBy, 'reviewer');
+    assert.ok(record.designId);
+    assert.deepEqual(readOutputRecord(candidate.filePath), record);
+
+    const designs = await getStorage().list('designs');
+    assert.equal(designs.length, 1);
+    assert.equal(designs[0].id, record.designId);
+    assert.equal(designs[0].created_by, 'reviewer');
+    assert.deepEqual(designs[0].base_notebooks, ['blue']);
+
+    // Approving again doesn't upload a second copy
+    await approveCandidate(getCandidate(outputRoot, candidate.id), {}, 'reviewer');
+    assert.equal((await getStorage().list('designs')).length, 1);
+});
+
+test('approving needs a category and designer', async () => {
+    const candidate = await writeCandidate('incomplete.png');
+    await assert.rejects(approveCandidate(candidate, {}, 'reviewer'), /Category and designer are required/);
+    assert.equal(readOutputRecord(candidate.filePath).review.status, 'pending');
+});
+
+test('rejecting keeps the candidate out of the library', async () => {
+    const candidate = await writeCandidate('reject.png', { category: 'florals', designer: 'ana' });
+    const before = (await getStorage().list('designs')).length;
+
+    const record = rejectCandidate(candidate, 'Too dark', 'reviewer');
+    assert.equal(record.review.status, 'rejected');
+    assert.equal(record.review.note, 'Too dark');
+    assert.equal(readOutputRecord(candidate.filePath).review.status, 'rejected');
+    assert.equal((await getStorage().list('designs')).length, before);
+});
+
+test('regenerating keeps the placement of Step 1 and Step 2 candidates', () => {
+    const placement = { left: 0.3, top: 0.3, width: 0.4, height: 0.4, rotation: 0 };
+    const library = { category: 'Floral' };
+
+    const step1 = regenerateArgs({ step: 'step1', provider: 'mock', inputs: { color: 'blue', design: 'cat', placement }, library });
+    assert.deepEqual(JSON.parse(step1[step1.indexOf('--placement') + 1]), placement);
+
+    const step2 = regenerateArgs({
+        step: 'step2', provider: 'mock', library,
+        inputs: { color: 'pink', designImage: '/tmp/a.png', description: 'cat', placement }
+    });
+    assert.deepEqual(JSON.parse(step2[step2.indexOf('--placement') + 1]), placement);
+
+    // Left to the model when the candidate had none
+    assert.equal(regenerateArgs({ step: 'step1', provider: 'mock', inputs: { color: 'blue', design: 'cat', placement: null }, library })
+        .includes('--placement'), false);
+});
@@ -0,0 +1,138 @@
+/**
+ * Input validation shared by the server routes and the scripts (see lib/validate.js).
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { validate, validateOptions, FIELDS } from '../lib/validate.js';
+import { fetchInspiration } from '../lib/storage/index.js';
+import { validateSessionName } from '../lib/sessions.js';
+import { getBase, validateBaseIds } from '../lib/catalog.js';
+
+const ID = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+// Assert an INVALID_INPUT error about the given field
+function assertInvalid(fn, field, message) {
+    assert.throws(fn, (error) => {
+        assert.equal(error.code, 'INVALID_INPUT');
+        assert.equal(error.field, field);
+        if (message) assert.match(error.message, message);
+        return true;
+    });
+}
+
+test('converts query-string values', () => {
+    const values = validate(
+        { variants: FIELDS.variants, upload: FIELDS.upload, colors: FIELDS.colors, designIds: FIELDS.designIds },
+        { variants: '3', upload: 'false', colors: 'blue, pink,', designIds: [ID.toUpperCase()] }
+    );
+    assert.deepEqual(values, { variants: 3, upload: false, colors: ['blue', 'pink'], designIds: [ID] });
+});
+
+test('leaves out empty fields, or keeps them as null for changes', () => {
+    const schema = { designer: FIELDS.designer, category: FIELDS.category };
+    assert.deepEqual(validate(schema, { designer: '', category: null }), {});
+    assert.deepEqual(validate(schema, { designer: '' }, { keepEmpty: true }), { designer: null });
+});
+
+test('requires required fields', () => {
+    assertInvalid(() => validate({ inspirationId: { ...FIELDS.inspirationId, required: true } }, {}), 'inspirationId', /required/);
+    assertInvalid(() => validate({ colors: { ...FIELDS.colors, required: true } }, { colors: ',' }), 'colors', /required/);
+});
+
+test('rejects unknown fields in strict mode only', () => {
+    assertInvalid(() => validate({ color: FIELDS.color }, { color: 'blue', colour: 'pink' }, { strict: true }), 'colour', /Unknown field/);
+    assert.deepEqual(validate({ color: FIELDS.color }, { color: 'blue', output: '/tmp' }), { color: 'blue' });
+});
+
+test('rejects malformed IDs before they reach a query', async () => {
+    assertInvalid(() => validate({ designId: FIELDS.designId }, { designId: `${ID}&select=*` }), 'designId', /not a valid ID/);
+    assertInvalid(() => validate({ color: FIELDS.color }, { color: '--output' }), 'color');
+    assertInvalid(() => validate({ runId: FIELDS.runId }, { runId: '../../etc' }), 'runId');
+
+    await assert.rejects(fetchInspiration('abc,id.neq.0'), (error) => {
+        assert.equal(error.code, 'INVALID_INPUT');
+        assert.match(error.message, /Inspiration ID is not a valid ID/);
+        return true;
+    });
+});
+
+test('only accepts http and https URLs', () => {
+    assert.equal(validate({ designUrl: FIELDS.designUrl }, { designUrl: 'https://example.com/a b.png' }).designUrl,
+        'https://example.com/a%20b.png');
+    assertInvalid(() => validate({ designUrl: FIELDS.designUrl }, { designUrl: 'file:///etc/passwd' }), 'designUrl', /http or https/);
+    assertInvalid(() => validate({ designUrl: FIELDS.designUrl }, { designUrl: 'not a url' }), 'designUrl', /not a valid URL/);
+});
+
+test('checks text length, control characters and choices', () => {
+    assertInvalid(() => validate({ design: FIELDS.design }, { design: 'x'.repeat(5000) }), 'design', /too long/);
+    assertInvalid(() => validate({ category: FIELDS.category }, { category: 'Cats\u0000' }), 'category', /control characters/);
+    assert.equal(validate({ design: FIELDS.design }, { design: 'line one\nline two' }).design, 'line one\nline two');
+    assertInvalid(() => validate({ container: FIELDS.container }, { container: 'avi' }), 'container', /mp4, webm/);
+    assertInvalid(() => validate({ variants: FIELDS.variants }, { variants: 50 }), 'variants', /between 1 and 8/);
+    assertInvalid(() => validate({ variants: FIELDS.variants }, { variants: '2.5' }), 'variants', /whole number/);
+    assertInvalid(() => validate({ design: FIELDS.design }, { design: { $ne: '' } }), 'design', /must be text/);
+});
+
+test('keeps local paths inside the allowed folders', () => {
+    const rule = { type: 'path', within: [os.tmpdir()] };
+    assert.equal(validate({ image: rule }, { image: path.join(os.tmpdir(), 'a.png') }).image, path.join(os.tmpdir(), 'a.png'));
+    assertInvalid(() => validate({ image: rule }, { image: path.join(os.tmpdir(), '..', 'etc', 'passwd') }), 'image', /inside/);
+    assertInvalid(() => validate({ image: { ...rule, mustExist: true } }, { image: path.join(os.tmpdir(), 'no-such-file.png') }), 'image', /not found/);
+});
+
+test('decodes data URLs up to a size', () => {
+    const rule = { type: 'dataUrl', max: 8 };
+    const { mimeType, buffer } = validate({ file: rule }, { file: 'data:image/png;base64,AAECAw==' }).file;
+    assert.equal(mimeType, 'image/png');
+    assert.deepEqual([...buffer], [0, 1, 2, 3]);
+    assertInvalid(() => validate({ file: rule }, { file: `data:image/png;base64,${Buffer.alloc(16).toString('base64')}` }), 'file', /too large/);
+    assertInvalid(() => validate({ file: rule }, { file: 'https://example.com/a.png' }), 'file', /data: URL/);
+});
+
+test('only takes raster images for image data URLs, whatever they claim', () => {
+    const rule = { type: 'dataUrl', image: true };
+    const png = Buffer.from('89504e470d0a1a0a0000', 'hex');
+    const image = validate({ file: rule }, { file: `data:text/html;base64,${png.toString('base64')}` }).file;
+    assert.equal(image.mimeType, 'image/png');
+    assert.equal(image.extension, '.png');
+
+    const html = Buffer.from('<script>alert(1)</script>').toString('base64');
+    assertInvalid(() => validate({ file: rule }, { file: `data:image/png;base64,${html}` }), 'file', /not a PNG, JPEG/);
+});
+
+test('names script options with their flag', () => {
+    const options = { variants: '4', retries: 0, design: 'cute cat', output: './output' };
+    assert.equal(validateOptions(options, { variants: FIELDS.variants, retries: FIELDS.retries }), options);
+    assert.equal(options.variants, 4);
+    assertInvalid(() => validateOptions({ variants: 'many' }, { variants: FIELDS.variants }), 'variants', /^--variants must be a whole number/);
+    assertInvalid(() => validateOptions({ designIds: ['x'] }, { designIds: { ...FIELDS.designIds, label: '--designId' } }), 'designIds', /^--designId is not a valid ID/);
+});
+
+test('reports bad session names as INVALID_INPUT', () => {
+    assert.equal(validateSessionName('work-2'), 'work-2');
+    assertInvalid(() => validateSessionName('a.b'), 'session', /Invalid session name/);
+
+    // The routes and script options take the same names
+    assert.equal(validate({ session: FIELDS.session }, { session: 'work-2' }).session, 'work-2');
+    assertInvalid(() => validate({ session: FIELDS.session }, { session: 'a.b' }), 'session');
+});
+
+test('rejects unknown base templates as INVALID_INPUT', () => {
+    const known = getBase('blue');
+    assert.equal(known.id, 'blue');
+    assertInvalid(() => getBase('teal'), 'color', /Unknown base: teal/);
+    assertInvalid(() => validateBaseIds(['blue', 'teal']), 'colors', /Unknown bases: teal/);
+
+    // Choices from a function are read on every check, so catalogue changes apply at once
+    const bases = ['blue'];
+    const rule = { type: 'slug', oneOf: () => bases };
+    assertInvalid(() => validate({ color: rule }, { color: 'teal' }), 'color', /must be one of: blue/);
+    bases.push('teal');
+    assert.equal(validate({ color: rule }, { color: 'teal' }).color, 'teal');
+});
@@ -0,0 +1,138 @@
+/**
+ * Users: who can log in to the web UI and automation server, and with which role
+ *
+ * Roles build on each other: designer (upload and run), reviewer (+ approve and reject)
+ * and admin (+ delete and restore, catalogue, audit log). See lib/auth.js.
+ *
+ * Usage:
+ *   # Every user with their role
+ *   node users.js --list
+ *
+ *   # Add a user (a password is generated and printed unless --password is given)
+ *   node users.js --add alice --role admin
+ *
+ *   # Change a role, or set a new password (logs the user out everywhere)
+ *   node users.js --user alice --role reviewer
+ *   node users.js --user alice --reset-password
+ *
+ *   # Remove a user
+ *   node users.js --remove alice
+ *
+ * Options:
+ *   --list            List the users
+ *   --add             Username to add (needs --role)
+ *   --user            Username to change
+ *   --role            designer, reviewer or admin
+ *   --password        Password for --add or --reset-password (default: generated)
+ *   --reset-password  Give --user a new password
+ *   --remove          Username to remove
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    ROLES, listUsers, addUser, updateUser, removeUser, generatePassword
+} from './lib/auth.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        list: false,
+        add: '',
+        user: '',
+        role: '',
+        password: '',
+        resetPassword: false,
+        remove: ''
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--list':
+                options.list = true;
+                break;
+            case '--add':
+                options.add = args[++i];
+                break;
+            case '--user':
+                options.user = args[++i];
+                break;
+            case '--role':
+                options.role = args[++i];
+                break;
+            case '--password':
+                options.password = args[++i];
+                break;
+            case '--reset-password':
+                options.resetPassword = true;
+                break;
+            case '--remove':
+                options.remove = args[++i];
+                break;
+        }
+    }
+
+    return options;
+}
+
+function printUsers() {
+    const users = listUsers();
+    if (users.length === 0) {
+        console.log('   No users yet (add one with --add <name> --role admin)');
+        return;
+    }
+    for (const user of users) {
+        console.log(`   ${user.username.padEnd(20)} ${user.role.padEnd(10)} since ${user.createdAt.slice(0, 10)}`);
+    }
+}
+
+function printPassword(username, password) {
+    console.log(`   🔑 Password for ${username}: ${password}`);
+    console.log('      (share it privately; change it with --user <name> --reset-password)');
+}
+
+// Main users function
+export function runUsers(options) {
+    console.log('\n🔐 Users');
+    console.log('━'.repeat(50));
+
+    if (options.add) {
+        if (!options.role) {
+            throw new Error(`Error: --add needs --role (${ROLES.join(', ')})`);
+        }
+        const password = options.password || generatePassword();
+        const user = addUser(options.add, options.role, password);
+        console.log(`   ✅ Added ${user.username} (${user.role})`);
+        if (!options.password) printPassword(user.username, password);
+    } else if (options.user) {
+        if (!options.role && !options.resetPassword) {
+            throw new Error('Error: --user needs --role or --reset-password');
+        }
+        const password = options.resetPassword ? options.password || generatePassword() : '';
+        const user = updateUser(options.user, { role: options.role, password });
+        console.log(`   ✅ ${user.username} is ${user.role}${password ? ' with a new password' : ''} (logged out everywhere)`);
+        if (password && !options.password) printPassword(user.username, password);
+    } else if (options.remove) {
+        removeUser(options.remove);
+        console.log(`   🗑️  Removed ${options.remove}`);
+    } else if (!options.list) {
+        throw new Error('Error: Use --list, --add, --user or --remove');
+    }
+
+    console.log('');
+    printUsers();
+    console.log('');
+}
+
+// Run when invoked directly
+if (path.resolve(process.argv[1]) === __filename) {
+    try {
+        runUsers(parseArgs());
+    } catch (error) {
+        console.error(`\n❌ ${error.message}`);
+        process.exit(1);
+    }
+}
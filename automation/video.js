@@ -0,0 +1,266 @@
+/**
+ * Product Video: finished designs → short listing videos (ffmpeg)
+ *
+ * Renders an MP4 or WebM locally from finished designs, using a template from
+ * catalog/videos.json for the effect and timing and a format for the aspect ratio:
+ *   pan-zoom      zooms from the whole product into the embossed cover
+ *   raking-light  sweeps a band of light across the cover so the emboss edges glint
+ *   carousel      crossfades through every colourway of the design
+ *
+ * Lifestyle scenes (Step 4) work too, e.g. a pan-zoom over the "Holding at home" scene.
+ *
+ * Usage:
+ *   # Pan & zoom over one design, square and vertical:
+ *   node video.js --designId "abc123-uuid" --format square,vertical
+ *
+ *   # Colourway carousel from every design made from an inspiration:
+ *   node video.js --inspirationId "abc123-uuid" --template carousel --format landscape
+ *
+ *   # Raking light over a local image as WebM:
+ *   node video.js --designImage "./output/emboss_2024-01-17T12-45-10.png" --color pink --template raking-light --container webm
+ *
+ * Options:
+ *   --designId       Design Library ID (carousel: every colourway made from the same inspiration)
+ *   --inspirationId  Use the designs made from this inspiration (one per colour)
+ *   --designImage    Comma-separated local image paths
+ *   --color          Base template of a local image; pan-zoom zooms into its cover area
+ *   --template       Video template: pan-zoom, raking-light, carousel (default: pan-zoom)
+ *   --format         Comma-separated formats: square, vertical, landscape (default: square)
+ *   --container      mp4 or webm (default: mp4)
+ *   --duration       Override the template's duration in seconds (pan-zoom, raking-light)
+ *   --output         Output folder for videos (default: ./output/videos)
+ *   --daemon         Non-interactive: JSON progress events on stdout, log on stderr
+ *   --result         Result record with the output paths (default with --daemon: <output>/result.json)
+ *
+ * Needs ffmpeg on the PATH (or FFMPEG_PATH).
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { getStorage, fetchDesign } from './lib/storage/index.js';
+import { downloadImage } from './lib/download.js';
+import { loadCatalog, getBase } from './lib/catalog.js';
+import { getVideoTemplate, getVideoFormat, renderVideo, CONTAINERS } from './lib/video.js';
+import { writeOutputRecord } from './lib/output.js';
+import { runMain } from './lib/daemon.js';
+import { validateOptions, FIELDS } from './lib/validate.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        designId: '',
+        inspirationId: '',
+        designImages: [],
+        color: '',
+        template: 'pan-zoom',
+        formats: ['square'],
+        container: 'mp4',
+        duration: 0,
+        output: path.join(__dirname, 'output', 'videos'),
+        daemon: false,
+        result: ''
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--designId':
+                options.designId = args[++i];
+                break;
+            case '--inspirationId':
+                options.inspirationId = args[++i];
+                break;
+            case '--designImage':
+                options.designImages = splitList(args[++i]);
+                break;
+            case '--color':
+                options.color = args[++i];
+                break;
+            case '--template':
+                options.template = args[++i];
+                break;
+            case '--format':
+                options.formats = splitList(args[++i]);
+                break;
+            case '--container':
+                options.container = args[++i];
+                break;
+            case '--duration':
+                options.duration = parseFloat(args[++i]) || 0;
+                break;
+            case '--output':
+                options.output = args[++i];
+                break;
+            case '--daemon':
+                options.daemon = true;
+                break;
+            case '--result':
+                options.result = args[++i];
+                break;
+        }
+    }
+
+    return options;
+}
+
+function splitList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// One design per colour made from an inspiration, in catalogue order (lifestyle scenes left out)
+async function colourways(inspirationId) {
+    const designs = (await getStorage().list('designs'))
+        .filter(design => design.source_inspiration_id === inspirationId && design.source_step !== 'step4');
+
+    const perColour = new Map();
+    for (const design of designs) {
+        const color = (design.base_notebooks || [])[0];
+        if (!perColour.has(color)) perColour.set(color, design);
+    }
+
+    const baseOrder = loadCatalog().bases.map(base => base.id);
+    const rank = (color) => (baseOrder.includes(color) ? baseOrder.indexOf(color) : baseOrder.length);
+    return [...perColour.entries()].sort(([a], [b]) => rank(a) - rank(b)).map(([, design]) => design);
+}
+
+// Library designs the video is made from
+async function selectDesigns(options, template) {
+    if (options.inspirationId) {
+        const designs = await colourways(options.inspirationId);
+        if (designs.length === 0) {
+            throw new Error(`No designs made from inspiration ${options.inspirationId}`);
+        }
+        return template.effect === 'carousel' ? designs : designs.slice(0, 1);
+    }
+
+    const design = await fetchDesign(options.designId);
+    if (template.effect === 'carousel' && design.source_inspiration_id && design.source_step !== 'step4') {
+        // Start the carousel on the chosen design
+        const others = (await colourways(design.source_inspiration_id)).filter(d => d.id !== design.id
+            && (d.base_notebooks || [])[0] !== (design.base_notebooks || [])[0]);
+        return [design, ...others];
+    }
+    return [design];
+}
+
+// Main video function
+export async function runVideo(options) {
+    console.log('\n🎬 Product Video: Finished Designs → Listing Video');
+    console.log('━'.repeat(50));
+
+    validateOptions(options, {
+        designId: FIELDS.designId, inspirationId: FIELDS.inspirationId, color: FIELDS.color, template: FIELDS.template,
+        formats: { ...FIELDS.formats, label: '--format' }, container: FIELDS.container
+    });
+
+    if (!options.designId && !options.inspirationId && options.designImages.length === 0) {
+        console.log('Usage:');
+        console.log('  node video.js --designId "uuid-from-library" --format square,vertical');
+        console.log('  node video.js --inspirationId "uuid-from-library" --template carousel');
+        throw new Error('Error: --designId, --inspirationId or --designImage is required');
+    }
+
+    let template;
+    let formats;
+    try {
+        template = { ...getVideoTemplate(options.template) };
+        formats = options.formats.map(getVideoFormat);
+    } catch (error) {
+        throw new Error(`Error: ${error.message}`);
+    }
+    if (!CONTAINERS.includes(options.container)) {
+        throw new Error(`Error: --container must be ${CONTAINERS.join(' or ')}`);
+    }
+    if (options.duration > 0) {
+        template.duration = options.duration;
+    }
+
+    if (!fs.existsSync(options.output)) {
+        fs.mkdirSync(options.output, { recursive: true });
+    }
+
+    // Resolve the images: library designs are downloaded next to the videos
+    let images = [];
+    let designs = [];
+    let color = options.color || null;
+    if (options.designImages.length > 0) {
+        images = options.designImages;
+        const missing = images.find(image => !fs.existsSync(image));
+        if (missing) {
+            throw new Error(`Error: Design image not found: ${missing}`);
+        }
+    } else {
+        try {
+            designs = await selectDesigns(options, template);
+        } catch (error) {
+            throw new Error(`Error loading design: ${error.message}`);
+        }
+
+        const tempDir = path.join(options.output, '.temp');
+        fs.mkdirSync(tempDir, { recursive: true });
+        for (const design of designs) {
+            console.log(`📥 Downloading ${design.file_name}...`);
+            const imagePath = path.join(tempDir, `design_${design.id}${path.extname(design.file_name) || '.png'}`);
+            await downloadImage(design.file_url, imagePath);
+            images.push(imagePath);
+        }
+        color = color || (designs[0].source_step !== 'step4' ? (designs[0].base_notebooks || [])[0] : null);
+    }
+
+    // Pan-zoom heads for the cover of the base template the design was made on
+    let focus = null;
+    if (color) {
+        try {
+            focus = getBase(color).coverArea || null;
+        } catch (error) {
+            console.warn(`⚠️  ${error.message}`);
+        }
+    }
+
+    console.log(`🎞️  Template: ${template.name}`);
+    console.log(`📐 Formats: ${formats.map(format => `${format.name} (${format.width}×${format.height})`).join(', ')}`);
+    console.log(`🖼️  Images: ${template.effect === 'carousel' ? images.length : 1}`);
+    console.log(`📁 Output: ${options.output}`);
+    console.log('━'.repeat(50));
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const results = [];
+
+    for (const format of formats) {
+        const outputPath = path.join(options.output, `video_${template.id}_${format.id}_${timestamp}.${options.container}`);
+        console.log(`\n🎬 Rendering ${format.name}...`);
+
+        const { frames, seconds } = await renderVideo({ images, template, format, outputPath, focus });
+        console.log(`   ✅ ${path.basename(outputPath)} (${frames} frames, ${seconds.toFixed(1)} s, ${Math.round(fs.statSync(outputPath).size / 1024)} KB)`);
+
+        writeOutputRecord(outputPath, {
+            step: 'video',
+            provider: 'ffmpeg',
+            prompt: { id: null, version: null },
+            inputs: {
+                template,
+                format,
+                designIds: designs.map(design => design.id),
+                images,
+                color
+            }
+        });
+        results.push(outputPath);
+    }
+
+    console.log('\n🎉 Video complete!');
+    results.forEach(result => console.log(`   ${result}`));
+    console.log('');
+
+    return results;
+}
+
+// Run when invoked directly
+if (path.resolve(process.argv[1]) === __filename) {
+    const options = parseArgs();
+    runMain('video', () => runVideo(options), options, { requireOutput: true });
+}
@@ -0,0 +1,13 @@
+-- Provenance for designs uploaded by the automation scripts.
+-- Rows uploaded through the web UI leave these columns empty.
+
+alter table designs
+    add column if not exists source_inspiration_id uuid references inspirations (id) on delete set null,
+    add column if not exists source_step text,
+    add column if not exists provider text,
+    add column if not exists prompt_template text,
+    add column if not exists prompt_version text,
+    add column if not exists run_id text;
+
+create index if not exists designs_source_inspiration_id_idx on designs (source_inspiration_id);
+create index if not exists designs_run_id_idx on designs (run_id);
@@ -0,0 +1,33 @@
+-- Free-form tags and full-text search for the Design and Inspiration Libraries.
+-- `search` is generated from the text columns and the tags; the web UI and the
+-- automation server query it with prefix matching, e.g. search=fts(simple).flor:*
+
+-- array_to_string is only stable, which a generated column doesn't accept
+create or replace function library_tags_text(tags text[])
+returns text
+language sql
+immutable
+as $$
+    select coalesce(array_to_string(tags, ' '), '')
+$$;
+
+alter table designs
+    add column if not exists tags text[] not null default '{}',
+    add column if not exists search tsvector generated always as (
+        to_tsvector('simple',
+            coalesce(file_name, '') || ' ' || coalesce(category, '') || ' ' ||
+            coalesce(designer, '') || ' ' || library_tags_text(tags))
+    ) stored;
+
+alter table inspirations
+    add column if not exists tags text[] not null default '{}',
+    add column if not exists search tsvector generated always as (
+        to_tsvector('simple',
+            coalesce(description, '') || ' ' || coalesce(file_name, '') || ' ' ||
+            coalesce(category, '') || ' ' || coalesce(designer, '') || ' ' || library_tags_text(tags))
+    ) stored;
+
+create index if not exists designs_tags_idx on designs using gin (tags);
+create index if not exists designs_search_idx on designs using gin (search);
+create index if not exists inspirations_tags_idx on inspirations using gin (tags);
+create index if not exists inspirations_search_idx on inspirations using gin (search);
@@ -0,0 +1,9 @@
+-- Lineage between designs: the design an image was generated from.
+-- Step 2 translations point at their Step 1 mockup, Step 3 emboss outputs at the
+-- translation (or mockup) they embossed. Together with source_inspiration_id this
+-- links every generated design back to its inspiration.
+
+alter table designs
+    add column if not exists source_design_id uuid references designs (id) on delete set null;
+
+create index if not exists designs_source_design_id_idx on designs (source_design_id);
@@ -0,0 +1,15 @@
+-- Duplicate detection for the Design and Inspiration Libraries.
+-- content_hash is the SHA-256 of the uploaded file; phash the perceptual hash of the
+-- image and its mean colour (see automation/lib/phash.js). Rows uploaded before this
+-- migration are hashed by `node dedupe.js --backfill`.
+
+alter table designs
+    add column if not exists phash text,
+    add column if not exists content_hash text;
+
+alter table inspirations
+    add column if not exists phash text,
+    add column if not exists content_hash text;
+
+create index if not exists designs_content_hash_idx on designs (content_hash);
+create index if not exists inspirations_content_hash_idx on inspirations (content_hash);
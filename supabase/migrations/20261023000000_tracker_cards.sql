@@ -0,0 +1,22 @@
+-- Pipeline tracker: one card per design, replacing the hand-kept Pipeline.xlsx.
+-- `progress` holds the notebook colours each step has produced, e.g.
+-- {"step1": ["blue"], "step2": ["blue", "pink"]}; the automation scripts advance the
+-- card of a design's source inspiration when they add a design to the library.
+
+create table if not exists tracker_cards (
+    id uuid primary key default gen_random_uuid(),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    title text not null,
+    inspiration_id uuid references inspirations (id) on delete set null,
+    stage text not null default 'inspiration'
+        check (stage in ('inspiration', 'step1', 'step2', 'step3', 'listed')),
+    progress jsonb not null default '{}',
+    designer text,
+    due_date date,
+    notes text,
+    image_url text
+);
+
+-- One card per inspiration (cards imported without one are allowed)
+create unique index if not exists tracker_cards_inspiration_id_idx on tracker_cards (inspiration_id);
@@ -0,0 +1,51 @@
+-- Users and roles: who added each library row, soft deletes and the audit log.
+-- Logins are managed by the automation server (automation/users.js), which writes with
+-- SUPABASE_SERVICE_ROLE_KEY; the anon key in the web UI can only read.
+
+alter table designs
+    add column if not exists created_by text,
+    add column if not exists deleted_at timestamptz,
+    add column if not exists deleted_by text;
+
+alter table inspirations
+    add column if not exists created_by text,
+    add column if not exists deleted_at timestamptz,
+    add column if not exists deleted_by text;
+
+-- Deleted rows stay until an admin restores or purges them from the Audit tab
+create index if not exists designs_deleted_at_idx on designs (deleted_at);
+create index if not exists inspirations_deleted_at_idx on inspirations (deleted_at);
+
+create table if not exists audit_log (
+    id uuid primary key default gen_random_uuid(),
+    created_at timestamptz not null default now(),
+    user_name text not null,
+    action text not null,
+    target_table text,
+    target_id text,
+    details jsonb not null default '{}'
+);
+
+create index if not exists audit_log_created_at_idx on audit_log (created_at desc);
+
+-- The service role bypasses row level security; anon and authenticated may only read
+-- what the web UI shows, and never the audit log
+alter table designs enable row level security;
+alter table inspirations enable row level security;
+alter table tracker_cards enable row level security;
+alter table audit_log enable row level security;
+
+drop policy if exists "Read designs" on designs;
+create policy "Read designs" on designs
+    for select to anon, authenticated using (deleted_at is null);
+
+drop policy if exists "Read inspirations" on inspirations;
+create policy "Read inspirations" on inspirations
+    for select to anon, authenticated using (deleted_at is null);
+
+drop policy if exists "Read tracker cards" on tracker_cards;
+create policy "Read tracker cards" on tracker_cards
+    for select to anon, authenticated using (true);
+
+-- Also remove any insert, update or delete policies for anon on the `designs`
+-- storage bucket (Storage > Policies), so uploads only go through the server.
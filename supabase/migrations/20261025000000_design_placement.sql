@@ -0,0 +1,7 @@
+-- Where a design sits on its base template, set with the placement editor in the Step 1
+-- and Translate tabs (see automation/lib/placement.js):
+--   { left, top, width, height, rotation, region: { left, top, width, height } }
+-- as fractions of the template. Step 2 reuses it for every colourway of the design.
+
+alter table designs
+    add column if not exists placement jsonb;